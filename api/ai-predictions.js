@@ -3,6 +3,156 @@ import {
   FreeRealTimeDataProvider,
   getEnhancedPropertyData,
 } from "./real-time-data.js";
+import { getDistrictPriceIndex } from "./price-index.js";
+import { estimateValue, parseSubject } from "./avm.js";
+import { NATIONAL_WEIGHTED_RATE } from "./crime.js";
+import {
+  geographyProvenance,
+  prefixProvenance,
+  provenance,
+  provenanceFor,
+  SOURCE_NAMES,
+} from "./provenance.js";
+import {
+  isValidPostcodeFormat,
+  lookupPostcode,
+  postcodeArea,
+} from "./postcodes.js";
+import {
+  isBelowBand,
+  LETTING_MINIMUM_BAND,
+  PROPOSED_MINIMUM_BAND,
+} from "./epc.js";
+import {
+  createSeededRandom,
+  sampleNormal,
+  summarisePercentiles,
+} from "./simulation.js";
+import {
+  buildScenarioPath,
+  parseScenarios,
+  summarisePath,
+} from "./scenarios.js";
+import { grossYield } from "./rents.js";
+
+// Monte Carlo shock sizes (annual standard deviations, percentage points)
+const SIMULATION_VOLATILITY = {
+  baseRate: 0.5,
+  inflation: 0.8,
+  regionalGrowth: 2.0, // Scaled by the area's risk factor
+};
+
+// Estimates for postcodes outside the areas in the predictor's area table,
+// by ONS region (Wales, Scotland and Northern Ireland count as regions)
+const REGION_DATA = {
+  "North East": {
+    region: "North East",
+    basePrice: 160000,
+    growthRate: 4.5,
+    yield: 6.8,
+    riskFactor: 1.5,
+  },
+  "North West": {
+    region: "North West",
+    basePrice: 215000,
+    growthRate: 4.8,
+    yield: 6.2,
+    riskFactor: 1.3,
+  },
+  "Yorkshire and The Humber": {
+    region: "Yorkshire and The Humber",
+    basePrice: 210000,
+    growthRate: 4.5,
+    yield: 6.0,
+    riskFactor: 1.3,
+  },
+  "East Midlands": {
+    region: "East Midlands",
+    basePrice: 245000,
+    growthRate: 4.0,
+    yield: 5.5,
+    riskFactor: 1.2,
+  },
+  "West Midlands": {
+    region: "West Midlands",
+    basePrice: 250000,
+    growthRate: 4.2,
+    yield: 5.6,
+    riskFactor: 1.2,
+  },
+  "East of England": {
+    region: "East of England",
+    basePrice: 345000,
+    growthRate: 3.5,
+    yield: 4.6,
+    riskFactor: 1.1,
+  },
+  London: {
+    region: "London",
+    basePrice: 520000,
+    growthRate: 3.0,
+    yield: 4.2,
+    riskFactor: 1.1,
+  },
+  "South East": {
+    region: "South East",
+    basePrice: 385000,
+    growthRate: 3.3,
+    yield: 4.4,
+    riskFactor: 1.0,
+  },
+  "South West": {
+    region: "South West",
+    basePrice: 315000,
+    growthRate: 3.6,
+    yield: 4.7,
+    riskFactor: 1.1,
+  },
+  Wales: {
+    region: "Wales",
+    basePrice: 215000,
+    growthRate: 4.2,
+    yield: 5.8,
+    riskFactor: 1.3,
+  },
+  Scotland: {
+    region: "Scotland",
+    basePrice: 190000,
+    growthRate: 4.0,
+    yield: 6.3,
+    riskFactor: 1.3,
+  },
+  "Northern Ireland": {
+    region: "Northern Ireland",
+    basePrice: 180000,
+    growthRate: 4.8,
+    yield: 6.5,
+    riskFactor: 1.5,
+  },
+};
+
+// Confidence multiplier for the level predictions are based on, falling
+// with each coarser level
+const COVERAGE_CONFIDENCE = {
+  unit: 0.95,
+  sector: 0.9,
+  district: 0.85,
+  area: 0.8,
+  region: 0.75,
+  national: 0.7,
+};
+
+// Further multiplier when even the district has too few recent sales
+const LOW_COVERAGE_CONFIDENCE = 0.9;
+
+// Local authorities given the northern cities growth premium
+const HIGH_GROWTH_NORTH = [
+  "E08000003", // Manchester
+  "E08000012", // Liverpool
+  "E08000035", // Leeds
+  "E08000019", // Sheffield
+  "E08000021", // Newcastle upon Tyne
+];
 
 export default async function handler(req, res) {
   res.setHeader("Access-Control-Allow-Origin", "*");
@@ -10,35 +160,101 @@ export default async function handler(req, res) {
   res.setHeader("Access-Control-Allow-Headers", "Content-Type");
 
   if (req.method === "OPTIONS") return res.status(200).end();
-  if (req.method !== "GET")
+  if (req.method !== "GET" && req.method !== "POST")
     return res
       .status(405)
       .json({ success: false, error: "Method not allowed" });
 
-  try {
-    const { postcode } = req.query;
+  // Custom scenarios are posted as JSON; everything else works either way
+  const params =
+    req.method === "POST" ? { ...req.query, ...(req.body || {}) } : req.query;
+  const { postcode, simulate, runs, seed } = params;
 
+  try {
     if (!postcode) {
       return res
         .status(400)
         .json({ success: false, error: "Postcode is required" });
     }
 
-    if (!isValidUKPostcode(postcode)) {
+    if (!isValidPostcodeFormat(postcode)) {
       return res
         .status(400)
         .json({ success: false, error: "Invalid UK postcode format" });
     }
 
+    let scenarios = null;
+    if (params.scenarios) {
+      const parsed = parseScenarios(params.scenarios);
+      if (parsed.errors.length > 0) {
+        return res.status(400).json({ success: false, errors: parsed.errors });
+      }
+      scenarios = parsed.scenarios;
+    }
+
+    // Real geography from the postcode directory; forecasts go ahead on
+    // postcode-area estimates if it can't be reached (geography undefined)
+    let geography;
+    try {
+      geography = await lookupPostcode(postcode);
+    } catch (error) {
+      console.warn("⚠️ Postcode lookup unavailable:", error.message);
+    }
+
+    if (geography === null) {
+      return res
+        .status(404)
+        .json({ success: false, error: "Postcode not found" });
+    }
+
+    if (geography?.status === "terminated") {
+      return res.status(400).json({
+        success: false,
+        error: `${geography.postcode} was terminated in ${geography.terminated}`,
+      });
+    }
+
     console.log(
       `🤖 Generating UNIVERSAL REAL-TIME predictions for: ${postcode}`
     );
 
+    // Property attributes turn the area forecast into one for a single
+    // property, starting from its AVM value instead of the area average
+    const { address, propertyType, tenure, bedrooms, floorArea } = params;
+    const property =
+      address || propertyType || tenure || bedrooms || floorArea
+        ? parseSubject(params)
+        : null;
+    const subject = property?.errors.length === 0 ? property.subject : null;
+
     // Get enhanced real-time data
-    const enhancedData = await getEnhancedPropertyData(postcode);
+    const enhancedData = await getEnhancedPropertyData(postcode, {
+      address: subject?.address,
+      bedrooms: subject?.bedrooms,
+    });
+
+    enhancedData.geography = geography || null;
+
+    // District house price index drives the base growth rate
+    enhancedData.priceIndex = await getDistrictPriceIndex(postcode).catch(
+      (error) => {
+        console.error("❌ Price index failed:", error);
+        return null;
+      }
+    );
+
+    if (subject) {
+      enhancedData.valuation = await estimateValue(subject).catch((error) => {
+        console.error("❌ Valuation failed:", error);
+        return null;
+      });
+    }
 
-    // Create universal predictor with real-time data
-    const predictor = new UniversalRealTimePredictor(enhancedData);
+    // Create universal predictor with real-time data (seeded so the same
+    // postcode always produces the same forecast)
+    const predictor = new UniversalRealTimePredictor(enhancedData, {
+      seed: seed || postcode.replace(/\s+/g, "").toUpperCase(),
+    });
 
     // Generate predictions using real data + comprehensive area coverage
     const predictions = await predictor.generatePredictions(postcode);
@@ -49,20 +265,83 @@ export default async function handler(req, res) {
       postcode
     );
 
+    // Optional uncertainty bands from Monte Carlo simulation
+    let simulation = null;
+    if (simulate === "true") {
+      simulation = await predictor.simulatePredictions(postcode, {
+        runs: Math.min(Math.max(parseInt(runs) || 500, 100), 2000),
+      });
+    }
+
+    // Predictions, risk and recommendation under each requested scenario
+    const scenarioResults = scenarios
+      ? await predictor.runScenarios(postcode, scenarios)
+      : null;
+
+    // Economic provenance is reported with the rest, under provenance
+    const economic = { ...enhancedData.economicData };
+    delete economic.provenance;
+
     res.status(200).json({
       success: true,
       postcode: postcode.toUpperCase(),
       predictions: predictions,
+      simulation: simulation,
+      scenarios: scenarioResults,
       riskScore: riskScore,
       recommendation: recommendation,
       areaInfo: predictor.getAreaInfo(postcode),
       realTimeData: {
-        economic: enhancedData.economicData,
+        economic: economic,
         recentSales: enhancedData.recentSales?.slice(0, 5),
         crimeData: enhancedData.crimeData,
         enhancedMetrics: enhancedData.enhancedMetrics,
-      },
+        epcData: enhancedData.epcData,
+        rentalData: enhancedData.rentalData,
+        developmentPipeline: enhancedData.developmentPipeline && {
+          radiusKm: enhancedData.developmentPipeline.radiusKm,
+          years: enhancedData.developmentPipeline.years,
+          applications: enhancedData.developmentPipeline.applications,
+          dwellings: enhancedData.developmentPipeline.dwellings,
+          pipeline: enhancedData.developmentPipeline.pipeline,
+          supplyPressure: enhancedData.developmentPipeline.supplyPressure,
+          byYear: enhancedData.developmentPipeline.byYear,
+        },
+        schoolData: enhancedData.schoolData,
+        transportData: enhancedData.transportData && {
+          ptal: enhancedData.transportData.ptal,
+          accessIndex: enhancedData.transportData.accessIndex,
+          transportScore: enhancedData.transportData.transportScore,
+          employmentCentre: enhancedData.transportData.employmentCentre,
+          journeyTimes: enhancedData.transportData.journeyTimes,
+          period: enhancedData.transportData.period,
+        },
+        floodData: enhancedData.floodData,
+        priceIndex: enhancedData.priceIndex && {
+          district: enhancedData.priceIndex.district,
+          method: enhancedData.priceIndex.method,
+          annualGrowth: enhancedData.priceIndex.annualGrowth,
+          sales: enhancedData.priceIndex.sales,
+          source: enhancedData.priceIndex.source,
+        },
+      },
+      valuation: enhancedData.valuation
+        ? {
+            estimatedValue: enhancedData.valuation.estimatedValue,
+            interval: enhancedData.valuation.interval,
+            confidence: enhancedData.valuation.confidence,
+            method: enhancedData.valuation.method,
+            comparables: enhancedData.valuation.comparables?.length || 0,
+          }
+        : null,
       dataQuality: enhancedData.dataQuality,
+      provenance: describePredictionResponse(enhancedData, {
+        predictions,
+        simulation,
+        scenarios: scenarioResults,
+        areaProfile: predictor.getAreaProfile(postcode),
+      }),
+      cache: enhancedData.cacheStats,
       generatedAt: new Date().toISOString(),
     });
   } catch (error) {
@@ -88,31 +367,122 @@ export default async function handler(req, res) {
         recommendation: recommendation,
         areaInfo: fallbackPredictor.getAreaInfo(postcode),
         dataSource: "fallback",
+        provenance: provenanceFor(
+          null,
+          ["predictions", "riskScore", "recommendation", "areaInfo"],
+          provenance(SOURCE_NAMES.fallback, { estimated: true })
+        ),
         error: "Real-time data unavailable, using comprehensive estimates",
+        // Scenarios need the real-time forecast
+        scenarioError: params.scenarios
+          ? "Scenarios are unavailable without real-time data"
+          : undefined,
         generatedAt: new Date().toISOString(),
       });
     } catch (fallbackError) {
       res.status(500).json({
         success: false,
         error: fallbackError.message,
-        postcode: req.query.postcode,
+        postcode: postcode,
       });
     }
   }
 }
 
-class UniversalRealTimePredictor {
-  constructor(enhancedData) {
+// Provenance for a prediction response, keyed by path. Forecasts are always
+// estimates; the real-time inputs say where they came from.
+function describePredictionResponse(
+  enhancedData,
+  { predictions, simulation, scenarios, areaProfile }
+) {
+  const { geography, priceIndex, valuation } = enhancedData;
+  const forecast = provenance(SOURCE_NAMES.model, {
+    period: predictions.length
+      ? {
+          from: String(predictions[0].year),
+          to: String(predictions[predictions.length - 1].year),
+        }
+      : null,
+    estimated: true,
+  });
+
+  // enhancedData keys its economic inputs under economicData; the response
+  // returns them as realTimeData.economic
+  const inputs = Object.fromEntries(
+    Object.entries(enhancedData.provenance || {}).map(([key, entry]) => [
+      key.replace(/^economicData\./, "economic."),
+      entry,
+    ])
+  );
+
+  return {
+    ...provenanceFor(
+      null,
+      ["predictions", "riskScore", "recommendation"],
+      forecast
+    ),
+    simulation: simulation ? forecast : null,
+    scenarios: scenarios ? forecast : null,
+    areaInfo: provenance(`Area estimates (${areaProfile.level} profile)`, {
+      estimated: true,
+    }),
+    geography: geographyProvenance(geography),
+    ...prefixProvenance("realTimeData", inputs),
+    "realTimeData.priceIndex": priceIndex
+      ? provenance(
+          priceIndex.source === "property_prices"
+            ? "HM Land Registry Price Paid Data (property_prices table)"
+            : "HM Land Registry Price Paid Data",
+          {
+            retrievedAt: priceIndex.builtAt || null,
+            period:
+              priceIndex.series?.length > 0
+                ? {
+                    from: priceIndex.series[0].period,
+                    to: priceIndex.series[priceIndex.series.length - 1].period,
+                  }
+                : null,
+          }
+        )
+      : null,
+    valuation: valuation
+      ? provenance("Automated valuation model (comparable sales)", {
+          estimated: true,
+        })
+      : null,
+  };
+}
+
+export class UniversalRealTimePredictor {
+  constructor(enhancedData, options = {}) {
     this.enhancedData = enhancedData;
     this.economicData = enhancedData.economicData;
     this.recentSales = enhancedData.recentSales || [];
     this.crimeData = enhancedData.crimeData;
     this.enhancedMetrics = enhancedData.enhancedMetrics || {};
+    this.priceIndex = enhancedData.priceIndex || null;
+    this.epcData = enhancedData.epcData || null;
+    this.rentalData = enhancedData.rentalData || null;
+    this.developmentPipeline = enhancedData.developmentPipeline || null;
+    this.schoolData = enhancedData.schoolData || null;
+    this.transportData = enhancedData.transportData || null;
+    this.floodData = enhancedData.floodData || null;
+    this.geography = enhancedData.geography || null;
+    this.coverage = enhancedData.coverage || null;
+
+    // Seeded randomness keeps predictions reproducible
+    this.seed = options.seed ?? enhancedData.postcode ?? "UK";
+    this.random = createSeededRandom(this.seed);
+    this.silent = false;
 
     // Comprehensive UK area data for ANY postcode
     this.areaData = this.initializeComprehensiveUKAreaData();
   }
 
+  log(...args) {
+    if (!this.silent) console.log(...args);
+  }
+
   initializeComprehensiveUKAreaData() {
     return {
       // London areas - COMPLETE COVERAGE
@@ -630,59 +1000,119 @@ class UniversalRealTimePredictor {
 
   getAreaInfo(postcode) {
     const areaCode = this.extractAreaCode(postcode);
-    const areaData = this.areaData[areaCode] || this.areaData["DEFAULT"];
+    const areaData = this.getAreaProfile(postcode).data;
 
     return {
       areaCode: areaCode,
       region: areaData.region,
-      coverage: areaCode === "DEFAULT" ? "estimated" : "detailed",
+      coverage: this.getCoverage(postcode),
       dataQuality: this.getDataQualityScore(),
+      geography: this.geography && {
+        ward: this.geography.ward?.name || null,
+        localAuthority: this.geography.localAuthority?.name || null,
+        region: this.geography.region?.name || null,
+        country: this.geography.country?.name || null,
+        lsoa: this.geography.lsoa,
+        msoa: this.geography.msoa,
+      },
     };
   }
 
+  // Postcode area (the leading letters), so SK isn't read as Sheffield's S
   extractAreaCode(postcode) {
-    const cleaned = postcode.replace(/\s+/g, "").toUpperCase();
+    const area = postcodeArea(postcode.trim());
+    return this.areaData[area] ? area : "DEFAULT";
+  }
 
-    // Try 2-letter codes first (like SW, NW, etc.)
-    const twoLetter = cleaned.substring(0, 2);
-    if (this.areaData[twoLetter] && /^[A-Z]{2}/.test(twoLetter)) {
-      return twoLetter;
+  // Estimates for the postcode's area, else its region, else the UK
+  getAreaProfile(postcode) {
+    const areaCode = this.extractAreaCode(postcode);
+    if (areaCode !== "DEFAULT") {
+      return { level: "area", code: areaCode, data: this.areaData[areaCode] };
     }
 
-    // Try 1-letter codes (like M, B, L, etc.)
-    const oneLetter = cleaned.substring(0, 1);
-    if (this.areaData[oneLetter] && /^[A-Z]/.test(oneLetter)) {
-      return oneLetter;
+    const region = this.geography?.region?.name;
+    if (REGION_DATA[region]) {
+      return { level: "region", code: region, data: REGION_DATA[region] };
     }
 
-    return "DEFAULT";
+    return { level: "national", code: "UK", data: this.areaData["DEFAULT"] };
   }
 
-  async generatePredictions(postcode) {
-    console.log("📊 Generating UNIVERSAL predictions with REAL-TIME data...");
+  // The level predictions rest on: the most granular postcode level with
+  // enough recent sales, the district flagged lowCoverage when none has, or
+  // the area profile when there are no recent sales at all. The sales levels
+  // tried are reported either way so thin data is visible.
+  getCoverage(postcode) {
+    if (this.coverage?.level && this.coverage.sampleSize > 0) {
+      const {
+        level,
+        query,
+        sampleSize,
+        minimumSample,
+        windowMonths,
+        lowCoverage,
+        levels,
+      } = this.coverage;
+      return {
+        level,
+        query,
+        sampleSize,
+        minimumSample,
+        windowMonths,
+        lowCoverage,
+        levels,
+      };
+    }
 
-    const areaCode = this.extractAreaCode(postcode);
-    const areaData = this.areaData[areaCode] || this.areaData["DEFAULT"];
+    const profile = this.getAreaProfile(postcode);
+    return {
+      level: profile.level,
+      query: profile.code,
+      sampleSize: null,
+      minimumSample: this.coverage?.minimumSample ?? null,
+      windowMonths: this.coverage?.windowMonths ?? null,
+      lowCoverage: false,
+      levels: this.coverage?.levels || [],
+    };
+  }
+
+  // path (optional): per-year economic data and growth shocks, used by the
+  // Monte Carlo simulation instead of today's economic snapshot
+  async generatePredictions(postcode, path = null) {
+    this.log("📊 Generating UNIVERSAL predictions with REAL-TIME data...");
+
+    const areaData = this.getAreaProfile(postcode).data;
+    const coverage = this.getCoverage(postcode);
 
     // Use real data when available, fallback to comprehensive area estimates
-    const basePrice = this.enhancedMetrics.averagePrice || areaData.basePrice;
-    const currentYield = this.calculateCurrentYield(basePrice, areaCode);
+    const basePrice =
+      this.enhancedData.valuation?.estimatedValue ||
+      this.enhancedMetrics.averagePrice ||
+      areaData.basePrice;
+    const currentYield = this.calculateCurrentYield(basePrice, areaData);
 
     const predictions = [];
     let currentPrice = basePrice;
 
-    console.log(
+    this.log(
       `🏘️ Area: ${
         areaData.region
       }, Base Price: £${basePrice.toLocaleString()}, Coverage: ${
-        areaCode === "DEFAULT" ? "estimated" : "detailed"
+        coverage.level
+      } ${coverage.query}${
+        coverage.sampleSize != null ? ` (${coverage.sampleSize} sales)` : ""
       }`
     );
 
     for (let year = 1; year <= 5; year++) {
+      const economicData = path?.economic?.[year - 1] || this.economicData;
+
       // Enhanced growth calculation with real economic data + comprehensive area data
-      const baseGrowth = this.calculateUniversalGrowth(areaCode, year);
-      const economicAdjustment = this.calculateRealEconomicAdjustment(year);
+      const baseGrowth = this.calculateUniversalGrowth(areaData, year);
+      const economicAdjustment = path?.scenario
+        ? this.calculateScenarioAdjustment(year, economicData)
+        : this.calculateRealEconomicAdjustment(year, economicData);
       const marketConditionsAdjustment = this.calculateMarketConditions(year);
       const localFactorsAdjustment = this.calculateLocalFactors(postcode, year);
 
@@ -691,16 +1121,21 @@ class UniversalRealTimePredictor {
           economicAdjustment +
           marketConditionsAdjustment +
           localFactorsAdjustment) *
-        Math.pow(0.94, year - 1);
+          Math.pow(0.94, year - 1) +
+        (path?.growthShocks?.[year - 1] || 0);
 
       currentPrice *= 1 + totalGrowth / 100;
 
       // Enhanced yield calculation
-      const yieldChange = this.calculateYieldChange(totalGrowth, year);
+      const yieldChange = this.calculateYieldChange(
+        totalGrowth,
+        year,
+        economicData
+      );
       const predictedYield = Math.max(currentYield + yieldChange, 1.5);
 
       // Enhanced confidence based on data quality + area coverage
-      const confidence = this.calculateUniversalConfidence(year, areaCode);
+      const confidence = this.calculateUniversalConfidence(year, coverage);
 
       predictions.push({
         year: new Date().getFullYear() + year,
@@ -709,56 +1144,253 @@ class UniversalRealTimePredictor {
         predictedYield: Math.round(predictedYield * 100) / 100,
         confidence: Math.round(confidence * 100) / 100,
         dataQuality: this.getDataQualityScore(),
-        areaCoverage: areaCode === "DEFAULT" ? "estimated" : "detailed",
+        areaCoverage: coverage.level,
+        sampleSize: coverage.sampleSize,
       });
     }
 
     return predictions;
   }
 
-  calculateUniversalGrowth(areaCode, year) {
-    // Use real price growth from recent sales if available
-    if (this.enhancedMetrics.priceGrowth !== undefined) {
-      console.log(
-        `📈 Using REAL price growth: ${this.enhancedMetrics.priceGrowth.toFixed(
-          1
-        )}%`
+  // Monte Carlo simulation: sample base rate, inflation and regional growth
+  // shocks, then report P10/P50/P90 price and yield paths per year
+  async simulatePredictions(postcode, { runs = 500, seed = this.seed } = {}) {
+    const random = createSeededRandom(`${seed}:simulation`);
+    const areaData = this.getAreaProfile(postcode).data;
+    const regionalVolatility =
+      SIMULATION_VOLATILITY.regionalGrowth * areaData.riskFactor;
+
+    console.log(`🎲 Running ${runs} Monte Carlo simulations (seed: ${seed})`);
+
+    const samples = [];
+    this.silent = true;
+
+    try {
+      for (let run = 0; run < runs; run++) {
+        let baseRate = this.economicData?.baseRate;
+        let inflation = this.economicData?.inflation;
+        const path = {
+          economic: this.economicData ? [] : null,
+          growthShocks: [],
+        };
+
+        for (let year = 1; year <= 5; year++) {
+          if (path.economic) {
+            baseRate = Math.max(
+              0.1,
+              baseRate + sampleNormal(random, 0, SIMULATION_VOLATILITY.baseRate)
+            );
+            inflation += sampleNormal(
+              random,
+              0,
+              SIMULATION_VOLATILITY.inflation
+            );
+            path.economic.push({
+              ...this.economicData,
+              baseRate: baseRate,
+              inflation: inflation,
+            });
+          }
+          path.growthShocks.push(sampleNormal(random, 0, regionalVolatility));
+        }
+
+        const runPredictions = await this.generatePredictions(postcode, path);
+        runPredictions.forEach((prediction, index) => {
+          samples[index] = samples[index] || {
+            year: prediction.year,
+            price: [],
+            change: [],
+            yield: [],
+          };
+          samples[index].price.push(prediction.predictedPrice);
+          samples[index].change.push(prediction.priceChangePercent);
+          samples[index].yield.push(prediction.predictedYield);
+        });
+      }
+    } finally {
+      this.silent = false;
+    }
+
+    return {
+      runs: runs,
+      seed: String(seed),
+      assumptions: {
+        baseRateVolatility: SIMULATION_VOLATILITY.baseRate,
+        inflationVolatility: SIMULATION_VOLATILITY.inflation,
+        regionalGrowthVolatility: Math.round(regionalVolatility * 100) / 100,
+      },
+      years: samples.map((sample) => ({
+        year: sample.year,
+        predictedPrice: summarisePercentiles(sample.price, 0),
+        priceChangePercent: summarisePercentiles(sample.change),
+        predictedYield: summarisePercentiles(sample.yield),
+      })),
+    };
+  }
+
+  // Predictions, risk and recommendation under each macro scenario (see
+  // scenarios.js). Risk is judged on a scenario's highest rates,
+  // inflation and unemployment, the recommendation on its averages.
+  async runScenarios(postcode, scenarios) {
+    console.log(
+      `🧭 Running scenarios: ${scenarios.map((s) => s.id).join(", ")}`
+    );
+
+    const results = [];
+    const random = this.random;
+    this.silent = true;
+
+    try {
+      for (const scenario of scenarios) {
+        // Every scenario sees the same local noise as the main forecast
+        this.random = createSeededRandom(this.seed);
+        const assumptions = buildScenarioPath(scenario, this.economicData);
+        const firstYear = new Date().getFullYear() + 1;
+
+        // The base case is the model's own forecast from today's data
+        let predictions;
+        let riskScore;
+        let recommendation;
+        if (!scenario.targets) {
+          predictions = await this.generatePredictions(postcode);
+          riskScore = this.calculateRisk(predictions, postcode);
+          recommendation = this.generateRecommendation(
+            predictions,
+            riskScore,
+            postcode
+          );
+        } else {
+          const conditions = summarisePath(assumptions);
+          predictions = await this.generatePredictions(postcode, {
+            economic: assumptions.map((year) => ({
+              ...this.economicData,
+              ...year,
+            })),
+            scenario: scenario.id,
+          });
+          riskScore = this.calculateRisk(predictions, postcode, {
+            ...this.economicData,
+            ...conditions.peak,
+          });
+          recommendation = this.generateRecommendation(
+            predictions,
+            riskScore,
+            postcode,
+            { ...this.economicData, ...conditions.average }
+          );
+        }
+
+        results.push({
+          id: scenario.id,
+          name: scenario.name,
+          description: scenario.description,
+          custom: scenario.custom,
+          assumptions: assumptions.map(({ trends, ...values }, index) => ({
+            year: firstYear + index,
+            ...values,
+          })),
+          predictions: predictions,
+          riskScore: riskScore,
+          recommendation: recommendation,
+        });
+      }
+    } finally {
+      this.random = random;
+      this.silent = false;
+    }
+
+    return results;
+  }
+
+  calculateUniversalGrowth(areaData, year) {
+    // Use the district's repeat-sales / mix-adjusted index if it has one
+    if (this.priceIndex?.annualGrowth != null) {
+      this.log(
+        `📈 Using ${this.priceIndex.method} index growth for ${this.priceIndex.district}: ${this.priceIndex.annualGrowth}%`
       );
-      return this.enhancedMetrics.priceGrowth * Math.pow(0.9, year - 1);
+      return this.priceIndex.annualGrowth * Math.pow(0.9, year - 1);
     }
 
     // Use comprehensive area-specific estimates
-    const areaData = this.areaData[areaCode] || this.areaData["DEFAULT"];
-    console.log(
+    this.log(
       `📊 Using area-specific growth rate: ${areaData.growthRate}% for ${areaData.region}`
     );
     return areaData.growthRate;
   }
 
-  calculateRealEconomicAdjustment(year) {
-    if (!this.economicData) return 0;
+  // Change over the last year in mortgage rates (Bank Rate if they are
+  // unavailable) and inflation: falling rates support prices, rising
+  // inflation squeezes budgets. Zero without series history.
+  calculateEconomicTrendImpact(trends) {
+    if (!trends) return 0;
+
+    const rateChange =
+      trends.mortgage2yFixed?.change12m ?? trends.baseRate?.change12m;
+    const inflationChange = trends.inflation?.change12m;
 
-    console.log("📊 Applying REAL economic factors:", this.economicData);
+    let impact = 0;
+    if (rateChange != null) impact -= rateChange * 0.5;
+    if (inflationChange != null) impact -= inflationChange * 0.15;
+
+    return Math.min(Math.max(impact, -1.5), 1.5);
+  }
+
+  // Under a scenario, today's conditions (live trends included) fade as in
+  // the base forecast and the scenario's departure from holding today's
+  // values applies in full. A scenario path's trends are its own changes,
+  // none when it holds, so one that holds today's values reproduces the
+  // base forecast.
+  calculateScenarioAdjustment(year, economicData) {
+    return (
+      this.calculateRealEconomicAdjustment(year) +
+      this.calculateRealEconomicAdjustment(year, economicData, {
+        fade: false,
+      }) -
+      this.calculateRealEconomicAdjustment(
+        year,
+        { ...this.economicData, trends: null },
+        { fade: false }
+      )
+    );
+  }
+
+  // fade: shrink the effect of the conditions in later years
+  calculateRealEconomicAdjustment(
+    year,
+    economicData = this.economicData,
+    { fade = true } = {}
+  ) {
+    if (!economicData) return 0;
+
+    this.log("📊 Applying REAL economic factors:", economicData);
 
     // Real interest rate impact (live BoE data)
-    const rateImpact = (6 - this.economicData.baseRate) * 0.4;
+    const rateImpact = (6 - economicData.baseRate) * 0.4;
 
     // Real inflation impact (live ONS data)
-    const inflationImpact = (this.economicData.inflation - 2.5) * 0.25;
+    const inflationImpact = (economicData.inflation - 2.5) * 0.25;
 
     // Real GDP growth impact (live ONS data)
-    const gdpImpact = this.economicData.gdpGrowth * 0.6;
+    const gdpImpact = economicData.gdpGrowth * 0.6;
 
     // Real unemployment impact (live ONS data)
-    const unemploymentImpact = (5 - this.economicData.unemploymentRate) * 0.2;
+    const unemploymentImpact = (5 - economicData.unemploymentRate) * 0.2;
+
+    // Where the rate and inflation cycle is heading (live series history)
+    const trendImpact = this.calculateEconomicTrendImpact(economicData.trends);
 
     // Time decay for economic effects
-    const decay = Math.pow(0.85, year - 1);
+    const decay = fade ? Math.pow(0.85, year - 1) : 1;
 
     const totalAdjustment =
-      (rateImpact - inflationImpact + gdpImpact + unemploymentImpact) * decay;
-
-    console.log(
+      (rateImpact -
+        inflationImpact +
+        gdpImpact +
+        unemploymentImpact +
+        trendImpact) *
+      decay;
+
+    this.log(
       `📊 Economic adjustment for year ${year}: ${totalAdjustment.toFixed(2)}%`
     );
     return totalAdjustment;
@@ -770,8 +1402,17 @@ class UniversalRealTimePredictor {
     if (this.crimeData && this.crimeData.source !== "fallback") {
       const safetyScore = this.enhancedMetrics.crimeImpact?.safetyScore || 5;
       crimeAdjustment = (safetyScore - 5) * 0.2;
-      console.log(
-        `🚔 REAL crime safety adjustment: ${crimeAdjustment.toFixed(2)}%`
+
+      // Rising weighted crime drags on prices, falling crime helps
+      const crimeTrend = this.crimeData.weightedYoyChange;
+      if (crimeTrend != null) {
+        crimeAdjustment += Math.min(Math.max(-crimeTrend * 0.02, -0.4), 0.4);
+      }
+
+      this.log(
+        `🚔 REAL crime safety adjustment: ${crimeAdjustment.toFixed(
+          2
+        )}% (trend: ${this.crimeData.trend})`
       );
     }
 
@@ -779,7 +1420,7 @@ class UniversalRealTimePredictor {
     let activityAdjustment = 0;
     if (this.recentSales.length > 0) {
       activityAdjustment = Math.min(this.recentSales.length / 10, 0.5);
-      console.log(
+      this.log(
         `🏠 REAL market activity adjustment: ${activityAdjustment.toFixed(2)}%`
       );
     }
@@ -789,7 +1430,7 @@ class UniversalRealTimePredictor {
 
   calculateLocalFactors(postcode, year) {
     const areaCode = this.extractAreaCode(postcode);
-    const areaData = this.areaData[areaCode] || this.areaData["DEFAULT"];
+    const areaData = this.getAreaProfile(postcode).data;
 
     // Property type mix from real sales data
     let propertyMixAdjustment = 0;
@@ -807,7 +1448,7 @@ class UniversalRealTimePredictor {
         propertyMixAdjustment += 0.2;
       }
 
-      console.log(
+      this.log(
         `🏘️ REAL property mix adjustment: ${propertyMixAdjustment.toFixed(2)}%`
       );
     }
@@ -815,49 +1456,84 @@ class UniversalRealTimePredictor {
     // Area-specific factors based on comprehensive data
     let areaSpecificAdjustment = 0;
 
+    // Region, country and local authority from the postcode directory,
+    // falling back to postcode areas when it is unavailable
+    const geography = this.geography;
+    const region = geography?.region?.name;
+    const country = geography?.country?.name;
+    const authority = geography?.localAuthority?.code;
+
     // London premium/constraint
-    const isLondon = ["E", "EC", "N", "NW", "SE", "SW", "W", "WC"].includes(
-      areaCode
-    );
+    const isLondon = region
+      ? region === "London"
+      : ["E", "EC", "N", "NW", "SE", "SW", "W", "WC"].includes(areaCode);
     if (isLondon) {
       areaSpecificAdjustment += 0.5; // Supply constraint premium
     }
 
     // High-growth northern cities
-    const highGrowthNorth = ["M", "L", "LS", "S", "NE"];
-    if (highGrowthNorth.includes(areaCode)) {
+    const isHighGrowthNorth = authority
+      ? HIGH_GROWTH_NORTH.includes(authority)
+      : ["M", "L", "LS", "S", "NE"].includes(areaCode);
+    if (isHighGrowthNorth) {
       areaSpecificAdjustment += 0.4; // Northern powerhouse effect
     }
 
-    // Scottish cities adjustment
-    const scotland = ["G", "EH", "AB", "DD"];
-    if (scotland.includes(areaCode)) {
+    // Scottish market adjustment
+    const isScotland = country
+      ? country === "Scotland"
+      : ["G", "EH", "AB", "DD"].includes(areaCode);
+    if (isScotland) {
       areaSpecificAdjustment += 0.2; // Scottish market dynamics
     }
 
-    // Welsh cities adjustment
-    const wales = ["CF", "SA", "NP"];
-    if (wales.includes(areaCode)) {
+    // Welsh market adjustment
+    const isWales = country
+      ? country === "Wales"
+      : ["CF", "SA", "NP"].includes(areaCode);
+    if (isWales) {
       areaSpecificAdjustment += 0.3; // Welsh market growth
     }
 
-    console.log(
+    this.log(
       `🏴󠁧󠁢󠁥󠁮󠁧󠁿 Area-specific adjustment for ${
         areaData.region
       }: ${areaSpecificAdjustment.toFixed(2)}%`
     );
 
+    // New homes approved or pending nearby hold growth back while they are
+    // built out; a thin pipeline supports prices. Approved schemes mostly
+    // complete within three years, so the effect halves after that.
+    let supplyAdjustment = 0;
+    const supplyPressure = this.developmentPipeline?.supplyPressure;
+    if (supplyPressure != null) {
+      supplyAdjustment = Math.min(
+        Math.max(-(supplyPressure - 1) * 0.3, -0.6),
+        0.3
+      );
+      if (year > 3) supplyAdjustment /= 2;
+
+      this.log(
+        `🏗️ REAL supply pipeline adjustment (pressure ${supplyPressure}): ${supplyAdjustment.toFixed(
+          2
+        )}%`
+      );
+    }
+
     return (
       propertyMixAdjustment +
       areaSpecificAdjustment +
-      (Math.random() - 0.5) * 0.3
+      supplyAdjustment +
+      (this.random() - 0.5) * 0.3
     );
   }
 
-  calculateCurrentYield(basePrice, areaCode) {
-    const areaData = this.areaData[areaCode] || this.areaData["DEFAULT"];
+  calculateCurrentYield(basePrice, areaData) {
+    // Gross yield on the local median rent when there are rental statistics
+    const rentalYield = grossYield(this.rentalData?.medianRent, basePrice);
+    if (rentalYield != null) return rentalYield;
 
-    // Use area-specific yield as base
+    // Otherwise the area-specific yield
     let baseYield = areaData.yield;
 
     // Price adjustment (higher prices = lower yields)
@@ -867,19 +1543,23 @@ class UniversalRealTimePredictor {
     return Math.max(baseYield + priceAdjustment, 2.0);
   }
 
-  calculateYieldChange(priceGrowth, year) {
+  calculateYieldChange(priceGrowth, year, economicData = this.economicData) {
     const baseYieldChange = -priceGrowth * 0.1;
-    const rentGrowthAdjustment = priceGrowth * 0.3;
+    // Measured rent growth moves the yield as much as the same price growth
+    // does; without rental statistics, rents are assumed to track prices
+    const rentGrowth = this.rentalData?.rentGrowth;
+    const rentGrowthAdjustment =
+      rentGrowth != null ? rentGrowth * 0.1 : priceGrowth * 0.3;
 
     let rateImpact = 0;
-    if (this.economicData) {
-      rateImpact = (this.economicData.baseRate - 4) * 0.1;
+    if (economicData) {
+      rateImpact = (economicData.baseRate - 4) * 0.1;
     }
 
     return (baseYieldChange + rentGrowthAdjustment + rateImpact) / year;
   }
 
-  calculateUniversalConfidence(year, areaCode) {
+  calculateUniversalConfidence(year, coverage) {
     let baseConfidence = 0.9;
 
     // Reduce confidence over time
@@ -889,12 +1569,10 @@ class UniversalRealTimePredictor {
     const dataQuality = this.getDataQualityScore();
     baseConfidence *= dataQuality;
 
-    // Area coverage impact
-    if (areaCode === "DEFAULT") {
-      baseConfidence *= 0.75; // Lower confidence for unknown areas
-    } else {
-      baseConfidence *= 0.95; // High confidence for known areas
-    }
+    // Coverage impact: lower confidence the coarser the data
+    baseConfidence *=
+      COVERAGE_CONFIDENCE[coverage.level] ?? COVERAGE_CONFIDENCE.national;
+    if (coverage.lowCoverage) baseConfidence *= LOW_COVERAGE_CONFIDENCE;
 
     // Real data availability bonus
     if (this.recentSales.length > 5) {
@@ -936,9 +1614,9 @@ class UniversalRealTimePredictor {
   }
 
   // Enhanced risk calculation
-  calculateRisk(predictions, postcode) {
-    const areaCode = this.extractAreaCode(postcode);
-    const areaData = this.areaData[areaCode] || this.areaData["DEFAULT"];
+  calculateRisk(predictions, postcode, economicData = this.economicData) {
+    const areaData = this.getAreaProfile(postcode).data;
+    const coverage = this.getCoverage(postcode);
 
     const avgGrowth =
       predictions.reduce((sum, p) => sum + p.priceChangePercent, 0) /
@@ -960,33 +1638,60 @@ class UniversalRealTimePredictor {
     risk += volatility * 0.5;
 
     // Real economic data risk adjustments
-    if (this.economicData) {
-      if (this.economicData.baseRate > 6) risk += 1;
-      if (this.economicData.inflation > 5) risk += 0.5;
-      if (this.economicData.unemploymentRate > 6) risk += 0.5;
+    if (economicData) {
+      if (economicData.baseRate > 6) risk += 1;
+      if (economicData.inflation > 5) risk += 0.5;
+      if (economicData.unemploymentRate > 6) risk += 0.5;
     }
 
-    // Crime risk from real data
-    if (this.crimeData && this.crimeData.crimeRate > 500) {
+    // Crime risk from real data (per 1,000 residents where known)
+    const weightedCrimeRate = this.crimeData?.perThousand?.weighted;
+    if (weightedCrimeRate != null) {
+      if (weightedCrimeRate > NATIONAL_WEIGHTED_RATE * 1.5) risk += 1;
+      if (this.crimeData.trend === "rising") risk += 0.5;
+    } else if (this.crimeData && this.crimeData.crimeRate > 500) {
       risk += 1;
     }
 
+    // Letting compliance risk from EPC ratings
+    const epcRating = this.epcData?.property?.currentRating;
+    if (epcRating) {
+      if (isBelowBand(epcRating, LETTING_MINIMUM_BAND)) risk += 2;
+      else if (isBelowBand(epcRating, PROPOSED_MINIMUM_BAND)) risk += 0.75;
+    } else if (this.epcData) {
+      risk +=
+        this.epcData.summary.shareBelowE * 2 +
+        this.epcData.summary.shareBelowC * 0.5;
+    }
+
+    // Flood risk from the flood zone and surface water maps: flooding
+    // raises insurance costs and makes a home harder to sell or mortgage
+    const floodBand = this.floodData?.riskBand;
+    if (floodBand === "high") risk += 2;
+    else if (floodBand === "medium") risk += 1;
+    else if (floodBand === "low") risk += 0.25;
+
     // Data uncertainty risk
     const dataQuality = this.getDataQualityScore();
     risk += (1 - dataQuality) * 2;
 
-    // Area coverage uncertainty
-    if (areaCode === "DEFAULT") {
-      risk += 0.5;
-    }
+    // Coverage uncertainty
+    if (coverage.level === "national") risk += 0.5;
+    else if (coverage.level === "region" || coverage.lowCoverage) risk += 0.25;
 
     return Math.min(Math.max(Math.round(risk), 1), 10);
   }
 
   // Enhanced recommendation
-  generateRecommendation(predictions, riskScore, postcode) {
+  generateRecommendation(
+    predictions,
+    riskScore,
+    postcode,
+    economicData = this.economicData
+  ) {
     const areaCode = this.extractAreaCode(postcode);
-    const areaData = this.areaData[areaCode] || this.areaData["DEFAULT"];
+    const areaData = this.getAreaProfile(postcode).data;
+    const coverage = this.getCoverage(postcode);
 
     const avgGrowth =
       predictions.reduce((sum, p) => sum + p.priceChangePercent, 0) /
@@ -1034,18 +1739,18 @@ class UniversalRealTimePredictor {
     }
 
     // Real economic factors
-    if (this.economicData) {
-      if (this.economicData.baseRate < 4) {
+    if (economicData) {
+      if (economicData.baseRate < 4) {
         score += 0.5;
         reasoning.push("Favorable interest rate environment");
-      } else if (this.economicData.baseRate > 6) {
+      } else if (economicData.baseRate > 6) {
         score -= 0.5;
         reasoning.push("High interest rate headwind");
       }
 
-      if (this.economicData.inflation < 3) {
+      if (economicData.inflation < 3) {
         reasoning.push("Stable inflation environment");
-      } else if (this.economicData.inflation > 5) {
+      } else if (economicData.inflation > 5) {
         score -= 0.5;
         reasoning.push("High inflation concern");
       }
@@ -1088,12 +1793,129 @@ class UniversalRealTimePredictor {
       }
     }
 
+    // EPC compliance and upgrade costs
+    const epcProperty = this.epcData?.property;
+    const formatCost = (cost) =>
+      `£${cost.low.toLocaleString()}-£${cost.high.toLocaleString()}`;
+
+    if (epcProperty?.currentRating) {
+      const band = epcProperty.currentRating;
+      const cost = epcProperty.upgradeCost;
+
+      if (isBelowBand(band, LETTING_MINIMUM_BAND)) {
+        score -= 1;
+        reasoning.push(
+          `EPC ${band} is below the legal minimum ${LETTING_MINIMUM_BAND} for letting - upgrade to ${
+            cost.to
+          } est. ${formatCost(cost)}`
+        );
+      } else if (cost) {
+        score -= 0.3;
+        reasoning.push(
+          `EPC ${band} - upgrade to ${cost.to} est. ${formatCost(cost)}`
+        );
+      } else {
+        reasoning.push(`EPC ${band} meets proposed letting standards`);
+      }
+    } else if (this.epcData?.summary.shareBelowC > 0.5) {
+      const { medianBand, typicalUpgradeCost } = this.epcData.summary;
+      reasoning.push(
+        `Most local homes rated below EPC ${PROPOSED_MINIMUM_BAND} (typical ${medianBand})${
+          typicalUpgradeCost
+            ? ` - upgrades est. ${formatCost(typicalUpgradeCost)}`
+            : ""
+        }`
+      );
+    }
+
+    // Schools drive family lets: good ones nearby widen the tenant pool and
+    // hold tenants for longer
+    const educationScore = this.schoolData?.educationScore ?? null;
+    if (educationScore != null) {
+      const nearest = this.schoolData.primary.schools.find(
+        (school) => school.grade != null
+      );
+      const nearestText = nearest
+        ? ` (nearest rated primary ${nearest.name}, ${nearest.rating}, ${nearest.distanceKm}km)`
+        : "";
+
+      if (educationScore >= 8) {
+        score += 0.5;
+        reasoning.push(
+          `Highly rated schools nearby${nearestText} - strong family-let demand`
+        );
+      } else if (educationScore >= 6) {
+        score += 0.2;
+        reasoning.push(`Good schools nearby${nearestText}`);
+      } else if (educationScore < 4) {
+        score -= 0.5;
+        reasoning.push(
+          `Weaker local schools${nearestText} limit family-let demand`
+        );
+      }
+    }
+
+    // Commuting: tenants pay for a short trip to work, and areas a long
+    // way from a bus or train let more slowly
+    const transportScore = this.transportData?.transportScore ?? null;
+    if (transportScore != null) {
+      const { ptal, employmentCentre } = this.transportData;
+
+      if (employmentCentre.minutes != null && employmentCentre.minutes <= 30) {
+        score += 0.3;
+        reasoning.push(
+          `${employmentCentre.minutes} min to ${employmentCentre.name} centre by public transport (PTAL ${ptal})`
+        );
+      } else if (transportScore <= 3) {
+        score -= 0.3;
+        reasoning.push(`Poor public transport access (PTAL ${ptal})`);
+      }
+    }
+
+    // Flooding: Zone 3 homes cost more to insure and some lenders and
+    // buyers avoid them altogether
+    const flood = this.floodData;
+    if (flood?.riskBand === "high" || flood?.riskBand === "medium") {
+      const percent = (share) =>
+        flood.postcodes > 1
+          ? ` for ${Math.round(share * 100)}% of ${flood.postcode} postcodes`
+          : "";
+
+      if (flood.riskBand === "high") {
+        const cause =
+          flood.floodZone === 3
+            ? `Flood Zone 3${percent(flood.shares.zone3)}`
+            : `High surface water flood risk${percent(
+                flood.shares.surfaceWaterHigh
+              )}`;
+        score -= 1;
+        reasoning.push(`${cause} - raises insurance costs and limits resale`);
+      } else {
+        const cause =
+          flood.floodZone === 2
+            ? `Flood Zone 2${percent(flood.shares.zone2 + flood.shares.zone3)}`
+            : "Medium surface water flood risk";
+        score -= 0.3;
+        reasoning.push(`${cause} - check flood insurance before buying`);
+      }
+    }
+
     // Data quality
     const dataQuality = this.getDataQualityScore();
-    if (dataQuality > 0.8) {
-      reasoning.push("Based on comprehensive real-time analysis");
-    } else if (areaCode === "DEFAULT") {
+    if (coverage.lowCoverage) {
+      reasoning.push(
+        `Based on only ${coverage.sampleSize} recent sales in ${coverage.level} ${coverage.query} - treat with caution`
+      );
+    } else if (coverage.sampleSize != null) {
+      reasoning.push(
+        `Based on ${coverage.sampleSize} recent sales in ${coverage.level} ${coverage.query}`
+      );
+    } else if (coverage.level === "national") {
       reasoning.push("Estimate based on UK averages");
+    } else if (coverage.level === "region") {
+      reasoning.push(`Estimate based on ${coverage.query} regional averages`);
+    } else if (dataQuality > 0.8) {
+      reasoning.push("Based on comprehensive real-time analysis");
     } else {
       reasoning.push("Based on detailed area analysis");
     }
@@ -1112,9 +1934,13 @@ class UniversalRealTimePredictor {
       confidence: Math.round((10 - riskScore) * 8 + dataQuality * 20),
       dataQuality: Math.round(dataQuality * 100),
       areaSpecific: areaData.region,
-      areaCoverage: areaCode === "DEFAULT" ? "estimated" : "detailed",
-      economicContext: this.economicData
-        ? `Base rate: ${this.economicData.baseRate}%, Inflation: ${this.economicData.inflation}%`
+      areaCoverage: coverage.level,
+      sampleSize: coverage.sampleSize,
+      educationScore: educationScore,
+      transportScore: transportScore,
+      floodRisk: flood?.riskBand ?? null,
+      economicContext: economicData
+        ? `Base rate: ${economicData.baseRate}%, Inflation: ${economicData.inflation}%`
         : "Economic data unavailable",
     };
   }
@@ -1129,7 +1955,7 @@ class UniversalRealTimePredictor {
 }
 
 // Fallback universal predictor (for when real-time fails)
-class UniversalUKPredictor {
+export class UniversalUKPredictor {
   constructor() {
     this.areaData = {
       M: {
@@ -1210,13 +2036,8 @@ class UniversalUKPredictor {
   }
 
   extractAreaCode(postcode) {
-    const cleaned = postcode.replace(/\s+/g, "").toUpperCase();
-    const twoLetter = cleaned.substring(0, 2);
-    const oneLetter = cleaned.substring(0, 1);
-
-    if (this.areaData[twoLetter]) return twoLetter;
-    if (this.areaData[oneLetter]) return oneLetter;
-    return "DEFAULT";
+    const area = postcodeArea(postcode.trim());
+    return this.areaData[area] ? area : "DEFAULT";
   }
 
   async generatePredictions(postcode) {
@@ -1255,13 +2076,3 @@ class UniversalUKPredictor {
     };
   }
 }
-
-// UK postcode validation
-function isValidUKPostcode(postcode) {
-  const ukPostcodeRegex = /^[A-Z]{1,2}[0-9]{1,2}[A-Z]?\s?[0-9][A-Z]{2}$/i;
-  const outwardOnly = /^[A-Z]{1,2}[0-9]{1,2}[A-Z]?$/i;
-
-  const cleaned = postcode.replace(/\s+/g, "").toUpperCase();
-
-  return ukPostcodeRegex.test(postcode) || outwardOnly.test(cleaned);
-}
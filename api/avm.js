@@ -0,0 +1,313 @@
+// api/avm.js - Automated valuation for a single property from comparable sales
+import { findComparables } from "./comparables.js";
+import {
+  findEpcForAddress,
+  getEpcCertificates,
+  normaliseAddress,
+} from "./epc.js";
+import { lookupPostcode } from "./postcodes.js";
+import { normalisePostcodeArea } from "./real-time-data.js";
+
+const MIN_COMPARABLES = 3;
+const MIN_FLOOR_AREA_COMPARABLES = 3; // Needed to value on £/m²
+const INTERVAL_Z = 1.645; // 90% interval
+
+// Search widened step by step until there are enough comparables
+const SEARCH_STEPS = [
+  { radiusKm: 0.5, monthsBack: 24 },
+  { radiusKm: 1, monthsBack: 36 },
+  { radiusKm: 2, monthsBack: 60 },
+];
+
+const POSTCODE_PATTERN = /([A-Z]{1,2}\d[A-Z\d]?)\s*(\d[A-Z]{2})\s*$/i;
+
+export default async function handler(req, res) {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+
+  if (req.method === "OPTIONS") return res.status(200).end();
+  if (!["GET", "POST"].includes(req.method))
+    return res
+      .status(405)
+      .json({ success: false, error: "Method not allowed" });
+
+  try {
+    const params =
+      req.method === "POST" ? { ...req.query, ...req.body } : req.query;
+    const { subject, errors } = parseSubject(params);
+
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, errors: errors });
+    }
+
+    if (!(await lookupPostcode(subject.postcode))) {
+      return res
+        .status(404)
+        .json({ success: false, error: "Postcode not found" });
+    }
+
+    const valuation = await estimateValue(subject);
+
+    if (!valuation.estimatedValue) {
+      return res.status(404).json({
+        success: false,
+        error: "Not enough comparable sales to value this property",
+        comparables: valuation.comparables,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      ...valuation,
+      generatedAt: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error("❌ AVM error:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+}
+
+// Accepts a postcode, or an address ending in one ("10 High Street, M1 1AA")
+export function parseSubject(params) {
+  const errors = [];
+  let postcode = params.postcode;
+  let address = params.address?.trim() || null;
+
+  if (!postcode && address) {
+    const match = address.match(POSTCODE_PATTERN);
+    if (match) {
+      postcode = `${match[1]} ${match[2]}`;
+      address = address.slice(0, match.index).replace(/[,\s]+$/, "") || null;
+    }
+  }
+
+  if (!postcode) {
+    errors.push("postcode (or an address ending in a postcode) is required");
+  } else if (normalisePostcodeArea(postcode).scope !== "postcode") {
+    errors.push("A full UK postcode is required");
+  }
+
+  const propertyType = params.propertyType?.toUpperCase() || null;
+  if (propertyType && !["D", "S", "T", "F", "O"].includes(propertyType)) {
+    errors.push("propertyType must be one of D, S, T, F, O");
+  }
+
+  const tenure = params.tenure?.toUpperCase() || null;
+  if (tenure && !["F", "L"].includes(tenure)) {
+    errors.push("tenure must be F or L");
+  }
+
+  const bedrooms = params.bedrooms != null ? Number(params.bedrooms) : null;
+  if (bedrooms != null && !(bedrooms >= 0 && bedrooms <= 20)) {
+    errors.push("bedrooms must be between 0 and 20");
+  }
+
+  const floorArea = params.floorArea != null ? Number(params.floorArea) : null;
+  if (floorArea != null && !(floorArea > 10 && floorArea < 2000)) {
+    errors.push("floorArea must be in square metres (10-2000)");
+  }
+
+  return {
+    subject: {
+      postcode: postcode ? normalisePostcodeArea(postcode).query : null,
+      address: address,
+      propertyType: propertyType,
+      tenure: tenure,
+      newBuild:
+        params.newBuild != null
+          ? String(params.newBuild) === "true"
+            ? "Y"
+            : "N"
+          : null,
+      bedrooms: bedrooms,
+      floorArea: floorArea,
+    },
+    errors: errors,
+  };
+}
+
+export async function estimateValue(subject) {
+  console.log(`🏷️ Valuing ${subject.address || ""} ${subject.postcode}`);
+
+  // EPC certificate for the subject fills in floor area and rooms
+  const subjectEpc = subject.address
+    ? findEpcForAddress(
+        await getEpcCertificates([subject.postcode]),
+        subject.address
+      )
+    : null;
+  const floorArea = subject.floorArea || subjectEpc?.floorArea || null;
+  const habitableRooms =
+    subject.bedrooms != null
+      ? subject.bedrooms + 1
+      : subjectEpc?.habitableRooms || null;
+
+  let search = null;
+  for (const step of SEARCH_STEPS) {
+    search = await findComparables({
+      postcode: subject.postcode,
+      propertyType: subject.propertyType,
+      tenure: subject.tenure,
+      newBuild: subject.newBuild,
+      radiusKm: step.radiusKm,
+      monthsBack: step.monthsBack,
+      limit: 30,
+    });
+    if (!search || search.comparables.length >= MIN_COMPARABLES * 3) break;
+  }
+
+  const comparables = search?.comparables || [];
+  const base = {
+    postcode: subject.postcode,
+    subject: {
+      ...subject,
+      floorArea: floorArea,
+      habitableRooms: habitableRooms,
+      epc: subjectEpc
+        ? {
+            currentRating: subjectEpc.currentRating,
+            floorArea: subjectEpc.floorArea,
+          }
+        : null,
+    },
+    search: search && {
+      radiusKm: search.radiusKm,
+      monthsBack: search.monthsBack,
+      candidates: search.candidates,
+      timeAdjustment: search.timeAdjustment,
+    },
+  };
+
+  if (comparables.length < MIN_COMPARABLES) {
+    return {
+      ...base,
+      estimatedValue: null,
+      comparables: comparables,
+    };
+  }
+
+  // Attach EPC floor areas and room counts to the comparables
+  const certificates = await getEpcCertificates(
+    comparables.map((c) => c.postcode)
+  );
+  comparables.forEach((comparable) => {
+    const epc = findEpcForAddress(
+      certificates.filter(
+        (certificate) =>
+          certificate.postcode === comparable.postcode.toUpperCase()
+      ),
+      comparable.address
+    );
+    comparable.floorArea = epc?.floorArea || null;
+    comparable.habitableRooms = epc?.habitableRooms || null;
+  });
+
+  // Previous sale of the subject itself, if it is among the comparables
+  const lastSale = subject.address
+    ? comparables.find(
+        (comparable) =>
+          normaliseAddress(comparable.address) ===
+          normaliseAddress(subject.address)
+      ) || null
+    : null;
+
+  const withFloorArea = comparables.filter((c) => c.floorArea > 0);
+  const method =
+    floorArea && withFloorArea.length >= MIN_FLOOR_AREA_COMPARABLES
+      ? "price-per-sqm"
+      : "adjusted-price";
+
+  const estimates = (
+    method === "price-per-sqm" ? withFloorArea : comparables
+  ).map((comparable) => {
+    let weight = comparable.similarity / 100;
+
+    // Halve the weight of comparables with a clearly different room count
+    if (
+      habitableRooms &&
+      comparable.habitableRooms &&
+      Math.abs(comparable.habitableRooms - habitableRooms) > 1
+    ) {
+      weight *= 0.5;
+    }
+    if (comparable === lastSale) weight *= 3;
+
+    return {
+      value:
+        method === "price-per-sqm"
+          ? (comparable.adjustedPrice / comparable.floorArea) * floorArea
+          : comparable.adjustedPrice,
+      weight: Math.max(weight, 0.01),
+    };
+  });
+
+  const { mean, sd } = weightedLogStats(estimates);
+  const estimatedValue = roundValue(Math.exp(mean));
+
+  console.log(
+    `✅ Estimated £${estimatedValue.toLocaleString()} from ${
+      estimates.length
+    } comparables (${method})`
+  );
+
+  return {
+    ...base,
+    estimatedValue: estimatedValue,
+    interval: {
+      level: 0.9,
+      lower: roundValue(Math.exp(mean - INTERVAL_Z * sd)),
+      upper: roundValue(Math.exp(mean + INTERVAL_Z * sd)),
+    },
+    // Forecast standard deviation, the usual AVM accuracy measure
+    fsd: Math.round(sd * 1000) / 10,
+    confidence: sd < 0.1 ? "high" : sd < 0.2 ? "medium" : "low",
+    method: method,
+    pricePerSqm:
+      withFloorArea.length > 0
+        ? Math.round(
+            median(withFloorArea.map((c) => c.adjustedPrice / c.floorArea))
+          )
+        : null,
+    lastSale: lastSale && {
+      date: lastSale.date,
+      price: lastSale.price,
+      indexedValue: lastSale.adjustedPrice,
+    },
+    comparables: comparables,
+  };
+}
+
+// Weighted mean and spread of log values (prices are roughly log-normal).
+// The spread includes the uncertainty of the mean itself.
+function weightedLogStats(estimates) {
+  const totalWeight = estimates.reduce((sum, e) => sum + e.weight, 0);
+  const logs = estimates.map((e) => ({
+    value: Math.log(e.value),
+    weight: e.weight / totalWeight,
+  }));
+
+  const mean = logs.reduce((sum, l) => sum + l.weight * l.value, 0);
+  const variance = logs.reduce(
+    (sum, l) => sum + l.weight * Math.pow(l.value - mean, 2),
+    0
+  );
+  const effectiveCount = 1 / logs.reduce((sum, l) => sum + l.weight ** 2, 0);
+
+  return {
+    mean: mean,
+    sd: Math.sqrt(variance * (1 + 1 / effectiveCount)),
+  };
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2
+    ? sorted[middle]
+    : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function roundValue(value) {
+  return Math.round(value / 500) * 500;
+}
@@ -0,0 +1,222 @@
+// api/cache.js - Shared cache for upstream data sources
+//
+// Serverless functions start cold and share nothing between requests, so
+// upstream responses are kept in a persistent store: the api_cache table in
+// Supabase, a directory of JSON files (one per key) for local development,
+// or memory as a last resort. Pick one with CACHE_BACKEND=supabase|file|memory
+// (CACHE_DIR sets the directory).
+import { createHash } from "crypto";
+import { promises as fs } from "fs";
+import os from "os";
+import path from "path";
+import { supabase } from "./supabase-client.js";
+
+// Expired entries are still served, while a refresh runs in the background,
+// for up to this many TTLs past their expiry
+const STALE_TTL_MULTIPLIER = 7;
+
+class MemoryCacheStore {
+  constructor() {
+    this.name = "memory";
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    return this.entries.get(key) || null;
+  }
+
+  async set(key, entry) {
+    this.entries.set(key, entry);
+  }
+}
+
+class FileCacheStore {
+  constructor(directory) {
+    this.name = "file";
+    this.directory = directory;
+  }
+
+  // Keys hold postcodes and addresses, so files are named by their hash
+  fileFor(key) {
+    return path.join(
+      this.directory,
+      `${createHash("sha1").update(key).digest("hex")}.json`
+    );
+  }
+
+  async get(key) {
+    const file = this.fileFor(key);
+    try {
+      return JSON.parse(await fs.readFile(file, "utf8"));
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        console.warn(`⚠️ Ignoring unreadable cache file ${file}`);
+      }
+      return null;
+    }
+  }
+
+  async set(key, entry) {
+    const file = this.fileFor(key);
+    await fs.mkdir(this.directory, { recursive: true });
+
+    // Written alongside then renamed, so a reader never sees half an entry
+    const partial = `${file}.${process.pid}.${Date.now()}`;
+    await fs.writeFile(partial, JSON.stringify(entry));
+    await fs.rename(partial, file);
+  }
+}
+
+class SupabaseCacheStore {
+  constructor(client) {
+    this.name = "supabase";
+    this.client = client;
+  }
+
+  async get(key) {
+    const { data, error } = await this.client
+      .from("api_cache")
+      .select("value, stored_at, expires_at")
+      .eq("key", key)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) return null;
+
+    return {
+      value: data.value,
+      storedAt: new Date(data.stored_at).getTime(),
+      expiresAt: new Date(data.expires_at).getTime(),
+    };
+  }
+
+  async set(key, entry) {
+    const { error } = await this.client.from("api_cache").upsert(
+      {
+        key: key,
+        value: entry.value,
+        stored_at: new Date(entry.storedAt).toISOString(),
+        expires_at: new Date(entry.expiresAt).toISOString(),
+      },
+      { onConflict: "key" }
+    );
+
+    if (error) throw error;
+  }
+}
+
+export class UpstreamCache {
+  constructor(store) {
+    this.store = store;
+    this.inFlight = new Map();
+  }
+
+  get backend() {
+    return this.store.name;
+  }
+
+  // Value for key, fetching it on a miss. Fresh entries are returned as
+  // they are; stale ones are returned straight away and refreshed in the
+  // background. null results and fetch errors are never stored.
+  async getOrFetch(key, ttl, fetcher, stats) {
+    return (await this.lookup(key, ttl, fetcher, stats)).value;
+  }
+
+  // As getOrFetch, also saying where the value came from ("cache", "stale"
+  // or "live") and when it was fetched
+  async lookup(key, ttl, fetcher, stats = createCacheStats(this.backend)) {
+    let entry = null;
+    try {
+      entry = await this.store.get(key);
+    } catch (error) {
+      stats.errors++;
+      console.error(`❌ Cache read failed for ${key}:`, error.message || error);
+    }
+
+    const now = Date.now();
+
+    if (entry && now < entry.expiresAt) {
+      stats.hits++;
+      console.log(`📦 Using cached data for: ${key}`);
+      return { value: entry.value, from: "cache", storedAt: entry.storedAt };
+    }
+
+    if (entry && now < entry.expiresAt + ttl * STALE_TTL_MULTIPLIER) {
+      stats.stale++;
+      console.log(`📦 Using stale data for ${key} while refreshing`);
+      this.refresh(key, ttl, fetcher, stats).catch((error) =>
+        console.warn(`⚠️ Background refresh failed for ${key}:`, error.message)
+      );
+      return { value: entry.value, from: "stale", storedAt: entry.storedAt };
+    }
+
+    stats.misses++;
+    const value = await this.refresh(key, ttl, fetcher, stats);
+    return { value: value, from: "live", storedAt: Date.now() };
+  }
+
+  // One upstream fetch per key at a time, however many callers want it
+  refresh(key, ttl, fetcher, stats) {
+    if (this.inFlight.has(key)) return this.inFlight.get(key);
+
+    const request = (async () => {
+      const value = await fetcher();
+      if (value != null) await this.put(key, value, ttl, stats);
+      return value;
+    })().finally(() => this.inFlight.delete(key));
+
+    this.inFlight.set(key, request);
+    return request;
+  }
+
+  // Store a value for key, for fetchers that get several keys' worth at once
+  async put(key, value, ttl, stats = createCacheStats(this.backend)) {
+    const storedAt = Date.now();
+    try {
+      await this.store.set(key, {
+        value: value,
+        storedAt: storedAt,
+        expiresAt: storedAt + ttl,
+      });
+    } catch (error) {
+      stats.errors++;
+      console.error(
+        `❌ Cache write failed for ${key}:`,
+        error.message || error
+      );
+    }
+  }
+}
+
+// Per-request counters, reported with API responses
+export function createCacheStats(backend = upstreamCache.backend) {
+  return { backend: backend, hits: 0, stale: 0, misses: 0, errors: 0 };
+}
+
+function createStore() {
+  const backend =
+    process.env.CACHE_BACKEND ||
+    (supabase
+      ? "supabase"
+      : process.env.NODE_ENV !== "production"
+      ? "file"
+      : "memory");
+
+  if (backend === "supabase" && supabase) {
+    return new SupabaseCacheStore(supabase);
+  }
+
+  if (backend === "file") {
+    return new FileCacheStore(
+      process.env.CACHE_DIR ||
+        path.join(os.tmpdir(), "uk-property-upstream-cache")
+    );
+  }
+
+  if (backend !== "memory") {
+    console.warn(`⚠️ Cache backend "${backend}" unavailable, using memory`);
+  }
+  return new MemoryCacheStore();
+}
+
+export const upstreamCache = new UpstreamCache(createStore());
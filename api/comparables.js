@@ -0,0 +1,311 @@
+// api/comparables.js - Ranked comparable sales around a postcode
+import { supabase } from "./supabase-client.js";
+import { fromPropertyPriceRow } from "./price-paid.js";
+import {
+  calculateDistance,
+  findDistrictsWithinRadius,
+  getBulkPostcodeCoordinates,
+  getPostcodeCoordinates,
+} from "./postcodes.js";
+import { getNearbyProperties } from "./property-data.js";
+import { getDistrictPriceIndex, priceIndexFactor } from "./price-index.js";
+import {
+  FreeRealTimeDataProvider,
+  normalisePostcodeArea,
+} from "./real-time-data.js";
+
+// Share of the similarity score carried by each attribute
+const SIMILARITY_WEIGHTS = {
+  distance: 0.35,
+  propertyType: 0.25,
+  recency: 0.2,
+  tenure: 0.1,
+  newBuild: 0.1,
+};
+
+export default async function handler(req, res) {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "GET, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+
+  if (req.method === "OPTIONS") return res.status(200).end();
+  if (req.method !== "GET")
+    return res
+      .status(405)
+      .json({ success: false, error: "Method not allowed" });
+
+  try {
+    const {
+      postcode,
+      propertyType,
+      tenure,
+      newBuild,
+      date,
+      radius = 1,
+      months = 24,
+      limit = 10,
+    } = req.query;
+
+    if (!postcode) {
+      return res
+        .status(400)
+        .json({ success: false, error: "Postcode is required" });
+    }
+
+    if (normalisePostcodeArea(postcode).scope !== "postcode") {
+      return res
+        .status(400)
+        .json({ success: false, error: "A full UK postcode is required" });
+    }
+
+    if (date && isNaN(new Date(date))) {
+      return res
+        .status(400)
+        .json({ success: false, error: "date must be YYYY-MM-DD" });
+    }
+
+    const result = await findComparables({
+      postcode: postcode,
+      propertyType: propertyType?.toUpperCase() || null,
+      tenure: tenure?.toUpperCase() || null,
+      newBuild: newBuild ? (newBuild === "true" ? "Y" : "N") : null,
+      targetDate: date || new Date().toISOString().slice(0, 10),
+      radiusKm: Math.min(Math.max(parseFloat(radius) || 1, 0.1), 5),
+      monthsBack: Math.min(Math.max(parseInt(months) || 24, 3), 120),
+      limit: Math.min(Math.max(parseInt(limit) || 10, 1), 50),
+    });
+
+    if (!result) {
+      return res
+        .status(404)
+        .json({ success: false, error: "Postcode not found" });
+    }
+
+    res.status(200).json({
+      success: true,
+      ...result,
+      generatedAt: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error("❌ Comparables error:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+}
+
+// Sales within radiusKm of the postcode in the monthsBack before targetDate,
+// adjusted to targetDate with the district price index and ranked by how
+// closely they match the subject property
+export async function findComparables({
+  postcode,
+  propertyType = null,
+  tenure = null,
+  newBuild = null,
+  targetDate = new Date().toISOString().slice(0, 10),
+  radiusKm = 1,
+  monthsBack = 24,
+  limit = 10,
+}) {
+  const subject = normalisePostcodeArea(postcode).query;
+  const origin = await getPostcodeCoordinates(subject);
+  if (!origin) return null;
+
+  const since = new Date(targetDate);
+  since.setUTCMonth(since.getUTCMonth() - monthsBack);
+  const sinceDate = since.toISOString().slice(0, 10);
+
+  // Surrounding postcodes from the nearby_properties search, plus the
+  // subject's own sector so areas without metrics rows are still covered
+  const nearby = await getNearbyProperties(origin.lat, origin.lng, radiusKm);
+  const coordinates = new Map();
+  (nearby.data || []).forEach((area) => {
+    const lat = area.latitude ?? area.property_areas?.latitude;
+    const lng = area.longitude ?? area.property_areas?.longitude;
+    if (area.postcode && lat != null && lng != null) {
+      coordinates.set(area.postcode.toUpperCase(), { lat, lng });
+    }
+  });
+
+  const sector = subject.slice(0, -2);
+  const sales = (
+    await loadCandidateSales([...coordinates.keys()], sector, sinceDate, {
+      origin,
+      radiusKm,
+    })
+  ).filter(
+    (sale) =>
+      sale.date >= sinceDate &&
+      sale.date <= targetDate &&
+      sale.ppdCategory !== "B" &&
+      sale.recordStatus !== "D"
+  );
+
+  const missing = sales
+    .map((sale) => sale.postcode.toUpperCase())
+    .filter((code) => !coordinates.has(code));
+  (await getBulkPostcodeCoordinates(missing)).forEach((coords, code) =>
+    coordinates.set(code, coords)
+  );
+
+  const index = await getDistrictPriceIndex(subject, {
+    propertyType: propertyType,
+  }).catch(() => null);
+
+  const subjectAttributes = { propertyType, tenure, newBuild };
+  const comparables = sales
+    .map((sale) => {
+      const coords = coordinates.get(sale.postcode.toUpperCase());
+      if (!coords) return null;
+
+      const distanceKm = calculateDistance(
+        origin.lat,
+        origin.lng,
+        coords.lat,
+        coords.lng
+      );
+      if (distanceKm > radiusKm) return null;
+
+      const monthsAgo =
+        (new Date(targetDate) - new Date(sale.date)) / (30.44 * 86400000);
+      const timeAdjustment = priceIndexFactor(index, sale.date, targetDate);
+
+      return {
+        transactionId: sale.transactionId,
+        address: sale.address,
+        postcode: sale.postcode,
+        propertyType: sale.propertyType,
+        tenure: sale.tenure,
+        newBuild: sale.newBuild,
+        date: sale.date,
+        price: sale.price,
+        adjustedPrice: Math.round(sale.price * timeAdjustment),
+        timeAdjustment: Math.round(timeAdjustment * 10000) / 10000,
+        distanceKm: Math.round(distanceKm * 1000) / 1000,
+        similarity: calculateSimilarity(subjectAttributes, sale, {
+          distanceKm,
+          radiusKm,
+          monthsAgo,
+          monthsBack,
+        }),
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.similarity - a.similarity || a.distanceKm - b.distanceKm)
+    .slice(0, limit);
+
+  console.log(
+    `🏘️ ${comparables.length} comparables for ${subject} from ${sales.length} candidate sales`
+  );
+
+  return {
+    postcode: subject,
+    subject: { ...subjectAttributes, targetDate },
+    radiusKm: radiusKm,
+    monthsBack: monthsBack,
+    candidates: sales.length,
+    comparables: comparables,
+    summary: summariseComparables(comparables),
+    timeAdjustment: {
+      district: index?.district || null,
+      method: index?.method || null,
+      annualGrowth: index?.annualGrowth ?? null,
+    },
+  };
+}
+
+async function loadCandidateSales(
+  postcodes,
+  sector,
+  since,
+  { origin, radiusKm }
+) {
+  if (supabase) {
+    try {
+      const columns =
+        "transaction_id, price, date_of_transfer, postcode, property_type, old_new, duration, paon, saon, street, ppd_category_type, record_status";
+      const [inSector, inNearby] = await Promise.all([
+        supabase
+          .from("property_prices")
+          .select(columns)
+          .like("postcode", `${sector}%`)
+          .gte("date_of_transfer", since)
+          .limit(2000),
+        postcodes.length > 0
+          ? supabase
+              .from("property_prices")
+              .select(columns)
+              .in("postcode", postcodes)
+              .gte("date_of_transfer", since)
+              .limit(2000)
+          : { data: [] },
+      ]);
+
+      if (inSector.error) throw inSector.error;
+      if (inNearby.error) throw inNearby.error;
+
+      const byId = new Map();
+      [...inSector.data, ...inNearby.data].forEach((row) =>
+        byId.set(row.transaction_id, fromPropertyPriceRow(row))
+      );
+      if (byId.size > 0) return [...byId.values()];
+    } catch (error) {
+      console.error("❌ property_prices comparables query failed:", error);
+    }
+  }
+
+  // The whole of every district the radius reaches, so sales across it are
+  // candidates and not only those in the subject's sector
+  const districts = new Set([
+    sector.split(" ")[0],
+    ...(await findDistrictsWithinRadius(origin, radiusKm)),
+  ]);
+  const provider = new FreeRealTimeDataProvider();
+  const sales = await Promise.all(
+    [...districts].map((district) => provider.getLandRegistryData(district))
+  );
+  await provider.health.flush();
+  return sales.flat();
+}
+
+// 0-100 score; attributes the caller did not specify are left out of the
+// weighting rather than counted as matches
+export function calculateSimilarity(subject, sale, context) {
+  const scores = {
+    distance: 1 - context.distanceKm / context.radiusKm,
+    recency: 1 - Math.min(context.monthsAgo / context.monthsBack, 1),
+  };
+
+  ["propertyType", "tenure", "newBuild"].forEach((attribute) => {
+    if (subject[attribute]) {
+      scores[attribute] = subject[attribute] === sale[attribute] ? 1 : 0;
+    }
+  });
+
+  let total = 0;
+  let weight = 0;
+  Object.entries(scores).forEach(([attribute, score]) => {
+    total += SIMILARITY_WEIGHTS[attribute] * score;
+    weight += SIMILARITY_WEIGHTS[attribute];
+  });
+
+  return Math.round((total / weight) * 1000) / 10;
+}
+
+function summariseComparables(comparables) {
+  if (comparables.length === 0) return null;
+
+  const prices = comparables.map((c) => c.adjustedPrice).sort((a, b) => a - b);
+  const middle = Math.floor(prices.length / 2);
+
+  return {
+    count: prices.length,
+    medianAdjustedPrice:
+      prices.length % 2
+        ? prices[middle]
+        : Math.round((prices[middle - 1] + prices[middle]) / 2),
+    meanAdjustedPrice: Math.round(
+      prices.reduce((sum, price) => sum + price, 0) / prices.length
+    ),
+    minAdjustedPrice: prices[0],
+    maxAdjustedPrice: prices[prices.length - 1],
+  };
+}
@@ -0,0 +1,307 @@
+// api/crime.js - Multi-month crime trends with category weighting
+import { supabase } from "./supabase-client.js";
+import { getPostcodeCoordinates } from "./postcodes.js";
+
+// Severity weights by police.uk category; anti-social behaviour counts for
+// half a crime, violence and burglary for two or more
+export const CRIME_WEIGHTS = {
+  "anti-social-behaviour": 0.5,
+  "bicycle-theft": 0.75,
+  burglary: 2,
+  "criminal-damage-arson": 1.25,
+  drugs: 1,
+  "other-crime": 1,
+  "other-theft": 1,
+  "possession-of-weapons": 2,
+  "public-order": 1,
+  robbery: 2.5,
+  shoplifting: 0.5,
+  "theft-from-the-person": 1.5,
+  "vehicle-crime": 1.25,
+  "violent-crime": 2.5,
+};
+
+// "Crime type" values in the bulk street-level archives
+export const ARCHIVE_CATEGORIES = {
+  "Anti-social behaviour": "anti-social-behaviour",
+  "Bicycle theft": "bicycle-theft",
+  Burglary: "burglary",
+  "Criminal damage and arson": "criminal-damage-arson",
+  Drugs: "drugs",
+  "Other crime": "other-crime",
+  "Other theft": "other-theft",
+  "Possession of weapons": "possession-of-weapons",
+  "Public order": "public-order",
+  Robbery: "robbery",
+  Shoplifting: "shoplifting",
+  "Theft from the person": "theft-from-the-person",
+  "Vehicle crime": "vehicle-crime",
+  "Violence and sexual offences": "violent-crime",
+};
+
+// Weighted crimes per 1,000 residents a year for a typical LSOA
+export const NATIONAL_WEIGHTED_RATE = 110;
+
+const TREND_THRESHOLD = 5; // % change in weighted crime before it's a trend
+const API_CONCURRENCY = 4; // police.uk allows 15 requests a second
+const CACHE_DURATION = 24 * 60 * 60 * 1000; // 24 hours
+
+const trendCache = new Map();
+
+export default async function handler(req, res) {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "GET, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+
+  if (req.method === "OPTIONS") return res.status(200).end();
+  if (req.method !== "GET")
+    return res
+      .status(405)
+      .json({ success: false, error: "Method not allowed" });
+
+  try {
+    const { postcode, months = 24 } = req.query;
+
+    if (!postcode) {
+      return res
+        .status(400)
+        .json({ success: false, error: "Postcode is required" });
+    }
+
+    const location = await getPostcodeCoordinates(postcode);
+    if (!location) {
+      return res
+        .status(404)
+        .json({ success: false, error: "Postcode not found" });
+    }
+
+    const trends = await getCrimeTrends({
+      ...location,
+      months: Math.min(Math.max(parseInt(months) || 24, 12), 36),
+    });
+
+    res.status(200).json({
+      success: true,
+      postcode: postcode.toUpperCase(),
+      ...trends,
+      generatedAt: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error("❌ Crime trends error:", error);
+    res.status(502).json({ success: false, error: error.message });
+  }
+}
+
+// Monthly crime for the LSOA (from loaded police.uk archives) or, failing
+// that, within a mile of the point (from the police.uk API)
+export async function getCrimeTrends({ lat, lng, lsoa = null, months = 24 }) {
+  const cacheKey = `${lsoa || `${lat},${lng}`}|${months}`;
+  const cached = trendCache.get(cacheKey);
+  if (cached && cached.expires > Date.now()) {
+    console.log(`📦 Using cached crime trends for: ${cacheKey}`);
+    return cached.value;
+  }
+
+  let trends = lsoa ? await getArchiveTrends(lsoa, months) : null;
+  if (!trends) trends = await getApiTrends(lat, lng, months);
+
+  trendCache.set(cacheKey, {
+    value: trends,
+    expires: Date.now() + CACHE_DURATION,
+  });
+  return trends;
+}
+
+async function getArchiveTrends(lsoa, months) {
+  if (!supabase) return null;
+
+  try {
+    const since = shiftMonth(currentMonth(), -months - 6); // Archives lag
+    const [{ data: rows, error }, { data: population }] = await Promise.all([
+      supabase
+        .from("crime_lsoa_monthly")
+        .select("month, category, count")
+        .eq("lsoa_code", lsoa)
+        .gte("month", since),
+      supabase
+        .from("lsoa_population")
+        .select("population")
+        .eq("lsoa_code", lsoa)
+        .maybeSingle(),
+    ]);
+
+    if (error) throw error;
+    if (!rows || rows.length === 0) return null;
+
+    const byMonth = {};
+    rows.forEach((row) => {
+      byMonth[row.month] = byMonth[row.month] || {};
+      byMonth[row.month][row.category] =
+        (byMonth[row.month][row.category] || 0) + row.count;
+    });
+
+    // Latest `months` months present in the archive
+    const latest = Object.keys(byMonth).sort().slice(-months);
+    console.log(`✅ Loaded ${latest.length} months of archived crime`);
+
+    return summariseTrends(
+      latest.map((month) => ({ month, categories: byMonth[month] })),
+      {
+        source: "police-archive",
+        area: { lsoa: lsoa, population: population?.population || null },
+      }
+    );
+  } catch (error) {
+    console.error("❌ Crime archive lookup failed:", error.message || error);
+    return null;
+  }
+}
+
+async function getApiTrends(lat, lng, months) {
+  const response = await fetch("https://data.police.uk/api/crime-last-updated");
+  if (!response.ok) throw new Error(`Police API error: ${response.status}`);
+  const { date } = await response.json();
+  const latest = date.slice(0, 7);
+
+  const monthList = [];
+  for (let i = months - 1; i >= 0; i--) monthList.push(shiftMonth(latest, -i));
+
+  const results = [];
+  for (let i = 0; i < monthList.length; i += API_CONCURRENCY) {
+    const batch = await Promise.allSettled(
+      monthList.slice(i, i + API_CONCURRENCY).map(async (month) => {
+        const monthResponse = await fetch(
+          `https://data.police.uk/api/crimes-street/all-crime?lat=${lat}&lng=${lng}&date=${month}`
+        );
+        if (!monthResponse.ok) {
+          throw new Error(`Police API error: ${monthResponse.status}`);
+        }
+
+        const categories = {};
+        (await monthResponse.json()).forEach((crime) => {
+          categories[crime.category] = (categories[crime.category] || 0) + 1;
+        });
+        return { month, categories };
+      })
+    );
+    batch.forEach((result) => {
+      if (result.status === "fulfilled") results.push(result.value);
+    });
+  }
+
+  if (results.length === 0) throw new Error("Police API returned no months");
+  console.log(`✅ Fetched ${results.length} months of crime from police.uk`);
+
+  return summariseTrends(results, {
+    source: "police-api",
+    area: { radiusMiles: 1, population: null },
+  });
+}
+
+// Totals, weighted totals, year-on-year change and per-1,000 rates from a
+// list of { month, categories } in date order
+export function summariseTrends(monthly, { source, area }) {
+  const months = monthly.map(({ month, categories }) => {
+    const total = Object.values(categories).reduce((sum, n) => sum + n, 0);
+    return {
+      month: month,
+      total: total,
+      weighted: round(weightedCount(categories)),
+      categories: categories,
+    };
+  });
+
+  const last12 = months.slice(-12);
+  const previous12 = months.length >= 24 ? months.slice(-24, -12) : [];
+  const sum = (list, field) => list.reduce((total, m) => total + m[field], 0);
+  const change = (current, previous) =>
+    previous > 0 ? round(((current - previous) / previous) * 100) : null;
+
+  const totals = {
+    last12: sum(last12, "total"),
+    previous12: previous12.length ? sum(previous12, "total") : null,
+    weightedLast12: round(sum(last12, "weighted")),
+    weightedPrevious12: previous12.length
+      ? round(sum(previous12, "weighted"))
+      : null,
+  };
+
+  const yoyChange = change(totals.last12, totals.previous12);
+  const weightedYoyChange = change(
+    totals.weightedLast12,
+    totals.weightedPrevious12
+  );
+
+  const categoryTrends = {};
+  Object.keys(CRIME_WEIGHTS).forEach((category) => {
+    const count = (list) =>
+      list.reduce((total, m) => total + (m.categories[category] || 0), 0);
+    const current = count(last12);
+    const previous = previous12.length ? count(previous12) : null;
+    if (current || previous) {
+      categoryTrends[category] = {
+        last12: current,
+        previous12: previous,
+        change: change(current, previous),
+      };
+    }
+  });
+
+  const population = area.population;
+  const perThousand = population
+    ? {
+        crimes: round((totals.last12 / population) * 1000),
+        weighted: round((totals.weightedLast12 / population) * 1000),
+      }
+    : null;
+
+  return {
+    source: source,
+    area: area,
+    period: { from: months[0]?.month, to: months[months.length - 1]?.month },
+    months: months,
+    totals: totals,
+    totalCrimes: months[months.length - 1]?.total || 0,
+    crimeRate: totals.last12, // Crimes recorded over the last 12 months
+    categories: last12.reduce((all, m) => {
+      Object.entries(m.categories).forEach(([category, n]) => {
+        all[category] = (all[category] || 0) + n;
+      });
+      return all;
+    }, {}),
+    categoryTrends: categoryTrends,
+    yoyChange: yoyChange,
+    weightedYoyChange: weightedYoyChange,
+    trend:
+      weightedYoyChange == null
+        ? "unknown"
+        : weightedYoyChange > TREND_THRESHOLD
+        ? "rising"
+        : weightedYoyChange < -TREND_THRESHOLD
+        ? "falling"
+        : "stable",
+    perThousand: perThousand,
+    lastUpdated: new Date().toISOString(),
+  };
+}
+
+function weightedCount(categories) {
+  return Object.entries(categories).reduce(
+    (sum, [category, n]) => sum + n * (CRIME_WEIGHTS[category] ?? 1),
+    0
+  );
+}
+
+function currentMonth() {
+  return new Date().toISOString().slice(0, 7);
+}
+
+function shiftMonth(month, offset) {
+  const [year, monthIndex] = month.split("-").map(Number);
+  const date = new Date(Date.UTC(year, monthIndex - 1 + offset, 1));
+  return date.toISOString().slice(0, 7);
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
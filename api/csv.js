@@ -0,0 +1,127 @@
+// api/csv.js - RFC 4180 CSV parsing (quoted commas, escaped quotes, CRLF)
+import { createReadStream } from "fs";
+
+// Parse a whole CSV document into an array of rows (arrays of strings)
+export function parseCSV(text) {
+  const rows = [];
+  const parser = createCSVParser((row) => rows.push(row));
+  parser.write(text);
+  parser.end();
+  return rows;
+}
+
+// Incremental parser: feed it chunks with write() and it calls onRow for
+// every complete record, so large files never need to be held in memory
+export function createCSVParser(onRow) {
+  let field = "";
+  let row = [];
+  let inQuotes = false;
+  let pendingQuote = false; // Saw a quote inside a quoted field
+  let lastWasCR = false;
+
+  const endField = () => {
+    row.push(field);
+    field = "";
+  };
+
+  const endRow = () => {
+    endField();
+    // Skip blank lines
+    if (!(row.length === 1 && row[0] === "")) onRow(row);
+    row = [];
+  };
+
+  return {
+    write(chunk) {
+      for (let i = 0; i < chunk.length; i++) {
+        const char = chunk[i];
+
+        if (pendingQuote) {
+          pendingQuote = false;
+          if (char === '"') {
+            field += '"'; // Escaped quote ("")
+            continue;
+          }
+          inQuotes = false; // Closing quote
+        }
+
+        if (inQuotes) {
+          if (char === '"') pendingQuote = true;
+          else field += char;
+          continue;
+        }
+
+        if (lastWasCR) {
+          lastWasCR = false;
+          if (char === "\n") continue;
+        }
+
+        if (char === '"' && field === "") {
+          inQuotes = true;
+        } else if (char === ",") {
+          endField();
+        } else if (char === "\n") {
+          endRow();
+        } else if (char === "\r") {
+          endRow();
+          lastWasCR = true;
+        } else {
+          field += char;
+        }
+      }
+    },
+
+    end() {
+      if (pendingQuote) {
+        pendingQuote = false;
+        inQuotes = false;
+      }
+      if (field !== "" || row.length > 0) endRow();
+    },
+  };
+}
+
+// Stream rows from a Node/web readable (file stream or fetch body)
+export async function* parseCSVStream(readable) {
+  const queue = [];
+  const parser = createCSVParser((row) => queue.push(row));
+  const decoder = new TextDecoder();
+
+  for await (const chunk of readable) {
+    parser.write(
+      typeof chunk === "string"
+        ? chunk
+        : decoder.decode(chunk, { stream: true })
+    );
+    while (queue.length > 0) yield queue.shift();
+  }
+
+  parser.write(decoder.decode());
+  parser.end();
+  while (queue.length > 0) yield queue.shift();
+}
+
+// Records from a CSV file, keyed by its header's column names: trimmed,
+// lower-cased and then passed through normaliseColumn. Values are trimmed.
+// Rows before the first one isHeader accepts (given the normalised column
+// names) are skipped, for exports with title or note rows above the header.
+export async function* readRecords(
+  file,
+  { isHeader = () => true, normaliseColumn = (column) => column } = {}
+) {
+  let header = null;
+
+  for await (const row of parseCSVStream(createReadStream(file))) {
+    if (!header) {
+      const columns = row.map((column) =>
+        normaliseColumn(column.trim().toLowerCase())
+      );
+      if (isHeader(columns)) header = columns;
+      continue;
+    }
+
+    const record = {};
+    header.forEach((column, index) => (record[column] = row[index]?.trim()));
+    yield record;
+  }
+}
@@ -0,0 +1,70 @@
+// api/data-sources.js - Health of the upstream data sources
+// (/api/data-sources/status)
+import { upstreamCache } from "./cache.js";
+import { DATA_SOURCES } from "./real-time-data.js";
+import { sourceHealth } from "./source-health.js";
+
+export default async function handler(req, res) {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "GET, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+
+  if (req.method === "OPTIONS") return res.status(200).end();
+  if (req.method !== "GET")
+    return res
+      .status(405)
+      .json({ success: false, error: "Method not allowed" });
+
+  try {
+    const sources = await getDataSourceStatus();
+
+    res.status(200).json({
+      success: true,
+      sources: sources,
+      fallbacks: sources
+        .filter((source) => source.usingFallback)
+        .map((source) => ({
+          id: source.id,
+          name: source.name,
+          fallback: source.fallback,
+        })),
+      cacheBackend: upstreamCache.backend,
+      generatedAt: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error("❌ Data source status error:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+}
+
+// Every source in DATA_SOURCES with its last recorded fetch. status is
+// "live", "cached" or "fallback" depending on where the last value handed
+// out came from, or "unknown" if the source has not been used yet.
+export async function getDataSourceStatus(health = sourceHealth) {
+  return Promise.all(
+    Object.entries(DATA_SOURCES).map(async ([id, source]) => {
+      const record = await health.get(id);
+
+      return {
+        id: id,
+        name: source.name,
+        category: source.category,
+        url: source.url,
+        status: statusFor(record.servedFrom),
+        servedFrom: record.servedFrom,
+        servedAt: record.servedAt,
+        lastSuccessAt: record.lastSuccessAt,
+        lastErrorAt: record.lastErrorAt,
+        lastError: record.lastError,
+        latencyMs: record.latencyMs,
+        usingFallback: record.servedFrom === "fallback",
+        fallback: source.fallback,
+      };
+    })
+  );
+}
+
+function statusFor(servedFrom) {
+  if (servedFrom === "cache" || servedFrom === "stale") return "cached";
+  return servedFrom || "unknown";
+}
@@ -0,0 +1,286 @@
+// api/deal-analysis.js - Buy-to-let cash flow, mortgage and ICR stress testing
+import { FreeRealTimeDataProvider } from "./real-time-data.js";
+import { BUYER_TYPES, calculatePurchaseCosts } from "./purchase-costs.js";
+
+// Lender margin over Bank Rate used when no mortgage rate is supplied
+const DEFAULT_RATE_MARGIN = parseFloat(process.env.MORTGAGE_RATE_MARGIN) || 2.0;
+
+// Typical BTL lender stress-test rules (PRA SS13/16)
+const STRESS_RATE_BUFFER = 2.0;
+const STRESS_RATE_FLOOR = 5.5;
+const ICR_THRESHOLDS = {
+  basicRate: 1.25, // Basic-rate taxpayers and limited companies
+  higherRate: 1.45, // Higher/additional-rate taxpayers
+};
+
+export default async function handler(req, res) {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+
+  if (req.method === "OPTIONS") return res.status(200).end();
+  if (req.method !== "GET" && req.method !== "POST")
+    return res
+      .status(405)
+      .json({ success: false, error: "Method not allowed" });
+
+  try {
+    const params =
+      req.method === "POST" ? { ...req.query, ...(req.body || {}) } : req.query;
+
+    const { deal, errors } = parseDealInputs(params);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, errors: errors });
+    }
+
+    console.log(
+      `💷 Analysing deal: £${deal.purchasePrice.toLocaleString()} @ £${
+        deal.monthlyRent
+      }/month`
+    );
+
+    // Default the mortgage rate from live Bank Rate plus lender margin
+    let economicData = null;
+    if (deal.mortgageRate === null) {
+      const dataProvider = new FreeRealTimeDataProvider();
+      economicData = await dataProvider.getAllEconomicData();
+      await dataProvider.health.flush();
+    }
+
+    // Acquisition costs default to stamp duty + fees for the postcode's country
+    let acquisitionCosts = null;
+    if (deal.purchaseCosts === null && params.postcode) {
+      acquisitionCosts = calculatePurchaseCosts({
+        price: deal.purchasePrice,
+        postcode: params.postcode,
+        buyerType: deal.buyerType,
+      });
+      deal.purchaseCosts = acquisitionCosts.totalAcquisitionCosts;
+    }
+
+    const analysis = analyseDeal(deal, economicData);
+
+    res.status(200).json({
+      success: true,
+      inputs: deal,
+      ...analysis,
+      acquisitionCosts: acquisitionCosts,
+      generatedAt: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error("❌ Deal analysis error:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+}
+
+// Normalise query/body values into numbers with sensible BTL defaults
+export function parseDealInputs(params) {
+  const errors = [];
+
+  const number = (key, fallback = null) => {
+    const raw = params[key];
+    if (raw === undefined || raw === null || raw === "") return fallback;
+    const value = parseFloat(raw);
+    if (isNaN(value) || value < 0) {
+      errors.push(`${key} must be a non-negative number`);
+      return fallback;
+    }
+    return value;
+  };
+
+  const purchasePrice = number("purchasePrice");
+  const monthlyRent = number("monthlyRent");
+
+  if (!purchasePrice) errors.push("purchasePrice is required");
+  if (!monthlyRent) errors.push("monthlyRent is required");
+
+  // Deposit can be given as an amount or as a percentage of the price
+  const depositPercent = number("depositPercent", 25);
+  let deposit = number("deposit");
+  if (deposit === null && purchasePrice) {
+    deposit = (purchasePrice * depositPercent) / 100;
+  }
+  if (deposit !== null && purchasePrice && deposit > purchasePrice) {
+    errors.push("deposit cannot exceed purchasePrice");
+  }
+
+  const mortgageType = (params.mortgageType || "interest-only").toLowerCase();
+  if (!["interest-only", "repayment"].includes(mortgageType)) {
+    errors.push('mortgageType must be "interest-only" or "repayment"');
+  }
+
+  const mortgageTermYears = number("mortgageTermYears", 25);
+  if (mortgageTermYears !== null && mortgageTermYears < 1) {
+    errors.push("mortgageTermYears must be at least 1");
+  }
+
+  // Stamp duty surcharges apply to most BTL purchases
+  const buyerType = params.buyerType || "additional";
+  if (!BUYER_TYPES.includes(buyerType)) {
+    errors.push(`buyerType must be one of: ${BUYER_TYPES.join(", ")}`);
+  }
+
+  const deal = {
+    purchasePrice: purchasePrice,
+    deposit: deposit,
+    mortgageRate: number("mortgageRate"),
+    rateMargin: number("rateMargin", DEFAULT_RATE_MARGIN),
+    mortgageTermYears: mortgageTermYears,
+    mortgageType: mortgageType,
+    monthlyRent: monthlyRent,
+    managementFeePercent: number("managementFeePercent", 10),
+    voidWeeks: Math.min(number("voidWeeks", 2), 52),
+    annualInsurance: number("annualInsurance", 400),
+    maintenancePercent: number("maintenancePercent", 5),
+    otherAnnualCosts: number("otherAnnualCosts", 0),
+    purchaseCosts: number("purchaseCosts"),
+    refurbishmentCosts: number("refurbishmentCosts", 0),
+    buyerType: buyerType,
+  };
+
+  return { deal, errors };
+}
+
+export function analyseDeal(deal, economicData = null) {
+  const mortgage = calculateMortgage(deal, economicData);
+
+  // Income after void periods
+  const annualGrossRent = deal.monthlyRent * 12;
+  const voidAllowance = annualGrossRent * (deal.voidWeeks / 52);
+  const effectiveAnnualRent = annualGrossRent - voidAllowance;
+
+  // Operating costs (fees are charged on rent actually collected)
+  const managementFees =
+    (effectiveAnnualRent * deal.managementFeePercent) / 100;
+  const maintenance = (annualGrossRent * deal.maintenancePercent) / 100;
+  const operatingCosts =
+    managementFees + maintenance + deal.annualInsurance + deal.otherAnnualCosts;
+
+  const netOperatingIncome = effectiveAnnualRent - operatingCosts;
+  const annualCashFlow = netOperatingIncome - mortgage.annualPayment;
+
+  const totalCashInvested =
+    deal.deposit + (deal.purchaseCosts || 0) + deal.refurbishmentCosts;
+
+  // ROI counts first-year capital repaid as part of the return
+  const annualReturn = annualCashFlow + mortgage.firstYearPrincipal;
+
+  return {
+    mortgage: mortgage,
+    income: {
+      monthlyRent: round(deal.monthlyRent),
+      annualGrossRent: round(annualGrossRent),
+      voidAllowance: round(voidAllowance),
+      effectiveAnnualRent: round(effectiveAnnualRent),
+    },
+    costs: {
+      managementFees: round(managementFees),
+      maintenance: round(maintenance),
+      insurance: round(deal.annualInsurance),
+      other: round(deal.otherAnnualCosts),
+      totalOperatingCosts: round(operatingCosts),
+    },
+    cashFlow: {
+      monthly: round(annualCashFlow / 12),
+      annual: round(annualCashFlow),
+      netOperatingIncome: round(netOperatingIncome),
+    },
+    returns: {
+      grossYield: round((annualGrossRent / deal.purchasePrice) * 100),
+      netYield: round((netOperatingIncome / deal.purchasePrice) * 100),
+      cashOnCash:
+        totalCashInvested > 0
+          ? round((annualCashFlow / totalCashInvested) * 100)
+          : null,
+      roi:
+        totalCashInvested > 0
+          ? round((annualReturn / totalCashInvested) * 100)
+          : null,
+      totalCashInvested: round(totalCashInvested),
+    },
+    stressTest: calculateStressTest(deal, mortgage, annualGrossRent),
+  };
+}
+
+function calculateMortgage(deal, economicData) {
+  const loanAmount = Math.max(deal.purchasePrice - deal.deposit, 0);
+
+  let rate = deal.mortgageRate;
+  let rateSource = "input";
+  if (rate === null) {
+    const baseRate = economicData?.baseRate ?? 5.25;
+    rate = baseRate + deal.rateMargin;
+    rateSource =
+      economicData?.dataSources?.bankRate === "live"
+        ? "base_rate_plus_margin"
+        : "fallback_base_rate_plus_margin";
+  }
+
+  const monthlyRate = rate / 100 / 12;
+  const months = Math.round(deal.mortgageTermYears * 12);
+
+  let monthlyPayment = loanAmount * monthlyRate;
+  if (deal.mortgageType === "repayment" && loanAmount > 0) {
+    monthlyPayment =
+      monthlyRate > 0
+        ? (loanAmount * monthlyRate) / (1 - Math.pow(1 + monthlyRate, -months))
+        : loanAmount / months;
+  }
+
+  // Capital repaid over the first 12 months (zero for interest-only)
+  let firstYearPrincipal = 0;
+  if (deal.mortgageType === "repayment") {
+    let balance = loanAmount;
+    for (let m = 0; m < Math.min(12, months); m++) {
+      const principal = monthlyPayment - balance * monthlyRate;
+      firstYearPrincipal += principal;
+      balance -= principal;
+    }
+  }
+
+  return {
+    loanAmount: round(loanAmount),
+    loanToValue: round((loanAmount / deal.purchasePrice) * 100),
+    type: deal.mortgageType,
+    termYears: deal.mortgageTermYears,
+    rate: round(rate),
+    rateSource: rateSource,
+    baseRate: rateSource === "input" ? null : economicData?.baseRate ?? 5.25,
+    rateMargin: rateSource === "input" ? null : deal.rateMargin,
+    monthlyPayment: round(monthlyPayment),
+    annualPayment: round(monthlyPayment * 12),
+    monthlyInterest: round(loanAmount * monthlyRate),
+    firstYearPrincipal: round(firstYearPrincipal),
+  };
+}
+
+// Interest cover ratio: gross rent / interest at the lender's stress rate
+function calculateStressTest(deal, mortgage, annualGrossRent) {
+  const stressRate = Math.max(
+    mortgage.rate + STRESS_RATE_BUFFER,
+    STRESS_RATE_FLOOR
+  );
+  const stressedInterest = (mortgage.loanAmount * stressRate) / 100;
+  const icr = stressedInterest > 0 ? annualGrossRent / stressedInterest : null;
+
+  const results = {};
+  Object.entries(ICR_THRESHOLDS).forEach(([band, threshold]) => {
+    const maxLoan = annualGrossRent / threshold / (stressRate / 100);
+    results[band] = {
+      requiredICR: threshold * 100,
+      pass: icr === null || icr >= threshold,
+      maxLoan: Math.round(maxLoan),
+      minRentForCurrentLoan: round((stressedInterest * threshold) / 12),
+    };
+  });
+
+  return {
+    stressRate: round(stressRate),
+    icr: icr === null ? null : round(icr * 100),
+    ...results,
+  };
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
@@ -0,0 +1,401 @@
+// api/economic-series.js - Historical BoE and ONS series (/api/economic/series)
+//
+// scripts/snapshot-economic.js stores each series as that month's snapshot
+// (vintage) in the economic_series table, so revisions can be traced and
+// charts don't depend on the upstream APIs being up. Series with no snapshot
+// stored, or without Supabase, are fetched live through the shared cache.
+import { supabase } from "./supabase-client.js";
+import { upstreamCache } from "./cache.js";
+import { provenance } from "./provenance.js";
+
+// BoE series are monthly (daily Bank Rate is reduced to each month's last
+// value); the ONS series are as published
+export const ECONOMIC_SERIES = {
+  bankRate: {
+    name: "Bank Rate",
+    source: "Bank of England",
+    code: "IUDBEDR",
+    unit: "%",
+    frequency: "monthly",
+  },
+  mortgage2yFixed: {
+    name: "2-year fixed mortgage rate (75% LTV)",
+    source: "Bank of England",
+    code: "IUMBV34",
+    unit: "%",
+    frequency: "monthly",
+  },
+  mortgage5yFixed: {
+    name: "5-year fixed mortgage rate (75% LTV)",
+    source: "Bank of England",
+    code: "IUMBV42",
+    unit: "%",
+    frequency: "monthly",
+  },
+  inflation: {
+    name: "CPIH annual rate",
+    source: "ONS",
+    dataset: "cpih01",
+    code: "L55O",
+    unit: "%",
+    frequency: "monthly",
+  },
+  unemployment: {
+    name: "Unemployment rate (16+)",
+    source: "ONS",
+    dataset: "lms",
+    code: "MGSX",
+    unit: "%",
+    frequency: "monthly",
+  },
+  gdpGrowth: {
+    name: "GDP quarter-on-quarter growth",
+    source: "ONS",
+    dataset: "qna",
+    code: "IHYQ",
+    unit: "%",
+    frequency: "quarterly",
+  },
+};
+
+const HISTORY_FROM_YEAR = 2000;
+const DEFAULT_YEARS = 10;
+const CACHE_DURATION = 12 * 60 * 60 * 1000; // 12 hours
+
+const MONTHS = [
+  "JAN",
+  "FEB",
+  "MAR",
+  "APR",
+  "MAY",
+  "JUN",
+  "JUL",
+  "AUG",
+  "SEP",
+  "OCT",
+  "NOV",
+  "DEC",
+];
+
+export default async function handler(req, res) {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "GET, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+
+  if (req.method === "OPTIONS") return res.status(200).end();
+  if (req.method !== "GET")
+    return res
+      .status(405)
+      .json({ success: false, error: "Method not allowed" });
+
+  try {
+    const { ids, from, to, vintage } = req.query;
+    const requested = (ids || "")
+      .split(",")
+      .map((id) => id.trim())
+      .filter(Boolean);
+
+    if (requested.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: `ids is required (one or more of ${Object.keys(
+          ECONOMIC_SERIES
+        ).join(", ")})`,
+      });
+    }
+
+    const unknown = requested.filter((id) => !ECONOMIC_SERIES[id]);
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown series: ${unknown.join(", ")}`,
+      });
+    }
+
+    if ([from, to, vintage].some((value) => value && !isPeriod(value))) {
+      return res.status(400).json({
+        success: false,
+        error: "from, to and vintage must be YYYY-MM",
+      });
+    }
+
+    const defaultFrom = `${new Date().getUTCFullYear() - DEFAULT_YEARS}-01`;
+    const series = await Promise.all(
+      requested.map((id) =>
+        getSeries(id, { from: from || defaultFrom, to, vintage })
+      )
+    );
+
+    res.status(200).json({
+      success: true,
+      series: series,
+      generatedAt: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error("❌ Economic series error:", error);
+    res.status(502).json({ success: false, error: error.message });
+  }
+}
+
+// A series between from and to (YYYY-MM, quarters included by their first
+// month). vintage picks an earlier monthly snapshot from the store; by
+// default the latest stored snapshot is used, or the series is fetched live
+// if nothing is stored.
+export async function getSeries(id, { from = null, to = null, vintage } = {}) {
+  const meta = ECONOMIC_SERIES[id];
+  let result = await getStoredSeries(id, { vintage });
+
+  if (!result) {
+    if (vintage) {
+      throw new Error(`No ${vintage} snapshot stored for ${id}`);
+    }
+
+    const { value, storedAt } = await upstreamCache.lookup(
+      `series_${id}`,
+      CACHE_DURATION,
+      () => fetchSeries(id)
+    );
+    result = {
+      observations: value,
+      vintage: toPeriod(new Date(storedAt)),
+      retrievedAt: new Date(storedAt).toISOString(),
+      origin: "live",
+    };
+  }
+
+  const observations = result.observations.filter(
+    (point) =>
+      (!from || periodStart(point.period) >= from) &&
+      (!to || periodStart(point.period) <= to)
+  );
+
+  return {
+    id: id,
+    name: meta.name,
+    source: meta.source,
+    code: meta.code,
+    unit: meta.unit,
+    frequency: meta.frequency,
+    vintage: result.vintage,
+    origin: result.origin,
+    observations: observations,
+    provenance: provenance(`${meta.source} ${meta.code}`, {
+      retrievedAt: result.retrievedAt,
+      period:
+        observations.length > 0
+          ? {
+              from: observations[0].period,
+              to: observations[observations.length - 1].period,
+            }
+          : null,
+    }),
+  };
+}
+
+// Latest value and its change from the same month (or quarter) a year
+// earlier
+export function seriesTrend(points) {
+  if (points.length === 0) return null;
+
+  const latest = points[points.length - 1];
+  const [year, part] = latest.period.split("-");
+  const yearAgo = points.find(
+    (point) => point.period === `${year - 1}-${part}`
+  );
+  const change = yearAgo
+    ? Math.round((latest.value - yearAgo.value) * 100) / 100
+    : null;
+
+  return {
+    latest: latest.value,
+    period: latest.period,
+    change12m: change,
+    direction:
+      change == null
+        ? "unknown"
+        : change > 0.1
+        ? "rising"
+        : change < -0.1
+        ? "falling"
+        : "flat",
+  };
+}
+
+// Full history of a series from its publisher, oldest first
+export async function fetchSeries(id) {
+  const meta = ECONOMIC_SERIES[id];
+  if (!meta) throw new Error(`Unknown series: ${id}`);
+
+  if (meta.source === "Bank of England") {
+    const response = await fetch(boeSeriesUrl(meta.code, HISTORY_FROM_YEAR), {
+      headers: {
+        "User-Agent": "Mozilla/5.0 (compatible; UKPropertyApp/1.0)",
+        Accept: "text/csv",
+      },
+    });
+    if (!response.ok) throw new Error(`BoE API error: ${response.status}`);
+
+    return toMonthly(parseBoECsv(await response.text()));
+  }
+
+  const response = await fetch(
+    `https://api.ons.gov.uk/v1/datasets/${meta.dataset}/editions/time-series/timeseries/${meta.code}.json`
+  );
+  if (!response.ok) throw new Error(`ONS API error: ${response.status}`);
+
+  const data = await response.json();
+  const points = meta.frequency === "quarterly" ? data.quarters : data.months;
+  if (!points || points.length === 0) {
+    throw new Error(`No ${meta.code} data available`);
+  }
+  return parseOnsPoints(points);
+}
+
+// Store observations as this month's snapshot of the series
+export async function storeSeries(id, observations, vintage = null) {
+  if (!supabase || observations.length === 0) return 0;
+
+  const retrievedAt = new Date().toISOString();
+  const rows = observations.map((point) => ({
+    series_id: id,
+    period: point.period,
+    value: point.value,
+    vintage: vintage || toPeriod(new Date()),
+    retrieved_at: retrievedAt,
+  }));
+
+  try {
+    for (let i = 0; i < rows.length; i += 500) {
+      const { error } = await supabase
+        .from("economic_series")
+        .upsert(rows.slice(i, i + 500), {
+          onConflict: "series_id,period,vintage",
+        });
+      if (error) throw error;
+    }
+    return rows.length;
+  } catch (error) {
+    console.error(`❌ Storing ${id} series failed:`, error.message || error);
+    return 0;
+  }
+}
+
+// Latest stored snapshot (at or before vintage), or null if none is stored
+async function getStoredSeries(id, { vintage = null } = {}) {
+  if (!supabase) return null;
+
+  try {
+    let latest = supabase
+      .from("economic_series")
+      .select("vintage, retrieved_at")
+      .eq("series_id", id);
+    if (vintage) latest = latest.lte("vintage", vintage);
+
+    const { data: snapshot, error } = await latest
+      .order("vintage", { ascending: false })
+      .order("retrieved_at", { ascending: false })
+      .limit(1)
+      .maybeSingle();
+    if (error) throw error;
+    if (!snapshot) return null;
+
+    const { data, error: rowsError } = await supabase
+      .from("economic_series")
+      .select("period, value")
+      .eq("series_id", id)
+      .eq("vintage", snapshot.vintage)
+      .order("period", { ascending: true })
+      .limit(5000);
+    if (rowsError) throw rowsError;
+
+    return {
+      observations: data.map((row) => ({
+        period: row.period,
+        value: Number(row.value),
+      })),
+      vintage: snapshot.vintage,
+      retrievedAt: snapshot.retrieved_at,
+      origin: "store",
+    };
+  } catch (error) {
+    console.error(
+      `❌ Stored ${id} series unavailable:`,
+      error.message || error
+    );
+    return null;
+  }
+}
+
+export function boeSeriesUrl(code, fromYear) {
+  return `https://www.bankofengland.co.uk/boeapps/database/fromshowcolumns.asp?csv.x=yes&Datefrom=01/Jan/${fromYear}&Dateto=now&SeriesCodes=${code}&CSVF=TN&UsingCodes=Y`;
+}
+
+// BoE database CSV ("DATE,IUDBEDR" then "02 Jan 2024,5.25") as dated
+// observations, oldest first
+export function parseBoECsv(csv) {
+  return csv
+    .split("\n")
+    .map((line) => line.trim().split(","))
+    .filter((parts) => parts.length >= 2 && parts[1] !== "")
+    .map(([date, value]) => ({
+      date: parseBoEDate(date),
+      value: parseFloat(value),
+    }))
+    .filter((point) => point.date && !isNaN(point.value))
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// ONS "months" or "quarters" (oldest first) as observations: "2024 MAY" ->
+// "2024-05", "2024 Q1" -> "2024-Q1"
+export function parseOnsPoints(points) {
+  return points
+    .map((point) => {
+      const [year, part = ""] = point.date.split(" ");
+      const month = MONTHS.indexOf(part.slice(0, 3).toUpperCase()) + 1;
+
+      return {
+        period: /^Q[1-4]$/.test(part)
+          ? `${year}-${part}`
+          : month > 0
+          ? `${year}-${String(month).padStart(2, "0")}`
+          : point.date,
+        value: parseFloat(point.value),
+      };
+    })
+    .filter((point) => !isNaN(point.value));
+}
+
+// Last value in each month
+function toMonthly(observations) {
+  const months = new Map();
+  observations.forEach((point) =>
+    months.set(point.date.slice(0, 7), point.value)
+  );
+  return [...months].map(([period, value]) => ({ period, value }));
+}
+
+// "02 Jan 2024" -> "2024-01-02"
+function parseBoEDate(value) {
+  const [day, month, year] = value.trim().split(" ");
+  const monthNumber = MONTHS.indexOf((month || "").toUpperCase()) + 1;
+  if (!year || monthNumber === 0) return null;
+  return `${year}-${String(monthNumber).padStart(2, "0")}-${day.padStart(
+    2,
+    "0"
+  )}`;
+}
+
+// "2024-Q2" -> "2024-04"; months are unchanged
+function periodStart(period) {
+  const quarter = period.match(/^(\d{4})-Q([1-4])$/);
+  if (!quarter) return period;
+  return `${quarter[1]}-${String((quarter[2] - 1) * 3 + 1).padStart(2, "0")}`;
+}
+
+function toPeriod(date) {
+  return date.toISOString().slice(0, 7);
+}
+
+function isPeriod(value) {
+  return /^\d{4}-(0[1-9]|1[0-2])$/.test(value);
+}
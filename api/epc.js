@@ -0,0 +1,295 @@
+// api/epc.js - Domestic EPC register lookups (epc_certificates table)
+import { supabase } from "./supabase-client.js";
+import { dateRange } from "./provenance.js";
+
+export const EPC_BANDS = ["A", "B", "C", "D", "E", "F", "G"];
+
+// Minimum standard for new lettings today, and the proposed future one
+export const LETTING_MINIMUM_BAND = "E";
+export const PROPOSED_MINIMUM_BAND = "C";
+
+// Rough retrofit cost per band improved, for a 90m² home (scaled by floor area)
+const UPGRADE_COST_PER_BAND = { low: 2500, high: 6000 };
+const REFERENCE_FLOOR_AREA = 90;
+
+// Bulk CSV columns kept in epc_certificates (lower-cased header names)
+export const EPC_COLUMNS = [
+  "lmk_key",
+  "address1",
+  "address2",
+  "address3",
+  "postcode",
+  "uprn",
+  "current_energy_rating",
+  "potential_energy_rating",
+  "current_energy_efficiency",
+  "potential_energy_efficiency",
+  "property_type",
+  "built_form",
+  "total_floor_area",
+  "number_habitable_rooms",
+  "construction_age_band",
+  "tenure",
+  "mains_gas_flag",
+  "mainheat_description",
+  "walls_description",
+  "glazed_type",
+  "multi_glaze_proportion",
+  "lodgement_date",
+];
+
+const NUMERIC_COLUMNS = [
+  "current_energy_efficiency",
+  "potential_energy_efficiency",
+  "total_floor_area",
+  "number_habitable_rooms",
+  "multi_glaze_proportion",
+];
+
+export default async function handler(req, res) {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "GET, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+
+  if (req.method === "OPTIONS") return res.status(200).end();
+  if (req.method !== "GET")
+    return res
+      .status(405)
+      .json({ success: false, error: "Method not allowed" });
+
+  try {
+    const { postcode, address } = req.query;
+
+    if (!postcode) {
+      return res
+        .status(400)
+        .json({ success: false, error: "Postcode is required" });
+    }
+
+    const epc = await getEpcSummary(postcode, address || null);
+
+    if (!epc) {
+      return res.status(404).json({
+        success: false,
+        error: "No EPC certificates found for this postcode",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      ...epc,
+      generatedAt: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error("❌ EPC error:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+}
+
+// Map a bulk CSV row (keyed by header) onto an epc_certificates row
+export function toEpcRow(record) {
+  const row = {};
+  EPC_COLUMNS.forEach((column) => {
+    const value = (record[column.toUpperCase()] ?? "").trim();
+    row[column] = value === "" || value === "NO DATA!" ? null : value;
+  });
+
+  NUMERIC_COLUMNS.forEach((column) => {
+    row[column] = row[column] != null ? Number(row[column]) : null;
+    if (isNaN(row[column])) row[column] = null;
+  });
+
+  row.postcode = row.postcode?.toUpperCase() || null;
+  row.lodgement_date = row.lodgement_date?.slice(0, 10) || null;
+  return row;
+}
+
+// Latest certificate per address for the given postcodes
+export async function getEpcCertificates(postcodes) {
+  if (!supabase || postcodes.length === 0) return [];
+
+  try {
+    const { data, error } = await supabase
+      .from("epc_certificates")
+      .select(EPC_COLUMNS.join(", "))
+      .in("postcode", [...new Set(postcodes.map(normalisePostcode))])
+      .order("lodgement_date", { ascending: false });
+
+    if (error) throw error;
+
+    const latest = new Map();
+    (data || []).forEach((row) => {
+      const certificate = toCertificate(row);
+      const key = `${certificate.postcode}|${normaliseAddress(
+        certificate.address
+      )}`;
+      if (!latest.has(key)) latest.set(key, certificate);
+    });
+    return [...latest.values()];
+  } catch (error) {
+    console.error("EPC lookup unavailable:", error.message || error);
+    return [];
+  }
+}
+
+// Area summary for a postcode with its certificates, plus the matching
+// certificate for an address
+export async function getEpcSummary(postcode, address = null) {
+  const certificates = await getEpcCertificates([postcode]);
+  if (certificates.length === 0) return null;
+
+  const property = address ? findEpcForAddress(certificates, address) : null;
+
+  return {
+    postcode: normalisePostcode(postcode),
+    summary: summariseEpc(certificates),
+    certificates: certificates,
+    property: property && {
+      ...property,
+      upgradeCost: estimateUpgradeCost(
+        property.currentRating,
+        PROPOSED_MINIMUM_BAND,
+        property.floorArea
+      ),
+    },
+  };
+}
+
+export function summariseEpc(certificates) {
+  const rated = certificates.filter((c) => EPC_BANDS.includes(c.currentRating));
+  const bandCounts = Object.fromEntries(EPC_BANDS.map((band) => [band, 0]));
+  rated.forEach((c) => bandCounts[c.currentRating]++);
+
+  const sortedBands = rated
+    .map((c) => EPC_BANDS.indexOf(c.currentRating))
+    .sort((a, b) => a - b);
+  const floorAreas = certificates
+    .map((c) => c.floorArea)
+    .filter((area) => area > 0);
+  const share = (count) =>
+    rated.length > 0 ? Math.round((count / rated.length) * 1000) / 1000 : 0;
+
+  const medianBand =
+    sortedBands.length > 0
+      ? EPC_BANDS[sortedBands[Math.floor(sortedBands.length / 2)]]
+      : null;
+  const averageFloorArea =
+    floorAreas.length > 0
+      ? Math.round(
+          floorAreas.reduce((sum, area) => sum + area, 0) / floorAreas.length
+        )
+      : null;
+
+  return {
+    certificates: certificates.length,
+    bandCounts: bandCounts,
+    medianBand: medianBand,
+    shareBelowE: share(
+      rated.filter((c) => isBelowBand(c.currentRating, LETTING_MINIMUM_BAND))
+        .length
+    ),
+    shareBelowC: share(
+      rated.filter((c) => isBelowBand(c.currentRating, PROPOSED_MINIMUM_BAND))
+        .length
+    ),
+    averageFloorArea: averageFloorArea,
+    lodged: dateRange(certificates.map((c) => c.lodgementDate)),
+    typicalUpgradeCost: estimateUpgradeCost(
+      medianBand,
+      PROPOSED_MINIMUM_BAND,
+      averageFloorArea
+    ),
+    flags: Object.fromEntries(
+      ["noHeating", "singleGlazing", "uninsulatedWalls", "noMainsGas"].map(
+        (flag) => [
+          flag,
+          certificates.filter((c) => c.habitabilityFlags.includes(flag)).length,
+        ]
+      )
+    ),
+  };
+}
+
+export function isBelowBand(band, threshold) {
+  if (!EPC_BANDS.includes(band)) return false;
+  return EPC_BANDS.indexOf(band) > EPC_BANDS.indexOf(threshold);
+}
+
+// Indicative cost range to bring a home from one band up to another
+export function estimateUpgradeCost(fromBand, toBand, floorArea = null) {
+  if (!isBelowBand(fromBand, toBand)) return null;
+
+  const steps = EPC_BANDS.indexOf(fromBand) - EPC_BANDS.indexOf(toBand);
+  const scale = floorArea > 0 ? floorArea / REFERENCE_FLOOR_AREA : 1;
+  const round = (value) => Math.round(value / 100) * 100;
+
+  return {
+    from: fromBand,
+    to: toBand,
+    low: round(UPGRADE_COST_PER_BAND.low * steps * scale),
+    high: round(UPGRADE_COST_PER_BAND.high * steps * scale),
+  };
+}
+
+// Latest certificate whose address contains every token of the given one
+export function findEpcForAddress(certificates, address) {
+  const parts = normaliseAddress(address).split(" ").filter(Boolean);
+  if (parts.length === 0) return null;
+
+  return (
+    certificates.find((certificate) => {
+      const tokens = new Set(normaliseAddress(certificate.address).split(" "));
+      return parts.every((part) => tokens.has(part));
+    }) || null
+  );
+}
+
+export function normaliseAddress(address) {
+  return (address || "")
+    .toUpperCase()
+    .replace(/[^A-Z0-9 ]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function normalisePostcode(postcode) {
+  const compact = postcode.replace(/\s+/g, "").toUpperCase();
+  return `${compact.slice(0, -3)} ${compact.slice(-3)}`;
+}
+
+function toCertificate(row) {
+  const flags = [];
+  if (/no system present/i.test(row.mainheat_description || "")) {
+    flags.push("noHeating");
+  }
+  if (
+    /single/i.test(row.glazed_type || "") ||
+    (row.multi_glaze_proportion != null && row.multi_glaze_proportion < 50)
+  ) {
+    flags.push("singleGlazing");
+  }
+  if (/no insulation/i.test(row.walls_description || "")) {
+    flags.push("uninsulatedWalls");
+  }
+  if (row.mains_gas_flag === "N") flags.push("noMainsGas");
+
+  return {
+    address: [row.address1, row.address2, row.address3]
+      .filter(Boolean)
+      .join(" "),
+    postcode: row.postcode.toUpperCase(),
+    uprn: row.uprn || null,
+    currentRating: row.current_energy_rating,
+    potentialRating: row.potential_energy_rating,
+    currentEfficiency: Number(row.current_energy_efficiency) || null,
+    potentialEfficiency: Number(row.potential_energy_efficiency) || null,
+    propertyType: row.property_type,
+    builtForm: row.built_form,
+    floorArea: Number(row.total_floor_area) || null,
+    habitableRooms: Number(row.number_habitable_rooms) || null,
+    constructionAgeBand: row.construction_age_band,
+    tenure: row.tenure,
+    lodgementDate: row.lodgement_date,
+    habitabilityFlags: flags,
+  };
+}
@@ -0,0 +1,303 @@
+// api/flood.js - Flood risk by postcode
+//
+// Each postcode's flood zone (rivers and sea) and surface water risk come
+// from the Environment Agency flood maps, or their Natural Resources Wales
+// and SEPA equivalents, loaded into the flood_risk table by
+// scripts/load-flood.js. The risk band is the worse of the two, so Flood
+// Zone 3 or a high surface water risk is high.
+import { supabase } from "./supabase-client.js";
+import { formatPostcode, isValidPostcodeFormat } from "./postcodes.js";
+import { dateRange } from "./provenance.js";
+
+// Least to most at risk
+export const RISK_BANDS = ["very low", "low", "medium", "high"];
+
+// Who maps flooding in each country (ONSPD country codes)
+export const FLOOD_AUTHORITIES = {
+  E92000001: "Environment Agency",
+  W92000004: "Natural Resources Wales",
+  S92000003: "SEPA",
+};
+
+// An area takes the worst band at least this share of its postcodes are in
+const AREA_BAND_SHARE = 0.2;
+const MAX_AREA_POSTCODES = 10000;
+const MAX_OVERLAY_DEGREES = 1;
+const OVERLAY_LIMIT = 5000;
+
+export default async function handler(req, res) {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "GET, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+
+  if (req.method === "OPTIONS") return res.status(200).end();
+  if (req.method !== "GET")
+    return res
+      .status(405)
+      .json({ success: false, error: "Method not allowed" });
+
+  try {
+    const { postcode, bbox } = req.query;
+
+    // Map overlay: at-risk postcodes in view
+    if (bbox) {
+      const [south, west, north, east] = bbox.split(",").map(Number);
+      if (
+        [south, west, north, east].some((value) => !Number.isFinite(value)) ||
+        south >= north ||
+        west >= east
+      ) {
+        return res.status(400).json({
+          success: false,
+          error: "bbox must be south,west,north,east",
+        });
+      }
+
+      if (
+        north - south > MAX_OVERLAY_DEGREES ||
+        east - west > MAX_OVERLAY_DEGREES
+      ) {
+        return res.status(400).json({
+          success: false,
+          error: `bbox must be at most ${MAX_OVERLAY_DEGREES}° across`,
+        });
+      }
+
+      const overlay = await getFloodOverlay({ south, west, north, east });
+
+      if (!overlay) {
+        return res
+          .status(404)
+          .json({ success: false, error: "No flood risk data available" });
+      }
+
+      return res.status(200).json({
+        success: true,
+        ...overlay,
+        generatedAt: new Date().toISOString(),
+      });
+    }
+
+    if (!postcode) {
+      return res
+        .status(400)
+        .json({ success: false, error: "Postcode or bbox is required" });
+    }
+
+    if (!isValidPostcodeFormat(postcode)) {
+      return res
+        .status(400)
+        .json({ success: false, error: "Invalid UK postcode format" });
+    }
+
+    const flood = await getFloodRisk(postcode);
+
+    if (!flood) {
+      return res.status(404).json({
+        success: false,
+        error: "No flood risk data for this postcode",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      ...flood,
+      generatedAt: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error("❌ Flood risk error:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+}
+
+// Flood risk for a full postcode, or across the postcodes of a district
+// ("M1"). Null if the flood maps loaded don't cover it.
+export async function getFloodRisk(postcode) {
+  if (!supabase || !isValidPostcodeFormat(postcode)) return null;
+
+  const query = formatPostcode(postcode);
+  const isDistrict = !query.includes(" ");
+
+  try {
+    let request = supabase
+      .from("flood_risk")
+      .select(
+        "postcode, country_code, flood_zone, surface_water, risk_band, data_date"
+      );
+    request = isDistrict
+      ? request.like("postcode", `${query} %`).limit(MAX_AREA_POSTCODES)
+      : request.eq("postcode", query);
+
+    const { data, error } = await request;
+    if (error) throw error;
+    if (!data || data.length === 0) return null;
+
+    return {
+      postcode: query,
+      scope: isDistrict ? "district" : "postcode",
+      ...summariseFloodRisk(data),
+    };
+  } catch (error) {
+    console.error("Flood risk unavailable:", error.message || error);
+    return null;
+  }
+}
+
+// Postcodes at low risk or worse within bounds, for drawing on the map.
+// Null if there's no flood data to query.
+export async function getFloodOverlay({ south, west, north, east }) {
+  if (!supabase) return null;
+
+  try {
+    const { data, error } = await supabase
+      .from("flood_risk")
+      .select(
+        "postcode, latitude, longitude, flood_zone, surface_water, risk_band"
+      )
+      .in("risk_band", ["high", "medium", "low"])
+      .gte("latitude", south)
+      .lte("latitude", north)
+      .gte("longitude", west)
+      .lte("longitude", east)
+      .limit(OVERLAY_LIMIT);
+    if (error) throw error;
+
+    return {
+      bounds: { south, west, north, east },
+      postcodes: (data || []).map((row) => ({
+        postcode: row.postcode,
+        lat: row.latitude,
+        lng: row.longitude,
+        riskBand: row.risk_band,
+        floodZone: row.flood_zone,
+        surfaceWater: row.surface_water,
+      })),
+      truncated: (data || []).length === OVERLAY_LIMIT,
+    };
+  } catch (error) {
+    console.error("Flood overlay unavailable:", error.message || error);
+    return null;
+  }
+}
+
+// Risk band, flood zone and surface water risk from flood_risk rows: a
+// postcode's own, or for an area the worst each reaches in at least
+// AREA_BAND_SHARE of its postcodes. Either is null if no map loaded covers
+// the rows.
+export function summariseFloodRisk(rows) {
+  const share = (test) => rows.filter(test).length / rows.length;
+  const rank = (band) => RISK_BANDS.indexOf(band);
+  const round = (value) => Math.round(value * 100) / 100;
+
+  const riskBand =
+    [...RISK_BANDS]
+      .reverse()
+      .find(
+        (band) =>
+          share((row) => rank(row.risk_band) >= rank(band)) >= AREA_BAND_SHARE
+      ) || RISK_BANDS[0];
+  const floodZone = rows.some((row) => row.flood_zone != null)
+    ? [3, 2].find(
+        (zone) => share((row) => row.flood_zone >= zone) >= AREA_BAND_SHARE
+      ) || 1
+    : null;
+  const surfaceWater = rows.some((row) => row.surface_water)
+    ? [...RISK_BANDS]
+        .reverse()
+        .find(
+          (band) =>
+            share((row) => rank(row.surface_water) >= rank(band)) >=
+            AREA_BAND_SHARE
+        ) || RISK_BANDS[0]
+    : null;
+
+  const byBand = {};
+  RISK_BANDS.forEach((band) => {
+    byBand[band] = rows.filter((row) => row.risk_band === band).length;
+  });
+
+  const authorities = [
+    ...new Set(
+      rows.map((row) => FLOOD_AUTHORITIES[row.country_code]).filter(Boolean)
+    ),
+  ];
+
+  return {
+    riskBand: riskBand,
+    floodZone: floodZone,
+    surfaceWater: surfaceWater,
+    postcodes: rows.length,
+    shares: {
+      zone3: round(share((row) => row.flood_zone === 3)),
+      zone2: round(share((row) => row.flood_zone === 2)),
+      surfaceWaterHigh: round(share((row) => row.surface_water === "high")),
+    },
+    byBand: byBand,
+    period: dateRange(rows.map((row) => row.data_date)),
+    source: `${
+      authorities.length > 0 ? authorities.join(", ") : "Environment Agency"
+    } flood maps`,
+  };
+}
+
+// The worse of a postcode's flood zone (1-3) and surface water band
+export function floodRiskBand(floodZone, surfaceWater) {
+  if (floodZone === 3 || surfaceWater === "high") return "high";
+  if (floodZone === 2 || surfaceWater === "medium") return "medium";
+  if (surfaceWater === "low") return "low";
+  return "very low";
+}
+
+// Flood zone (2 or 3) of a flood zones feature, or null. The Environment
+// Agency and NRW give FZ2 / FZ3 (or "Flood Zone 3", "Zone 3b"); SEPA's
+// river and coastal maps give a likelihood instead, where high and medium
+// (0.5% a year or more) compare with Zone 3 and low with Zone 2.
+export function toFloodZone(properties) {
+  const record = lowerCaseKeys(properties);
+
+  const zone = ["flood_zone", "floodzone", "zone", "fz", "type", "layer"]
+    .map((key) => /([23])[ab]?\s*$/i.exec(String(record[key] ?? "").trim()))
+    .find(Boolean);
+  if (zone) return Number(zone[1]);
+
+  const likelihood = likelihoodOf(record);
+  if (likelihood === "high" || likelihood === "medium") return 3;
+  if (likelihood === "low") return 2;
+  return null;
+}
+
+// Surface water risk band of a surface water feature (Environment Agency,
+// NRW or SEPA), or null
+export function toSurfaceWaterBand(properties) {
+  return likelihoodOf(lowerCaseKeys(properties));
+}
+
+// "High", "Medium", "Low" or "Very Low" from whichever likelihood field a
+// publisher uses -> a RISK_BANDS entry
+function likelihoodOf(record) {
+  const value = [
+    "risk_band",
+    "prob_4band",
+    "likelihood",
+    "probability",
+    "risk",
+    "prob",
+  ]
+    .map((key) => String(record[key] ?? "").toLowerCase())
+    .find(Boolean);
+
+  if (!value) return null;
+  if (value.includes("very low")) return "very low";
+  if (value.includes("high")) return "high";
+  if (value.includes("medium")) return "medium";
+  if (value.includes("low")) return "low";
+  return null;
+}
+
+function lowerCaseKeys(properties) {
+  const record = {};
+  Object.entries(properties || {}).forEach(
+    ([key, value]) => (record[key.toLowerCase()] = value)
+  );
+  return record;
+}
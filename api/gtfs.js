@@ -0,0 +1,315 @@
+// api/gtfs.js - One service day from a GTFS timetable
+//
+// Used by scripts/load-transport.js and scripts/build-isochrones.js, and by
+// api/isochrones.js at request time: reading the trips that run on a date,
+// which services run, how each route maps to a mode, and the latest
+// departure from every stop that still reaches a destination in time (a
+// connection scan run backwards from the arrival time).
+import { existsSync } from "fs";
+import path from "path";
+import { readRecords } from "./csv.js";
+import { calculateDistance } from "./postcodes.js";
+
+const WEEKDAYS = [
+  "sunday",
+  "monday",
+  "tuesday",
+  "wednesday",
+  "thursday",
+  "friday",
+  "saturday",
+];
+
+// An unzipped feed's routes (id -> { name, mode }), located stops ({ id,
+// lat, lng }), transfers.txt interchanges ({ from, to, seconds }) and the
+// trips running on date ("2025-03-11") with their calls between from and to
+// (seconds after midnight). Each call is { stop, arrival, departure,
+// terminates }. Null if nothing runs that day. Stop ids are upper-cased, as
+// they're ATCO codes in UK feeds.
+export async function readServiceDay(dir, { date, from, to }) {
+  const file = (name) => path.join(dir, name);
+
+  const routes = new Map();
+  (await readAll(file("routes.txt"))).forEach((route) => {
+    const mode = routeMode(route.route_type);
+    if (!mode) return;
+    routes.set(route.route_id, {
+      name: route.route_short_name || route.route_long_name || route.route_id,
+      mode: mode,
+    });
+  });
+
+  const services = activeServices(
+    await readAll(file("calendar.txt")),
+    await readAll(file("calendar_dates.txt")),
+    date
+  );
+  if (services.size === 0) return null;
+
+  const trips = new Map();
+  (await readAll(file("trips.txt"))).forEach((trip) => {
+    if (!services.has(trip.service_id) || !routes.has(trip.route_id)) return;
+    trips.set(trip.trip_id, {
+      id: trip.trip_id,
+      route: trip.route_id,
+      direction: trip.direction_id || "0",
+      calls: [],
+      lastSequence: -Infinity,
+    });
+  });
+
+  // The last call of each trip is tracked even outside the window, so its
+  // terminating call isn't taken for a departure
+  for await (const stopTime of readRecords(file("stop_times.txt"))) {
+    const trip = trips.get(stopTime.trip_id);
+    if (!trip) continue;
+
+    const sequence = parseInt(stopTime.stop_sequence, 10);
+    trip.lastSequence = Math.max(trip.lastSequence, sequence);
+
+    const arrival = parseGtfsTime(
+      stopTime.arrival_time || stopTime.departure_time
+    );
+    const departure = parseGtfsTime(
+      stopTime.departure_time || stopTime.arrival_time
+    );
+    if (arrival == null || departure > to || arrival < from) continue;
+
+    trip.calls.push({
+      stop: stopTime.stop_id.toUpperCase(),
+      sequence: sequence,
+      arrival: arrival,
+      departure: departure,
+    });
+  }
+
+  const stops = (await readAll(file("stops.txt")))
+    .map((stop) => ({
+      id: stop.stop_id.toUpperCase(),
+      lat: parseFloat(stop.stop_lat),
+      lng: parseFloat(stop.stop_lon),
+    }))
+    .filter((stop) => !isNaN(stop.lat) && !isNaN(stop.lng));
+
+  const transfers = (await readAll(file("transfers.txt")))
+    .filter(
+      (transfer) =>
+        transfer.transfer_type !== "3" &&
+        transfer.from_stop_id &&
+        transfer.to_stop_id &&
+        !isNaN(parseInt(transfer.min_transfer_time, 10))
+    )
+    .map((transfer) => ({
+      from: transfer.from_stop_id.toUpperCase(),
+      to: transfer.to_stop_id.toUpperCase(),
+      seconds: parseInt(transfer.min_transfer_time, 10),
+    }));
+
+  return {
+    routes: routes,
+    stops: stops,
+    transfers: transfers,
+    trips: [...trips.values()]
+      .filter((trip) => trip.calls.length > 0)
+      .map(({ id, route, direction, calls, lastSequence }) => ({
+        id,
+        route,
+        direction,
+        calls: calls
+          .sort((a, b) => a.sequence - b.sequence)
+          .map(({ stop, arrival, departure, sequence }) => ({
+            stop,
+            arrival,
+            departure,
+            terminates: sequence === lastSequence,
+          })),
+      })),
+  };
+}
+
+// Connections between consecutive calls of the trips that arrive by
+// arriveBy, latest arrival first, as latestDepartures takes them
+export function tripConnections(trips, { arriveBy }) {
+  const connections = [];
+
+  trips.forEach((trip) => {
+    trip.calls.forEach((call, index) => {
+      const next = trip.calls[index + 1];
+      if (!next || next.arrival > arriveBy) return;
+
+      connections.push({
+        trip: trip.id,
+        from: call.stop,
+        to: next.stop,
+        departure: call.departure,
+        arrival: next.arrival,
+      });
+    });
+  });
+
+  return connections.sort((a, b) => b.arrival - a.arrival);
+}
+
+// Walks for changing between stops: walkingLinks between nearby stops plus
+// the feed's transfers.txt interchanges
+export function transferWalks(stops, transfers, options) {
+  const walks = walkingLinks(stops, options);
+  transfers.forEach((transfer) => {
+    if (!walks.has(transfer.to)) walks.set(transfer.to, []);
+    walks.get(transfer.to).push({
+      stop: transfer.from,
+      seconds: transfer.seconds,
+    });
+  });
+  return walks;
+}
+
+// GTFS route_type, basic or extended -> bus, metro (tram, underground and
+// light rail), rail or ferry; null for anything else (air, taxi, cable car)
+export function routeMode(routeType) {
+  const type = parseInt(routeType, 10);
+  if (isNaN(type)) return null;
+
+  if (type === 2 || (type >= 100 && type < 200)) return "rail";
+  if ([0, 1, 5, 7].includes(type)) return "metro";
+  if ((type >= 400 && type < 500) || (type >= 900 && type < 1000)) {
+    return "metro";
+  }
+  if (type === 1400) return "metro"; // Funicular
+  if ([3, 11].includes(type)) return "bus";
+  if ((type >= 200 && type < 300) || (type >= 700 && type < 900)) {
+    return "bus";
+  }
+  if (type === 4 || type === 1000 || type === 1200) return "ferry";
+  return null;
+}
+
+// "08:15:00" (or "25:10:00" for trips running past midnight) -> seconds
+// after midnight
+export function parseGtfsTime(value) {
+  const match = /^\s*(\d{1,2}):(\d{2}):(\d{2})/.exec(value || "");
+  return match
+    ? Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3])
+    : null;
+}
+
+// service_ids running on date ("2025-03-11"), from calendar.txt records and
+// the exceptions in calendar_dates.txt
+export function activeServices(calendar, calendarDates, date) {
+  const day = date.replace(/-/g, "");
+  const weekday = WEEKDAYS[new Date(`${date}T00:00:00Z`).getUTCDay()];
+  const services = new Set();
+
+  calendar.forEach((service) => {
+    if (
+      service[weekday] === "1" &&
+      service.start_date <= day &&
+      service.end_date >= day
+    ) {
+      services.add(service.service_id);
+    }
+  });
+
+  calendarDates.forEach((exception) => {
+    if (exception.date !== day) return;
+    if (exception.exception_type === "1") services.add(exception.service_id);
+    if (exception.exception_type === "2") {
+      services.delete(exception.service_id);
+    }
+  });
+
+  return services;
+}
+
+// Walking links between stops within maxMetres of each other, keyed by the
+// stop walked to: stop -> [{ stop (walked from), seconds }]. Stops are
+// { id, lat, lng }; a grid keeps this to near neighbours.
+export function walkingLinks(stops, { maxMetres, metresPerMinute }) {
+  const cellSize = maxMetres / 111320; // Degrees of latitude
+  const cellOf = (stop) => [
+    Math.floor(stop.lat / cellSize),
+    Math.floor(stop.lng / cellSize / 2), // A degree of longitude is shorter
+  ];
+
+  const grid = new Map();
+  stops.forEach((stop) => {
+    const key = cellOf(stop).join(",");
+    if (!grid.has(key)) grid.set(key, []);
+    grid.get(key).push(stop);
+  });
+
+  const links = new Map();
+  stops.forEach((stop) => {
+    const [row, column] = cellOf(stop);
+    for (let i = row - 1; i <= row + 1; i++) {
+      for (let j = column - 1; j <= column + 1; j++) {
+        (grid.get(`${i},${j}`) || []).forEach((other) => {
+          if (other.id === stop.id) return;
+
+          const metres =
+            calculateDistance(stop.lat, stop.lng, other.lat, other.lng) * 1000;
+          if (metres > maxMetres) return;
+
+          if (!links.has(stop.id)) links.set(stop.id, []);
+          links.get(stop.id).push({
+            stop: other.id,
+            seconds: Math.round((metres / metresPerMinute) * 60),
+          });
+        });
+      }
+    }
+  });
+
+  return links;
+}
+
+// Latest time (seconds after midnight) each stop can be left and still
+// reach a target by arriveBy. connections are { trip, from, to, departure,
+// arrival }, sorted by arrival, latest first; targets maps a stop to the
+// seconds it takes to walk from it to the destination; walks are the links
+// from walkingLinks. A stop missing from the result can't make it in time.
+export function latestDepartures(
+  connections,
+  { targets, arriveBy, walks = new Map() }
+) {
+  const latest = new Map();
+
+  const reach = (stop, time) => {
+    if (time <= (latest.get(stop) ?? -Infinity)) return false;
+    latest.set(stop, time);
+    return true;
+  };
+  // Being at a stop by `time` also serves the stops a short walk away
+  const reachOnFoot = (stop, time) => {
+    if (!reach(stop, time)) return;
+    (walks.get(stop) || []).forEach((walk) =>
+      reach(walk.stop, time - walk.seconds)
+    );
+  };
+
+  targets.forEach((seconds, stop) => reachOnFoot(stop, arriveBy - seconds));
+
+  // Trips already known to get there: any earlier stop on them will too
+  const onBoard = new Set();
+  for (const connection of connections) {
+    if (connection.arrival > arriveBy) continue;
+
+    if (
+      onBoard.has(connection.trip) ||
+      connection.arrival <= (latest.get(connection.to) ?? -Infinity)
+    ) {
+      onBoard.add(connection.trip);
+      reachOnFoot(connection.from, connection.departure);
+    }
+  }
+
+  return latest;
+}
+
+// Every record of an optional feed file; none if it's missing
+async function readAll(file) {
+  const records = [];
+  if (!existsSync(file)) return records;
+  for await (const record of readRecords(file)) records.push(record);
+  return records;
+}
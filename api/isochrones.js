@@ -0,0 +1,389 @@
+// api/isochrones.js - Postcode districts within a commute of a workplace
+//
+// Travel times come from the commute graph built by
+// scripts/build-isochrones.js, read from disk: public transport by scanning
+// the timetable backwards from the arrival time (see api/gtfs.js), driving
+// by the quickest route over the road graph to the workplace. Districts are
+// timed from their centres, so the times are typical for a district rather
+// than for each street in it.
+import { promises as fs } from "fs";
+import path from "path";
+import { latestDepartures, transferWalks } from "./gtfs.js";
+import {
+  calculateDistance,
+  isValidPostcodeFormat,
+  lookupPostcode,
+} from "./postcodes.js";
+import { WALK_METRES_PER_MINUTE } from "./transport.js";
+
+export const COMMUTE_MODES = ["transit", "driving"];
+export const DEFAULT_GRAPH_FILE = path.join("data", "isochrones.json");
+export const MAX_COMMUTE_MINUTES = 120;
+export const DISTRICT_WALK_METRES = 1000; // District centre to a stop
+
+const MIN_COMMUTE_MINUTES = 5;
+const DEFAULT_MINUTES = 45;
+const WORKPLACE_WALK_METRES = 1000; // Last stop to the workplace
+const TRANSFER_WALK_METRES = 400; // Longest walk between stops on a change
+const DIRECT_WALK_KM = 2; // Districts this close are timed on foot too
+const ROAD_ACCESS_KMH = 20; // From a district centre or workplace to the graph
+const PARKING_MINUTES = 5;
+
+let graphCache = null;
+
+export default async function handler(req, res) {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "GET, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+
+  if (req.method === "OPTIONS") return res.status(200).end();
+  if (req.method !== "GET")
+    return res
+      .status(405)
+      .json({ success: false, error: "Method not allowed" });
+
+  try {
+    const { postcode, minutes, mode = "transit" } = req.query;
+
+    if (!postcode) {
+      return res
+        .status(400)
+        .json({ success: false, error: "Workplace postcode is required" });
+    }
+
+    if (!isValidPostcodeFormat(postcode)) {
+      return res
+        .status(400)
+        .json({ success: false, error: "Invalid UK postcode format" });
+    }
+
+    const maxMinutes = minutes != null ? Number(minutes) : DEFAULT_MINUTES;
+    if (
+      !Number.isInteger(maxMinutes) ||
+      maxMinutes < MIN_COMMUTE_MINUTES ||
+      maxMinutes > MAX_COMMUTE_MINUTES
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: `minutes must be a whole number from ${MIN_COMMUTE_MINUTES} to ${MAX_COMMUTE_MINUTES}`,
+      });
+    }
+
+    if (!COMMUTE_MODES.includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        error: `mode must be one of ${COMMUTE_MODES.join(", ")}`,
+      });
+    }
+
+    const isochrone = await getCommuteIsochrone(postcode, {
+      minutes: maxMinutes,
+      mode,
+    });
+
+    if (!isochrone) {
+      return res.status(404).json({
+        success: false,
+        error: `No ${
+          mode === "transit" ? "timetable" : "road network"
+        } data covers this workplace`,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      ...isochrone,
+      generatedAt: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error("❌ Commute search error:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+}
+
+// Postcode districts within `minutes` of the workplace by mode, quickest
+// first. Null if the commute graph hasn't been built with that mode, or
+// the workplace can't be located or lies outside the area it covers.
+export async function getCommuteIsochrone(
+  postcode,
+  { minutes = DEFAULT_MINUTES, mode = "transit" } = {}
+) {
+  const graph = await loadGraph();
+  if (!graph || !(mode === "transit" ? graph.transit : graph.roads)) {
+    return null;
+  }
+
+  const geography = await lookupPostcode(postcode).catch(() => null);
+  if (geography?.lat == null || geography?.lng == null) return null;
+
+  const { bounds } = graph;
+  if (
+    geography.lat < bounds.south ||
+    geography.lat > bounds.north ||
+    geography.lng < bounds.west ||
+    geography.lng > bounds.east
+  ) {
+    return null;
+  }
+
+  const workplace = { lat: geography.lat, lng: geography.lng };
+  const times =
+    mode === "transit"
+      ? transitTimes(graph, workplace)
+      : drivingTimes(graph, workplace);
+
+  return {
+    workplace: {
+      postcode: geography.postcode || postcode.toUpperCase(),
+      ...workplace,
+    },
+    mode: mode,
+    maxMinutes: minutes,
+    arriveBy: mode === "transit" ? graph.arriveBy : null,
+    serviceDate: mode === "transit" ? graph.serviceDate : null,
+    districts: graph.districts
+      .map((district) => ({
+        district: district.district,
+        lat: district.lat,
+        lng: district.lng,
+        minutes: times.get(district.district) ?? null,
+      }))
+      .filter((district) => district.minutes != null)
+      .filter((district) => district.minutes <= minutes)
+      .sort((a, b) => a.minutes - b.minutes),
+    districtsCovered: graph.districts.length,
+    builtAt: graph.builtAt,
+    source:
+      mode === "transit"
+        ? "GTFS timetables (local commute graph)"
+        : "Road network (local commute graph)",
+  };
+}
+
+// Index of the road node nearest a point; an equirectangular distance is
+// plenty for ranking neighbours
+export function nearestNode(nodes, { lat, lng }) {
+  const scale = Math.cos((lat * Math.PI) / 180);
+  let nearest = -1;
+  let best = Infinity;
+
+  nodes.forEach(([nodeLat, nodeLng], index) => {
+    const distance = (nodeLat - lat) ** 2 + ((nodeLng - lng) * scale) ** 2;
+    if (distance < best) {
+      best = distance;
+      nearest = index;
+    }
+  });
+
+  return nearest;
+}
+
+// District -> minutes by public transport, arriving by the graph's arrival
+// time: the walk to a nearby stop, the wait-free latest departure from it
+// and the walk from the last stop; or walking all the way when close
+function transitTimes(graph, workplace) {
+  const { stops, connections, walks } = graph.transit;
+  const [hours, minutes] = graph.arriveBy.split(":").map(Number);
+  const arriveBy = hours * 3600 + minutes * 60;
+  const walkSeconds = (metres) => (metres / WALK_METRES_PER_MINUTE) * 60;
+
+  const targets = new Map();
+  stops.forEach((stop) => {
+    const metres =
+      calculateDistance(workplace.lat, workplace.lng, stop.lat, stop.lng) *
+      1000;
+    if (metres <= WORKPLACE_WALK_METRES) {
+      targets.set(stop.id, Math.round(walkSeconds(metres)));
+    }
+  });
+
+  const latest = latestDepartures(connections, { targets, arriveBy, walks });
+
+  const times = new Map();
+  graph.districts.forEach((district) => {
+    let best = Infinity;
+    (district.stops || []).forEach(([stop, metres]) => {
+      const leave = latest.get(stop);
+      if (leave == null) return;
+      best = Math.min(best, arriveBy - leave + walkSeconds(metres));
+    });
+
+    const directKm = calculateDistance(
+      district.lat,
+      district.lng,
+      workplace.lat,
+      workplace.lng
+    );
+    if (directKm <= DIRECT_WALK_KM) {
+      best = Math.min(best, walkSeconds(directKm * 1000));
+    }
+
+    if (best < Infinity) times.set(district.district, Math.round(best / 60));
+  });
+
+  return times;
+}
+
+// District -> minutes by car to the workplace, including getting onto the
+// road graph at both ends and parking
+function drivingTimes(graph, workplace) {
+  const { nodes, inbound } = graph.roads;
+  const accessSeconds = (metres) => (metres / 1000 / ROAD_ACCESS_KMH) * 3600;
+
+  const start = nearestNode(nodes, workplace);
+  const startSeconds = accessSeconds(
+    calculateDistance(
+      workplace.lat,
+      workplace.lng,
+      nodes[start][0],
+      nodes[start][1]
+    ) * 1000
+  );
+
+  // Quickest time from every node to the workplace, searching backwards
+  // along the roads leading into each node
+  const seconds = new Float64Array(nodes.length).fill(Infinity);
+  const limit = MAX_COMMUTE_MINUTES * 60;
+  const queue = new MinHeap();
+  seconds[start] = startSeconds;
+  queue.push(startSeconds, start);
+
+  while (queue.size > 0) {
+    const [time, node] = queue.pop();
+    if (time > seconds[node] || time > limit) continue;
+
+    (inbound[node] || []).forEach(([from, edgeSeconds]) => {
+      const arrival = time + edgeSeconds;
+      if (arrival < seconds[from]) {
+        seconds[from] = arrival;
+        queue.push(arrival, from);
+      }
+    });
+  }
+
+  const times = new Map();
+  graph.districts.forEach((district) => {
+    if (!district.road) return;
+
+    const [node, metres] = district.road;
+    if (seconds[node] === Infinity) return;
+
+    const total = seconds[node] + accessSeconds(metres) + PARKING_MINUTES * 60;
+    times.set(district.district, Math.round(total / 60));
+  });
+
+  return times;
+}
+
+// The commute graph, read once per instance and indexed for searching;
+// null until scripts/build-isochrones.js has written it
+async function loadGraph() {
+  if (graphCache) return graphCache;
+
+  const file =
+    process.env.ISOCHRONE_GRAPH || path.join(process.cwd(), DEFAULT_GRAPH_FILE);
+
+  let graph;
+  try {
+    graph = JSON.parse(await fs.readFile(file, "utf8"));
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      console.warn(`⚠️ Ignoring unreadable commute graph ${file}`);
+    }
+    return null;
+  }
+
+  if (graph.transit) {
+    const stops = graph.transit.stops.map(([lat, lng], id) => ({
+      id,
+      lat,
+      lng,
+    }));
+    graph.transit = {
+      stops: stops,
+      connections: graph.transit.connections.map(
+        ([trip, from, to, departure, arrival]) => ({
+          trip,
+          from,
+          to,
+          departure,
+          arrival,
+        })
+      ),
+      walks: transferWalks(
+        stops,
+        (graph.transit.transfers || []).map(([from, to, seconds]) => ({
+          from,
+          to,
+          seconds,
+        })),
+        {
+          maxMetres: TRANSFER_WALK_METRES,
+          metresPerMinute: WALK_METRES_PER_MINUTE,
+        }
+      ),
+    };
+  }
+
+  if (graph.roads) {
+    const inbound = [];
+    graph.roads.edges.forEach(([from, to, seconds]) => {
+      (inbound[to] = inbound[to] || []).push([from, seconds]);
+    });
+    graph.roads = { nodes: graph.roads.nodes, inbound: inbound };
+  }
+
+  console.log(`🗺️ Commute graph loaded (built ${graph.builtAt})`);
+  graphCache = graph;
+  return graph;
+}
+
+// Binary heap of [priority, value] pairs, smallest priority first
+class MinHeap {
+  constructor() {
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(priority, value) {
+    const items = this.items;
+    items.push([priority, value]);
+
+    let index = items.length - 1;
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      if (items[parent][0] <= items[index][0]) break;
+      [items[parent], items[index]] = [items[index], items[parent]];
+      index = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length === 0) return top;
+
+    items[0] = last;
+    let index = 0;
+    for (;;) {
+      const left = index * 2 + 1;
+      const right = left + 1;
+      let smallest = index;
+      if (left < items.length && items[left][0] < items[smallest][0]) {
+        smallest = left;
+      }
+      if (right < items.length && items[right][0] < items[smallest][0]) {
+        smallest = right;
+      }
+      if (smallest === index) break;
+
+      [items[smallest], items[index]] = [items[index], items[smallest]];
+      index = smallest;
+    }
+    return top;
+  }
+}
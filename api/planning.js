@@ -0,0 +1,448 @@
+// api/planning.js - Planning applications and the local housing pipeline
+//
+// Applications come from local authority exports loaded into
+// planning_applications by scripts/load-planning.js. Each is classified from
+// its description (new homes, change of use, HMO, commercial) with the
+// number of dwellings it proposes, and the pipeline around a postcode is the
+// dwellings approved or awaiting a decision within a radius.
+import { supabase } from "./supabase-client.js";
+import { findWithinRadius, lookupPostcode } from "./postcodes.js";
+import { dateRange } from "./provenance.js";
+
+export const PLANNING_CATEGORIES = [
+  "residential",
+  "changeOfUse",
+  "hmo",
+  "commercial",
+  "other",
+];
+
+// Pipeline dwellings per km² a year around a typical urban postcode; a
+// supplyPressure of 1 means the pipeline is about usual for a town or city
+export const TYPICAL_PIPELINE_DENSITY = 25;
+
+const DEFAULT_RADIUS_KM = 1;
+const MAX_RADIUS_KM = 5;
+const DEFAULT_YEARS = 5;
+const RECENT_APPLICATIONS = 5;
+
+const NUMBER_WORDS = {
+  one: 1,
+  two: 2,
+  three: 3,
+  four: 4,
+  five: 5,
+  six: 6,
+  seven: 7,
+  eight: 8,
+  nine: 9,
+  ten: 10,
+  eleven: 11,
+  twelve: 12,
+};
+
+// "24 dwellings", "2 x 3-bed flats", "3 no. two storey houses", "nine new
+// homes": a number, then only descriptive words before the kind of home
+const DWELLING =
+  "(?:dwelling(?:house)?s?|houses?|homes?|flats?|apartments?|bungalows?|maisonettes?|residential units?)";
+const DWELLING_COUNT = new RegExp(
+  `\\b(\\d{1,4}|${Object.keys(NUMBER_WORDS).join(
+    "|"
+  )})\\s*(?:x\\s*|no\\.?\\s*)?(?:(?:new|detached|semi-detached|terraced|affordable|self-contained|residential|private|market|family|\\w+[- ]storey|(?:\\d+|one|two|three|four|five)[- ]?bed(?:room)?(?:ed)?)\\s+)*${DWELLING}\\b`,
+  "gi"
+);
+const DWELLING_LIST_SEPARATOR = /^\s*(?:,|;|&|\+|and|plus|,\s*and)\s*$/i;
+const SINGLE_DWELLING = new RegExp(
+  `\\b(?:erection|construction|building|development|provision) of (?:a|an|one|1)\\s+(?:(?:new|detached|semi-detached|self-build|\\w+[- ]storey|\\d+[- ]?bed(?:room)?(?:ed)?)\\s+)*${DWELLING}\\b|\\b(?:in)?to (?:a |one )?(?:single )?(?:dwelling(?:house)?|house|flat)\\b`,
+  "i"
+);
+
+const CATEGORY_PATTERNS = {
+  hmo: /\bhmos?\b|houses? in multiple occupation/i,
+  changeOfUse: new RegExp(
+    `change of use|prior approval.*class (?:ma|o|p|q)\\b|conver(?:sion|t)\\w*\\b[^.;]*\\b(?:in)?to\\b[^.;]*\\b${DWELLING}`,
+    "i"
+  ),
+  residential: new RegExp(
+    `\\b(?:erection|construction|development|redevelopment|provision|building)\\b[^;]*\\b${DWELLING}|\\bresidential development\\b`,
+    "i"
+  ),
+  commercial:
+    /\b(?:office|retail|shop|warehouse|industrial|commercial|restaurant|hotel|storage and distribution|class e|class b[28]|use class b)\b/i,
+};
+
+// Extensions and alterations to an existing home, which add no dwellings
+const HOUSEHOLDER =
+  /householder|\b(?:extension|conservatory|porch|dormer|loft conversion|outbuilding|alterations?) to (?:the )?(?:existing |rear of )?(?:dwelling|house|bungalow|property)\b/i;
+
+const STATUS_PATTERNS = [
+  ["withdrawn", /withdrawn|invalid|returned|lapsed|closed/i],
+  ["refused", /refus|reject|dismiss|not approved/i],
+  [
+    "approved",
+    /grant|approv|permit|allowed|consent|prior approval not required|no objection|lawful/i,
+  ],
+];
+
+// Export columns (lower-cased, "-" and "_" read as spaces) for each field;
+// the first one present wins. Covers planning.data.gov.uk and the common
+// council portal exports.
+export const SOURCE_COLUMNS = {
+  reference: [
+    "reference",
+    "application reference",
+    "application number",
+    "ref",
+    "uid",
+    "case reference",
+  ],
+  description: ["description", "proposal", "development description"],
+  applicationType: [
+    "planning application type",
+    "application type",
+    "app type",
+  ],
+  address: ["address text", "address", "site address", "location"],
+  postcode: ["postcode", "post code"],
+  decision: ["planning decision", "decision", "decision type"],
+  status: ["planning application status", "status", "app state"],
+  receivedDate: [
+    "start date",
+    "received date",
+    "date received",
+    "validated date",
+    "date validated",
+    "registered date",
+    "entry date",
+  ],
+  decisionDate: ["decision date", "date decided", "decided date"],
+  latitude: ["latitude", "lat"],
+  longitude: ["longitude", "lng", "lon"],
+  point: ["point", "geometry"],
+  units: [
+    "proposed units",
+    "number of units",
+    "units",
+    "dwellings",
+    "net dwellings",
+  ],
+};
+
+export default async function handler(req, res) {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "GET, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+
+  if (req.method === "OPTIONS") return res.status(200).end();
+  if (req.method !== "GET")
+    return res
+      .status(405)
+      .json({ success: false, error: "Method not allowed" });
+
+  try {
+    const { postcode, radius, years } = req.query;
+
+    if (!postcode) {
+      return res
+        .status(400)
+        .json({ success: false, error: "Postcode is required" });
+    }
+
+    const radiusKm = radius != null ? parseFloat(radius) : DEFAULT_RADIUS_KM;
+    if (!(radiusKm > 0 && radiusKm <= MAX_RADIUS_KM)) {
+      return res.status(400).json({
+        success: false,
+        error: `radius must be between 0 and ${MAX_RADIUS_KM} km`,
+      });
+    }
+
+    const yearCount = years != null ? parseInt(years, 10) : DEFAULT_YEARS;
+    if (!(yearCount >= 1 && yearCount <= 20)) {
+      return res
+        .status(400)
+        .json({ success: false, error: "years must be between 1 and 20" });
+    }
+
+    const pipeline = await getDevelopmentPipeline(postcode, {
+      radiusKm,
+      years: yearCount,
+    });
+
+    if (!pipeline) {
+      return res.status(404).json({
+        success: false,
+        error: "No planning applications loaded for this area",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      ...pipeline,
+      generatedAt: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error("❌ Planning pipeline error:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+}
+
+// Applications received in the last `years` years within radiusKm of the
+// postcode, summarised. Null if the postcode can't be located or no
+// applications are loaded for its local authority, so an area without data
+// isn't mistaken for one without development.
+export async function getDevelopmentPipeline(
+  postcode,
+  { radiusKm = DEFAULT_RADIUS_KM, years = DEFAULT_YEARS } = {}
+) {
+  if (!supabase) return null;
+
+  const geography = await lookupPostcode(postcode).catch(() => null);
+  if (geography?.lat == null || geography?.lng == null) return null;
+
+  const authority = geography.localAuthority?.code;
+  const since = new Date();
+  since.setUTCFullYear(since.getUTCFullYear() - years);
+
+  try {
+    if (authority) {
+      const { data, error } = await supabase
+        .from("planning_applications")
+        .select("reference")
+        .eq("authority", authority)
+        .limit(1);
+      if (error) throw error;
+      if (data.length === 0) return null;
+    }
+
+    const applications = await findWithinRadius(
+      "planning_applications",
+      "reference, authority, address, postcode, latitude, longitude, description, category, units, status, received_date, decision_date",
+      geography,
+      radiusKm,
+      {
+        filter: (query) =>
+          query.gte("received_date", since.toISOString().slice(0, 10)),
+        limit: 5000,
+      }
+    );
+    if (!authority && applications.length === 0) return null;
+
+    return summarisePipeline(applications, {
+      centre: { lat: geography.lat, lng: geography.lng },
+      radiusKm,
+      years,
+      localAuthority: geography.localAuthority || null,
+    });
+  } catch (error) {
+    console.error("Planning applications unavailable:", error.message || error);
+    return null;
+  }
+}
+
+// Counts by category, dwellings by decision, a per-year breakdown and the
+// supply pressure of the approved and pending dwellings
+export function summarisePipeline(
+  applications,
+  { centre = null, radiusKm, years, localAuthority = null }
+) {
+  const byCategory = Object.fromEntries(
+    PLANNING_CATEGORIES.map((category) => [
+      category,
+      { applications: 0, units: 0 },
+    ])
+  );
+  const dwellings = { approved: 0, pending: 0, refused: 0 };
+  const byYear = new Map();
+
+  applications.forEach((application) => {
+    const category = byCategory[application.category] || byCategory.other;
+    category.applications++;
+    category.units += application.units || 0;
+
+    const homes = addsDwellings(application) ? application.units || 0 : 0;
+    if (dwellings[application.status] != null) {
+      dwellings[application.status] += homes;
+    }
+
+    const year = application.received_date?.slice(0, 4);
+    if (!year) return;
+    const entry = byYear.get(year) || {
+      year: Number(year),
+      applications: 0,
+      approved: 0,
+      pending: 0,
+    };
+    entry.applications++;
+    if (application.status === "approved") entry.approved += homes;
+    if (application.status === "pending") entry.pending += homes;
+    byYear.set(year, entry);
+  });
+
+  const pipeline = dwellings.approved + dwellings.pending;
+  const density = pipeline / (Math.PI * radiusKm * radiusKm) / years;
+
+  return {
+    centre: centre,
+    radiusKm: radiusKm,
+    years: years,
+    localAuthority: localAuthority,
+    applications: applications.length,
+    byCategory: byCategory,
+    dwellings: dwellings,
+    pipeline: pipeline,
+    density: round(density),
+    supplyPressure: round(density / TYPICAL_PIPELINE_DENSITY),
+    byYear: [...byYear.values()].sort((a, b) => a.year - b.year),
+    recent: applications
+      .filter((application) => application.received_date)
+      .sort((a, b) => b.received_date.localeCompare(a.received_date))
+      .slice(0, RECENT_APPLICATIONS)
+      .map((application) => ({
+        reference: application.reference,
+        address: application.address,
+        description: application.description,
+        category: application.category,
+        units: application.units,
+        status: application.status,
+        receivedDate: application.received_date,
+        distanceKm: round(application.distanceKm ?? 0),
+      })),
+    period: dateRange(
+      applications.map((application) => application.received_date)
+    ),
+    source: "Local authority planning application exports",
+  };
+}
+
+// Category and proposed dwellings from an application's description (and
+// type, where the export has one). Units are only counted for applications
+// that create homes; a stated number of units from the export wins.
+export function classifyApplication({
+  description = "",
+  applicationType = "",
+  units = null,
+}) {
+  const text = `${applicationType || ""} ${description || ""}`;
+  const stated = units != null && units >= 0 ? Math.round(units) : null;
+  const counted = countDwellings(description || "");
+
+  let category = "other";
+  if (CATEGORY_PATTERNS.hmo.test(text)) category = "hmo";
+  else if (CATEGORY_PATTERNS.changeOfUse.test(text)) category = "changeOfUse";
+  else if (
+    CATEGORY_PATTERNS.residential.test(text) &&
+    (stated || counted || !HOUSEHOLDER.test(text))
+  ) {
+    category = "residential";
+  } else if (CATEGORY_PATTERNS.commercial.test(text)) category = "commercial";
+
+  if (!["residential", "changeOfUse"].includes(category)) {
+    return { category: category, units: null };
+  }
+
+  return {
+    category: category,
+    units:
+      stated ?? counted ?? (SINGLE_DWELLING.test(description || "") ? 1 : null),
+  };
+}
+
+// An export record -> a planning_applications row for the authority (its ONS
+// code), classified. Coordinates come from the export where it has them;
+// the loader fills the rest in from the postcode.
+export function toPlanningRow(record, { authority = null } = {}) {
+  const pick = (field) => {
+    const column = SOURCE_COLUMNS[field].find(
+      (name) => record[name] != null && String(record[name]).trim() !== ""
+    );
+    return column ? String(record[column]).trim() : null;
+  };
+
+  const description = pick("description");
+  const applicationType = pick("applicationType");
+  const units = pick("units") != null ? parseFloat(pick("units")) : null;
+  const { category, units: dwellings } = classifyApplication({
+    description,
+    applicationType,
+    units: isNaN(units) ? null : units,
+  });
+
+  // "POINT (-2.2426 53.4808)" is longitude then latitude
+  const point = pick("point")?.match(/(-?\d+(?:\.\d+)?)\s+(-?\d+(?:\.\d+)?)/);
+  const latitude = parseFloat(pick("latitude") ?? point?.[2]);
+  const longitude = parseFloat(pick("longitude") ?? point?.[1]);
+  const decisionDate = parseDate(pick("decisionDate"));
+
+  return {
+    reference: pick("reference"),
+    authority: authority,
+    address: pick("address"),
+    postcode: pick("postcode")?.toUpperCase() || null,
+    latitude: isNaN(latitude) ? null : latitude,
+    longitude: isNaN(longitude) ? null : longitude,
+    description: description,
+    application_type: applicationType,
+    category: category,
+    units: dwellings,
+    status: normaliseStatus(pick("decision"), pick("status")),
+    received_date: parseDate(pick("receivedDate")) || decisionDate,
+    decision_date: decisionDate,
+  };
+}
+
+// Decision or status text -> approved, refused, withdrawn or pending
+export function normaliseStatus(...values) {
+  const text = values.filter(Boolean).join(" ");
+  const match = STATUS_PATTERNS.find(([, pattern]) => pattern.test(text));
+  return match ? match[0] : "pending";
+}
+
+// Applications that add homes: new residential and conversions to homes
+function addsDwellings(application) {
+  return ["residential", "changeOfUse"].includes(application.category);
+}
+
+// Number of homes in a description. Counts listed together ("2 x 2-bed
+// flats and 3 x 1-bed flats") are added up; otherwise the largest is taken,
+// as later ones usually break it down ("12 dwellings including 3
+// affordable dwellings").
+function countDwellings(description) {
+  const totals = [];
+  let end = null;
+
+  for (const match of description.matchAll(DWELLING_COUNT)) {
+    const count = /^\d+$/.test(match[1])
+      ? Number(match[1])
+      : NUMBER_WORDS[match[1].toLowerCase()];
+    const between = end != null ? description.slice(end, match.index) : null;
+
+    if (between != null && DWELLING_LIST_SEPARATOR.test(between)) {
+      totals[totals.length - 1] += count;
+    } else {
+      totals.push(count);
+    }
+    end = match.index + match[0].length;
+  }
+
+  return totals.length > 0 ? Math.max(...totals) : null;
+}
+
+// "2024-05-03", "03/05/2024" (day first) or "3 May 2024" -> "2024-05-03"
+function parseDate(value) {
+  if (!value) return null;
+
+  const iso = value.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (iso) return `${iso[1]}-${iso[2]}-${iso[3]}`;
+
+  const uk = value.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})/);
+  if (uk) {
+    return `${uk[3]}-${uk[2].padStart(2, "0")}-${uk[1].padStart(2, "0")}`;
+  }
+
+  const date = new Date(`${value} UTC`);
+  return isNaN(date) ? null : date.toISOString().slice(0, 10);
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
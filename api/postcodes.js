@@ -0,0 +1,482 @@
+// api/postcodes.js - Postcode geography lookups (ONS Postcode Directory)
+import { supabase } from "./supabase-client.js";
+
+export const REGION_NAMES = {
+  E12000001: "North East",
+  E12000002: "North West",
+  E12000003: "Yorkshire and The Humber",
+  E12000004: "East Midlands",
+  E12000005: "West Midlands",
+  E12000006: "East of England",
+  E12000007: "London",
+  E12000008: "South East",
+  E12000009: "South West",
+};
+
+export const COUNTRY_NAMES = {
+  E92000001: "England",
+  W92000004: "Wales",
+  S92000003: "Scotland",
+  N92000002: "Northern Ireland",
+  L93000001: "Channel Islands",
+  M83000003: "Isle of Man",
+};
+
+// Columns kept in postcode_directory
+const DIRECTORY_COLUMNS =
+  "postcode, introduced, terminated, latitude, longitude, lsoa_code, msoa_code, ward_code, ward_name, local_authority_code, local_authority_name, region_code, country_code";
+
+const FULL_POSTCODE = /^[A-Z]{1,2}[0-9][A-Z0-9]?[0-9][A-Z]{2}$/;
+const OUTWARD_CODE = /^[A-Z]{1,2}[0-9][A-Z0-9]?$/;
+const CACHE_DURATION = 24 * 60 * 60 * 1000; // 24 hours
+const KM_PER_DEGREE_LAT = 111.32;
+const DISTRICT_REACH_KM = 3; // How far a district's postcodes spread from its centre
+const MAX_OUTCODE_RADIUS_METRES = 25000; // postcodes.io's limit
+
+const lookupCache = new Map();
+let directoryHasRows = false;
+
+export default async function handler(req, res) {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "GET, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+
+  if (req.method === "OPTIONS") return res.status(200).end();
+  if (req.method !== "GET")
+    return res
+      .status(405)
+      .json({ success: false, error: "Method not allowed" });
+
+  try {
+    const { postcode } = req.query;
+
+    if (!postcode) {
+      return res
+        .status(400)
+        .json({ success: false, error: "Postcode is required" });
+    }
+
+    if (!isValidPostcodeFormat(postcode)) {
+      return res
+        .status(400)
+        .json({ success: false, error: "Invalid UK postcode format" });
+    }
+
+    const geography = await lookupPostcode(postcode);
+
+    if (!geography) {
+      return res
+        .status(404)
+        .json({ success: false, error: "Postcode not found" });
+    }
+
+    res.status(200).json({
+      success: true,
+      ...geography,
+      generatedAt: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error("❌ Postcode lookup error:", error);
+    res.status(502).json({ success: false, error: error.message });
+  }
+}
+
+// Full postcode ("M1 1AA") or outward code ("M1"); format only
+export function isValidPostcodeFormat(postcode) {
+  const compact = (postcode || "").replace(/\s+/g, "").toUpperCase();
+  return FULL_POSTCODE.test(compact) || OUTWARD_CODE.test(compact);
+}
+
+// "m11aa" -> "M1 1AA"; outward codes are returned as they are
+export function formatPostcode(postcode) {
+  const compact = postcode.replace(/\s+/g, "").toUpperCase();
+  if (!FULL_POSTCODE.test(compact)) return compact;
+  return `${compact.slice(0, -3)} ${compact.slice(-3)}`;
+}
+
+// Letters at the start of the postcode ("SW1A 1AA" -> "SW", "S1 2AB" -> "S")
+export function postcodeArea(postcode) {
+  return postcode.toUpperCase().match(/^[A-Z]{1,2}/)?.[0] || null;
+}
+
+// Geography for a full postcode or outward code: coordinates, LSOA, MSOA,
+// ward, local authority, region, country and whether the postcode is still
+// live. Returns null if the postcode does not exist and throws if neither
+// the directory nor postcodes.io could be reached.
+export async function lookupPostcode(postcode) {
+  const query = formatPostcode(postcode);
+  const cached = lookupCache.get(query);
+  if (cached && cached.expires > Date.now()) return cached.value;
+
+  let geography = await lookupInDirectory(query);
+  if (geography === undefined) geography = await lookupOnPostcodesIo(query);
+  if (geography) geography.retrievedAt = new Date().toISOString();
+
+  lookupCache.set(query, {
+    value: geography,
+    expires: Date.now() + CACHE_DURATION,
+  });
+  return geography;
+}
+
+// Postcode to coordinates
+export async function getPostcodeCoordinates(postcode) {
+  try {
+    const geography = await lookupPostcode(postcode);
+    if (!geography || geography.lat == null) return null;
+
+    return {
+      lat: geography.lat,
+      lng: geography.lng,
+      lsoa: geography.lsoa,
+    };
+  } catch (error) {
+    console.error("Postcode coordinates failed:", error);
+    return null;
+  }
+}
+
+// Coordinates for many postcodes at once, keyed by the postcodes as given
+// (upper-cased). Postcodes missing from the directory go to postcodes.io,
+// which allows 100 per call.
+export async function getBulkPostcodeCoordinates(postcodes) {
+  const coordinates = new Map();
+  const byFormatted = new Map();
+  postcodes.forEach((postcode) => {
+    const key = postcode.toUpperCase();
+    const formatted = formatPostcode(key);
+    byFormatted.set(formatted, [
+      ...new Set([...(byFormatted.get(formatted) || []), key]),
+    ]);
+  });
+
+  const store = (formatted, lat, lng) => {
+    if (lat == null || lng == null) return;
+    byFormatted
+      .get(formatted)
+      ?.forEach((key) => coordinates.set(key, { lat: lat, lng: lng }));
+  };
+
+  let remaining = [...byFormatted.keys()];
+
+  if (supabase) {
+    for (let i = 0; i < remaining.length; i += 500) {
+      try {
+        const { data, error } = await supabase
+          .from("postcode_directory")
+          .select("postcode, latitude, longitude")
+          .in("postcode", remaining.slice(i, i + 500));
+        if (error) throw error;
+
+        data.forEach((row) => store(row.postcode, row.latitude, row.longitude));
+      } catch (error) {
+        console.error("Postcode directory bulk lookup failed:", error);
+        break;
+      }
+    }
+    remaining = remaining.filter(
+      (formatted) => !coordinates.has(byFormatted.get(formatted)[0])
+    );
+  }
+
+  for (let i = 0; i < remaining.length; i += 100) {
+    try {
+      const response = await fetch("https://api.postcodes.io/postcodes", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ postcodes: remaining.slice(i, i + 100) }),
+      });
+      if (!response.ok) throw new Error("Bulk postcode lookup failed");
+
+      const data = await response.json();
+      data.result.forEach(({ query, result }) => {
+        if (result) {
+          store(formatPostcode(query), result.latitude, result.longitude);
+        }
+      });
+    } catch (error) {
+      console.error("Bulk postcode coordinates failed:", error);
+    }
+  }
+
+  return coordinates;
+}
+
+// Rows of a table (with latitude and longitude columns) within radiusKm of a
+// point such as a lookupPostcode result, each with its distanceKm: a
+// bounding box query, then the exact distance. filter adds conditions to
+// the query. Throws if the query fails.
+export async function findWithinRadius(
+  table,
+  columns,
+  geography,
+  radiusKm,
+  { filter = (query) => query, limit = 1000 } = {}
+) {
+  const latDelta = radiusKm / KM_PER_DEGREE_LAT;
+  const lngDelta =
+    radiusKm / (KM_PER_DEGREE_LAT * Math.cos((geography.lat * Math.PI) / 180));
+
+  const { data, error } = await filter(supabase.from(table).select(columns))
+    .gte("latitude", geography.lat - latDelta)
+    .lte("latitude", geography.lat + latDelta)
+    .gte("longitude", geography.lng - lngDelta)
+    .lte("longitude", geography.lng + lngDelta)
+    .limit(limit);
+  if (error) throw error;
+
+  return (data || [])
+    .map((row) => ({
+      ...row,
+      distanceKm: calculateDistance(
+        geography.lat,
+        geography.lng,
+        row.latitude,
+        row.longitude
+      ),
+    }))
+    .filter((row) => row.distanceKm <= radiusKm);
+}
+
+// Postcode districts that may have postcodes within radiusKm of a point:
+// those whose centres postcodes.io finds within radiusKm plus
+// DISTRICT_REACH_KM. Nearest first; empty if postcodes.io can't be reached.
+export async function findDistrictsWithinRadius(geography, radiusKm) {
+  const metres = Math.min(
+    (radiusKm + DISTRICT_REACH_KM) * 1000,
+    MAX_OUTCODE_RADIUS_METRES
+  );
+
+  try {
+    const response = await fetch(
+      `https://api.postcodes.io/outcodes?lon=${geography.lng}&lat=${
+        geography.lat
+      }&radius=${Math.round(metres)}&limit=100`
+    );
+    if (!response.ok) throw new Error(`postcodes.io error: ${response.status}`);
+
+    const { result } = await response.json();
+    return (result || []).map((district) => district.outcode);
+  } catch (error) {
+    console.error("Nearby districts lookup failed:", error.message || error);
+    return [];
+  }
+}
+
+// Great-circle distance in km
+export function calculateDistance(lat1, lon1, lat2, lon2) {
+  const R = 6371; // Earth's radius in km
+  const dLat = ((lat2 - lat1) * Math.PI) / 180;
+  const dLon = ((lon2 - lon1) * Math.PI) / 180;
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos((lat1 * Math.PI) / 180) *
+      Math.cos((lat2 * Math.PI) / 180) *
+      Math.sin(dLon / 2) *
+      Math.sin(dLon / 2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  return R * c;
+}
+
+// undefined when the directory is not loaded or unreachable, null when the
+// postcode is not in it
+async function lookupInDirectory(query) {
+  if (!supabase) return undefined;
+
+  try {
+    const isOutward = OUTWARD_CODE.test(query);
+    const request = supabase
+      .from("postcode_directory")
+      .select(DIRECTORY_COLUMNS);
+
+    // Outward codes are summarised from their live postcodes
+    const { data, error } = isOutward
+      ? await request
+          .like("postcode", `${query} %`)
+          .is("terminated", null)
+          .limit(1000)
+      : await request.eq("postcode", query).limit(1);
+
+    if (error) throw error;
+    if (!data || data.length === 0) {
+      return (await directoryLoaded()) ? null : undefined;
+    }
+
+    return isOutward
+      ? summariseDistrict(query, data)
+      : fromDirectoryRow(data[0], "postcode");
+  } catch (error) {
+    console.error("Postcode directory lookup failed:", error.message || error);
+    return undefined;
+  }
+}
+
+// Whether postcode_directory has been loaded. Remembered per instance once
+// it has rows; an empty table is checked again, as it may be loaded later.
+async function directoryLoaded() {
+  if (directoryHasRows) return true;
+
+  const { data, error } = await supabase
+    .from("postcode_directory")
+    .select("postcode")
+    .limit(1);
+  if (error) throw error;
+
+  directoryHasRows = data.length > 0;
+  return directoryHasRows;
+}
+
+function fromDirectoryRow(row, scope) {
+  return {
+    postcode: row.postcode,
+    scope: scope,
+    status: row.terminated ? "terminated" : "live",
+    introduced: row.introduced,
+    terminated: row.terminated,
+    lat: row.latitude,
+    lng: row.longitude,
+    lsoa: row.lsoa_code,
+    msoa: row.msoa_code,
+    ward: { code: row.ward_code, name: row.ward_name },
+    localAuthority: {
+      code: row.local_authority_code,
+      name: row.local_authority_name,
+    },
+    region: regionFor(row.region_code, row.country_code),
+    country: {
+      code: row.country_code,
+      name: COUNTRY_NAMES[row.country_code] || null,
+    },
+    source: "onspd",
+  };
+}
+
+// Centroid of the district's postcodes, with the local authority, region and
+// country most of them fall in. Wards, LSOAs and MSOAs are too small to
+// describe a whole district.
+function summariseDistrict(district, rows) {
+  const located = rows.filter((row) => row.latitude != null);
+  const average = (field) =>
+    located.length > 0
+      ? Math.round(
+          (located.reduce((sum, row) => sum + row[field], 0) / located.length) *
+            1e6
+        ) / 1e6
+      : null;
+
+  const counts = new Map();
+  rows.forEach((row) =>
+    counts.set(
+      row.local_authority_code,
+      (counts.get(row.local_authority_code) || 0) + 1
+    )
+  );
+  const [mainAuthority] = [...counts.entries()].sort((a, b) => b[1] - a[1])[0];
+  const localAuthority = rows.find(
+    (row) => row.local_authority_code === mainAuthority
+  );
+
+  return {
+    ...fromDirectoryRow(localAuthority, "district"),
+    postcode: district,
+    introduced: null,
+    lat: average("latitude"),
+    lng: average("longitude"),
+    lsoa: null,
+    msoa: null,
+    ward: null,
+    postcodes: rows.length,
+  };
+}
+
+async function lookupOnPostcodesIo(query) {
+  const isOutward = OUTWARD_CODE.test(query);
+  const response = await fetch(
+    `https://api.postcodes.io/${
+      isOutward ? "outcodes" : "postcodes"
+    }/${encodeURIComponent(query)}`
+  );
+
+  if (response.status === 404) {
+    return isOutward ? null : lookupTerminatedOnPostcodesIo(query);
+  }
+  if (!response.ok) throw new Error(`postcodes.io error: ${response.status}`);
+
+  const { result } = await response.json();
+
+  if (isOutward) {
+    return {
+      postcode: query,
+      scope: "district",
+      status: "live",
+      introduced: null,
+      terminated: null,
+      lat: result.latitude,
+      lng: result.longitude,
+      lsoa: null,
+      msoa: null,
+      ward: null,
+      localAuthority: { code: null, name: result.admin_district?.[0] || null },
+      region: { code: null, name: result.region?.[0] || null },
+      country: { code: null, name: result.country?.[0] || null },
+      source: "postcodes.io",
+    };
+  }
+
+  return {
+    postcode: result.postcode,
+    scope: "postcode",
+    status: "live",
+    introduced: null,
+    terminated: null,
+    lat: result.latitude,
+    lng: result.longitude,
+    lsoa: result.codes?.lsoa || null,
+    msoa: result.codes?.msoa || null,
+    ward: { code: result.codes?.admin_ward || null, name: result.admin_ward },
+    localAuthority: {
+      code: result.codes?.admin_district || null,
+      name: result.admin_district,
+    },
+    region: { code: null, name: result.region || result.country },
+    country: { code: null, name: result.country },
+    source: "postcodes.io",
+  };
+}
+
+async function lookupTerminatedOnPostcodesIo(query) {
+  const response = await fetch(
+    `https://api.postcodes.io/terminated_postcodes/${encodeURIComponent(query)}`
+  );
+  if (response.status === 404) return null;
+  if (!response.ok) throw new Error(`postcodes.io error: ${response.status}`);
+
+  const { result } = await response.json();
+  return {
+    postcode: result.postcode,
+    scope: "postcode",
+    status: "terminated",
+    introduced: null,
+    terminated: `${result.year_terminated}-${String(
+      result.month_terminated
+    ).padStart(2, "0")}`,
+    lat: result.latitude,
+    lng: result.longitude,
+    lsoa: null,
+    msoa: null,
+    ward: null,
+    localAuthority: null,
+    region: null,
+    country: null,
+    source: "postcodes.io",
+  };
+}
+
+// Wales, Scotland and Northern Ireland have pseudo region codes (W99999999
+// etc.), so the country stands in as their region
+function regionFor(regionCode, countryCode) {
+  if (REGION_NAMES[regionCode]) {
+    return { code: regionCode, name: REGION_NAMES[regionCode] };
+  }
+  return { code: countryCode, name: COUNTRY_NAMES[countryCode] || null };
+}
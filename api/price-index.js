@@ -0,0 +1,410 @@
+// api/price-index.js - Repeat-sales and mix-adjusted house price indices
+import { supabase } from "./supabase-client.js";
+import { upstreamCache } from "./cache.js";
+import { fromPropertyPriceRow } from "./price-paid.js";
+import {
+  FreeRealTimeDataProvider,
+  normalisePostcodeArea,
+} from "./real-time-data.js";
+
+const PROPERTY_TYPES = ["D", "S", "T", "F", "O"];
+const MIN_REPEAT_PAIRS = 30; // Below this the repeat-sales index is too noisy
+const MIN_MIX_SALES = 50;
+const MIN_STRATUM_SALES = 3; // Per stratum per period
+const MIN_HOLD_DAYS = 180; // Quicker resales are usually refurbishment flips
+const MAX_ANNUAL_CHANGE = 0.5; // Drop pairs moving more than ±50% a year
+const PAGE_SIZE = 1000;
+const CACHE_DURATION = 24 * 60 * 60 * 1000; // 24 hours
+
+export default async function handler(req, res) {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "GET, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+
+  if (req.method === "OPTIONS") return res.status(200).end();
+  if (req.method !== "GET")
+    return res
+      .status(405)
+      .json({ success: false, error: "Method not allowed" });
+
+  try {
+    const {
+      postcode,
+      district,
+      propertyType,
+      period = "year",
+      years = 10,
+    } = req.query;
+
+    if (!postcode && !district) {
+      return res
+        .status(400)
+        .json({ success: false, error: "postcode or district is required" });
+    }
+
+    if (propertyType && !PROPERTY_TYPES.includes(propertyType.toUpperCase())) {
+      return res.status(400).json({
+        success: false,
+        error: `propertyType must be one of ${PROPERTY_TYPES.join(", ")}`,
+      });
+    }
+
+    if (!["year", "quarter"].includes(period)) {
+      return res
+        .status(400)
+        .json({ success: false, error: "period must be year or quarter" });
+    }
+
+    const index = await getDistrictPriceIndex(postcode || district, {
+      propertyType: propertyType?.toUpperCase() || null,
+      period: period,
+      years: Math.min(Math.max(parseInt(years) || 10, 2), 30),
+    });
+
+    res.status(200).json({
+      success: true,
+      ...index,
+      generatedAt: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error("❌ Price index error:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+}
+
+// Outward code ("M1", "SW1A") for a postcode, sector or district
+export function postcodeDistrict(postcode) {
+  return normalisePostcodeArea(postcode).query.split(" ")[0];
+}
+
+// Index for a postcode district, from property_prices when Supabase is
+// configured and the Land Registry API otherwise. Kept in the shared
+// upstream cache.
+export async function getDistrictPriceIndex(
+  postcode,
+  { propertyType = null, period = "year", years = 10 } = {}
+) {
+  const district = postcodeDistrict(postcode);
+
+  return upstreamCache.getOrFetch(
+    `priceIndex_${district}_${propertyType || "ALL"}_${period}_${years}`,
+    CACHE_DURATION,
+    () => buildDistrictPriceIndex(district, { propertyType, period, years })
+  );
+}
+
+async function buildDistrictPriceIndex(
+  district,
+  { propertyType, period, years }
+) {
+  const since = new Date();
+  since.setUTCFullYear(since.getUTCFullYear() - years);
+  const { sales, source } = await loadDistrictSales(
+    district,
+    since.toISOString().slice(0, 10)
+  );
+
+  const index = {
+    district: district,
+    source: source,
+    builtAt: new Date().toISOString(),
+    ...summarisePriceIndex(sales, { propertyType, period }),
+  };
+
+  console.log(
+    `📈 ${district} price index (${index.method || "insufficient data"}): ${
+      index.annualGrowth ?? "n/a"
+    }% a year from ${index.sales} sales`
+  );
+
+  return index;
+}
+
+async function loadDistrictSales(district, since) {
+  if (supabase) {
+    try {
+      const sales = [];
+
+      for (let from = 0; ; from += PAGE_SIZE) {
+        const { data, error } = await supabase
+          .from("property_prices")
+          .select(
+            "transaction_id, price, date_of_transfer, postcode, property_type, old_new, duration, paon, saon, street, ppd_category_type, record_status"
+          )
+          .like("postcode", `${district} %`)
+          .gte("date_of_transfer", since)
+          .order("date_of_transfer", { ascending: true })
+          .range(from, from + PAGE_SIZE - 1);
+
+        if (error) throw error;
+        sales.push(...data.map(fromPropertyPriceRow));
+        if (data.length < PAGE_SIZE) break;
+      }
+
+      if (sales.length > 0) return { sales, source: "property_prices" };
+    } catch (error) {
+      console.error("❌ property_prices query failed:", error);
+    }
+  }
+
+  const provider = new FreeRealTimeDataProvider();
+  const sales = (await provider.getLandRegistryData(district)).filter(
+    (sale) => sale.date >= since
+  );
+  await provider.health.flush();
+  return { sales, source: "land-registry" };
+}
+
+// Build both indices from a list of Price Paid records and pick the more
+// reliable one for the headline growth rate
+export function summarisePriceIndex(
+  sales,
+  { propertyType = null, period = "year" } = {}
+) {
+  const usable = sales.filter(
+    (sale) =>
+      sale.price > 0 &&
+      sale.date &&
+      sale.ppdCategory !== "B" &&
+      sale.recordStatus !== "D" &&
+      (!propertyType || sale.propertyType === propertyType)
+  );
+
+  const repeatSales = buildRepeatSalesIndex(usable, { period });
+  const mixAdjusted = buildMixAdjustedIndex(usable, { period });
+
+  let method = null;
+  let series = [];
+  if (repeatSales.pairs >= MIN_REPEAT_PAIRS && repeatSales.series.length > 1) {
+    method = "repeat-sales";
+    series = repeatSales.series;
+  } else if (usable.length >= MIN_MIX_SALES && mixAdjusted.series.length > 1) {
+    method = "mix-adjusted";
+    series = mixAdjusted.series;
+  }
+
+  return {
+    propertyType: propertyType,
+    period: period,
+    method: method,
+    sales: usable.length,
+    annualGrowth: method ? annualGrowth(series, period) : null,
+    series: series,
+    repeatSales: repeatSales,
+    mixAdjusted: mixAdjusted,
+  };
+}
+
+// Bailey-Muth-Nourse repeat-sales regression: for each pair of sales of the
+// same property, log(p2 / p1) = beta[t2] - beta[t1], with beta[0] = 0
+export function buildRepeatSalesIndex(sales, { period = "year" } = {}) {
+  const byProperty = new Map();
+  sales.forEach((sale) => {
+    const key = [sale.postcode, sale.saon, sale.paon, sale.street]
+      .join("|")
+      .toUpperCase();
+    if (!byProperty.has(key)) byProperty.set(key, []);
+    byProperty.get(key).push(sale);
+  });
+
+  const pairs = [];
+  byProperty.forEach((propertySales) => {
+    propertySales.sort((a, b) => a.date.localeCompare(b.date));
+
+    for (let i = 1; i < propertySales.length; i++) {
+      const first = propertySales[i - 1];
+      const second = propertySales[i];
+      const days = (new Date(second.date) - new Date(first.date)) / 86400000;
+      const logChange = Math.log(second.price / first.price);
+
+      if (days < MIN_HOLD_DAYS) continue;
+      if (first.propertyType !== second.propertyType) continue;
+      if (Math.abs(logChange) / (days / 365) > MAX_ANNUAL_CHANGE) continue;
+
+      const from = periodKey(first.date, period);
+      const to = periodKey(second.date, period);
+      if (from !== to) pairs.push({ from, to, logChange });
+    }
+  });
+
+  const periods = [...new Set(pairs.flatMap((p) => [p.from, p.to]))].sort();
+  if (periods.length < 2) return { pairs: pairs.length, series: [] };
+
+  // Normal equations (X'X) beta = X'y over periods 1..n
+  const position = new Map(periods.map((key, i) => [key, i - 1]));
+  const size = periods.length - 1;
+  const xtx = Array.from({ length: size }, () => new Array(size).fill(0));
+  const xty = new Array(size).fill(0);
+  const observations = new Array(periods.length).fill(0);
+
+  pairs.forEach((pair) => {
+    const terms = [
+      [position.get(pair.from), -1],
+      [position.get(pair.to), 1],
+    ].filter(([column]) => column >= 0);
+
+    terms.forEach(([row, sign]) => {
+      xty[row] += sign * pair.logChange;
+      terms.forEach(([column, otherSign]) => {
+        xtx[row][column] += sign * otherSign;
+      });
+    });
+
+    observations[position.get(pair.from) + 1]++;
+    observations[position.get(pair.to) + 1]++;
+  });
+
+  const beta = solveLinearSystem(xtx, xty);
+  if (!beta) return { pairs: pairs.length, series: [] };
+
+  return {
+    pairs: pairs.length,
+    series: periods.map((key, i) => ({
+      period: key,
+      index: round(100 * Math.exp(i === 0 ? 0 : beta[i - 1])),
+      observations: observations[i],
+    })),
+  };
+}
+
+// Chain-linked stratified index: geometric mean price per property type,
+// new-build and tenure stratum, weighted by each stratum's share of sales
+export function buildMixAdjustedIndex(sales, { period = "year" } = {}) {
+  const strata = new Map();
+  const periods = new Map();
+
+  sales.forEach((sale) => {
+    const stratum = `${sale.propertyType}|${sale.newBuild}|${sale.tenure}`;
+    const key = periodKey(sale.date, period);
+
+    strata.set(stratum, (strata.get(stratum) || 0) + 1);
+    if (!periods.has(key)) periods.set(key, new Map());
+    const cell = periods.get(key).get(stratum) || { sum: 0, count: 0 };
+    cell.sum += Math.log(sale.price);
+    cell.count++;
+    periods.get(key).set(stratum, cell);
+  });
+
+  const keys = [...periods.keys()].sort();
+  const series = [];
+  let level = 100;
+
+  keys.forEach((key, i) => {
+    const cells = periods.get(key);
+    const count = [...cells.values()].reduce((sum, c) => sum + c.count, 0);
+
+    if (i > 0) {
+      const previous = periods.get(keys[i - 1]);
+      let weightedChange = 0;
+      let totalWeight = 0;
+
+      cells.forEach((cell, stratum) => {
+        const before = previous.get(stratum);
+        if (
+          !before ||
+          cell.count < MIN_STRATUM_SALES ||
+          before.count < MIN_STRATUM_SALES
+        ) {
+          return;
+        }
+
+        const weight = strata.get(stratum) / sales.length;
+        weightedChange +=
+          weight * (cell.sum / cell.count - before.sum / before.count);
+        totalWeight += weight;
+      });
+
+      // No comparable strata: hold the level rather than guess
+      if (totalWeight > 0) level *= Math.exp(weightedChange / totalWeight);
+    }
+
+    series.push({ period: key, index: round(level), observations: count });
+  });
+
+  return { sales: sales.length, series: series };
+}
+
+// Compound annual growth over (up to) the last three years of the index
+export function annualGrowth(series, period = "year") {
+  if (series.length < 2) return null;
+
+  const perYear = period === "quarter" ? 4 : 1;
+  const last = series[series.length - 1];
+  const first = series[Math.max(series.length - 1 - 3 * perYear, 0)];
+  const years =
+    (periodOrdinal(last.period) - periodOrdinal(first.period)) / perYear;
+
+  if (years <= 0) return null;
+  return round((Math.pow(last.index / first.index, 1 / years) - 1) * 100);
+}
+
+// Multiplier that moves a price from one date to another along the index,
+// extrapolating with the annual growth rate beyond the ends of the series
+export function priceIndexFactor(index, fromDate, toDate) {
+  if (!index?.series?.length) return 1;
+  return indexLevelAt(index, toDate) / indexLevelAt(index, fromDate);
+}
+
+function indexLevelAt(index, date) {
+  const { series, period } = index;
+  const perYear = period === "quarter" ? 4 : 1;
+  const ordinal = periodOrdinal(periodKey(date, period));
+  const first = series[0];
+  const last = series[series.length - 1];
+
+  if (ordinal > periodOrdinal(last.period)) {
+    const years = (ordinal - periodOrdinal(last.period)) / perYear;
+    return last.index * Math.pow(1 + (index.annualGrowth || 0) / 100, years);
+  }
+
+  // Latest point at or before the date, or the first point if none
+  let level = first.index;
+  series.forEach((point) => {
+    if (periodOrdinal(point.period) <= ordinal) level = point.index;
+  });
+  return level;
+}
+
+function periodKey(date, period) {
+  const year = date.slice(0, 4);
+  if (period !== "quarter") return year;
+  return `${year}-Q${Math.floor((parseInt(date.slice(5, 7)) - 1) / 3) + 1}`;
+}
+
+function periodOrdinal(key) {
+  const [year, quarter] = key.split("-Q");
+  return quarter ? year * 4 + (quarter - 1) : Number(year);
+}
+
+// Gaussian elimination with partial pivoting; null if the system is singular
+// (some period is not linked to the base period by any chain of pairs)
+function solveLinearSystem(matrix, vector) {
+  const n = vector.length;
+  const a = matrix.map((row, i) => [...row, vector[i]]);
+
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+    }
+    if (Math.abs(a[pivot][col]) < 1e-9) return null;
+    [a[col], a[pivot]] = [a[pivot], a[col]];
+
+    for (let row = col + 1; row < n; row++) {
+      const factor = a[row][col] / a[col][col];
+      for (let k = col; k <= n; k++) a[row][k] -= factor * a[col][k];
+    }
+  }
+
+  const result = new Array(n).fill(0);
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = a[row][n];
+    for (let k = row + 1; k < n; k++) sum -= a[row][k] * result[k];
+    result[row] = sum / a[row][row];
+  }
+  return result;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
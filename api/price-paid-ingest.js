@@ -0,0 +1,125 @@
+// api/price-paid-ingest.js - Stream Land Registry Price Paid files into Supabase
+import { createReadStream } from "fs";
+import { Readable } from "stream";
+import { parseCSVStream } from "./csv.js";
+import {
+  isPricePaidHeader,
+  toPricePaidRecord,
+  toPropertyPriceRow,
+} from "./price-paid.js";
+
+const PRICE_PAID_BASE_URL =
+  "http://prod.publicdata.landregistry.gov.uk.s3-website-eu-west-1.amazonaws.com";
+
+export const PRICE_PAID_SOURCES = {
+  monthly: `${PRICE_PAID_BASE_URL}/pp-monthly-update-new-version.csv`,
+  complete: `${PRICE_PAID_BASE_URL}/pp-complete.csv`,
+};
+
+// Expects property_prices to have a unique index on transaction_id
+const TABLE = "property_prices";
+
+async function openSource(source) {
+  if (/^https?:\/\//.test(source)) {
+    const response = await fetch(source, {
+      headers: { "User-Agent": "Mozilla/5.0 (compatible; UKPropertyApp/1.0)" },
+    });
+    if (!response.ok || !response.body) {
+      throw new Error(`Price Paid download failed: ${response.status}`);
+    }
+    return Readable.fromWeb(response.body);
+  }
+
+  return createReadStream(source);
+}
+
+// Stream, parse and apply a Price Paid file. Records are buffered per batch
+// and keyed by transaction ID so repeated IDs collapse to their last state;
+// additions/changes (A/C) are upserted and deletions (D) removed.
+export async function ingestPricePaid({
+  source = PRICE_PAID_SOURCES.monthly,
+  supabase,
+  batchSize = 500,
+  dryRun = false,
+  onProgress = () => {},
+}) {
+  if (!supabase && !dryRun) {
+    throw new Error("Supabase client is required unless dryRun is set");
+  }
+
+  const stats = {
+    source: source,
+    read: 0,
+    skipped: 0,
+    duplicates: 0,
+    upserted: 0,
+    deleted: 0,
+    batches: 0,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+  };
+
+  let batch = new Map();
+
+  const flush = async () => {
+    if (batch.size === 0) return;
+
+    const records = [...batch.values()];
+    batch = new Map();
+
+    const upserts = records
+      .filter((record) => record.recordStatus !== "D")
+      .map(toPropertyPriceRow);
+    const deletions = records
+      .filter((record) => record.recordStatus === "D")
+      .map((record) => record.transactionId);
+
+    if (!dryRun) {
+      if (upserts.length > 0) {
+        const { error } = await supabase
+          .from(TABLE)
+          .upsert(upserts, { onConflict: "transaction_id" });
+        if (error) throw error;
+      }
+
+      if (deletions.length > 0) {
+        const { error } = await supabase
+          .from(TABLE)
+          .delete()
+          .in("transaction_id", deletions);
+        if (error) throw error;
+      }
+    }
+
+    stats.upserted += upserts.length;
+    stats.deleted += deletions.length;
+    stats.batches++;
+    onProgress(stats);
+  };
+
+  const readable = await openSource(source);
+  let firstRow = true;
+
+  for await (const row of parseCSVStream(readable)) {
+    if (firstRow) {
+      firstRow = false;
+      if (isPricePaidHeader(row)) continue;
+    }
+
+    stats.read++;
+    const record = toPricePaidRecord(row);
+    if (!record || !record.transactionId || !record.postcode) {
+      stats.skipped++;
+      continue;
+    }
+
+    if (batch.has(record.transactionId)) stats.duplicates++;
+    batch.set(record.transactionId, record);
+
+    if (batch.size >= batchSize) await flush();
+  }
+
+  await flush();
+  stats.finishedAt = new Date().toISOString();
+  return stats;
+}
@@ -0,0 +1,107 @@
+// api/price-paid.js - HM Land Registry Price Paid Data record mapping
+import { parseCSV } from "./csv.js";
+
+// Column order of the Price Paid CSV (bulk files have no header row)
+export const PRICE_PAID_COLUMNS = [
+  "transactionId",
+  "price",
+  "date",
+  "postcode",
+  "propertyType", // D, S, T, F, O
+  "newBuild", // Y, N
+  "tenure", // F, L
+  "paon",
+  "saon",
+  "street",
+  "locality",
+  "town",
+  "district",
+  "county",
+  "ppdCategory", // A = standard, B = additional (repossessions, BTL, etc.)
+  "recordStatus", // A = addition, C = change, D = deletion
+];
+
+// Map one parsed CSV row onto a sale record
+export function toPricePaidRecord(row) {
+  if (!row || row.length < 14) return null;
+
+  const record = {};
+  PRICE_PAID_COLUMNS.forEach((column, index) => {
+    record[column] = (row[index] ?? "").trim();
+  });
+
+  record.price = parseInt(record.price, 10);
+  if (isNaN(record.price)) return null;
+
+  // Dates arrive as "YYYY-MM-DD 00:00" or "YYYY-MM-DD"
+  record.date = record.date.split(" ")[0];
+  record.address = [record.saon, record.paon, record.street]
+    .filter(Boolean)
+    .join(" ");
+  record.ppdCategory = record.ppdCategory || "A";
+  record.recordStatus = record.recordStatus || "A";
+
+  return record;
+}
+
+// Header rows (API downloads) start with a non-GUID first column
+export function isPricePaidHeader(row) {
+  return !!row && !/^\{?[0-9A-F-]{36}\}?$/i.test((row[0] || "").trim());
+}
+
+export function parsePricePaidCSV(csvData) {
+  const rows = parseCSV(csvData);
+  if (rows.length > 0 && isPricePaidHeader(rows[0])) rows.shift();
+
+  return rows.map(toPricePaidRecord).filter(Boolean);
+}
+
+// Map a Price Paid record onto a property_prices row
+export function toPropertyPriceRow(record) {
+  return {
+    transaction_id: record.transactionId,
+    price: record.price,
+    date_of_transfer: record.date,
+    postcode: record.postcode.toUpperCase(),
+    property_type: record.propertyType,
+    old_new: record.newBuild,
+    duration: record.tenure,
+    paon: record.paon,
+    saon: record.saon,
+    street: record.street,
+    locality: record.locality,
+    town_city: record.town,
+    district: record.district,
+    county: record.county,
+    ppd_category_type: record.ppdCategory,
+    record_status: record.recordStatus,
+    updated_at: new Date().toISOString(),
+  };
+}
+
+// Map a property_prices row back onto a Price Paid record
+export function fromPropertyPriceRow(row) {
+  const record = {
+    transactionId: row.transaction_id,
+    price: row.price,
+    date: String(row.date_of_transfer || "").slice(0, 10),
+    postcode: row.postcode,
+    propertyType: row.property_type,
+    newBuild: row.old_new,
+    tenure: row.duration,
+    paon: row.paon || "",
+    saon: row.saon || "",
+    street: row.street || "",
+    locality: row.locality || "",
+    town: row.town_city || "",
+    district: row.district || "",
+    county: row.county || "",
+    ppdCategory: row.ppd_category_type || "A",
+    recordStatus: row.record_status || "A",
+  };
+
+  record.address = [record.saon, record.paon, record.street]
+    .filter(Boolean)
+    .join(" ");
+  return record;
+}
@@ -1,35 +1,68 @@
 // api/property-data.js - FIXED VERSION to resolve 500 errors
-import { createClient } from "@supabase/supabase-js";
-
-// Initialize Supabase with error handling
-let supabase;
-try {
-  if (
-    process.env.NEXT_PUBLIC_SUPABASE_URL &&
-    process.env.SUPABASE_SERVICE_ROLE_KEY
-  ) {
-    supabase = createClient(
-      process.env.NEXT_PUBLIC_SUPABASE_URL,
-      process.env.SUPABASE_SERVICE_ROLE_KEY
-    );
-    console.log("✅ Supabase initialized successfully");
-  } else {
-    console.warn("⚠️ Supabase environment variables not found");
-  }
-} catch (error) {
-  console.error("❌ Supabase initialization error:", error);
-}
+import { supabase } from "./supabase-client.js";
+import {
+  calculateDistance,
+  isValidPostcodeFormat,
+  lookupPostcode,
+} from "./postcodes.js";
+import { createSeededRandom } from "./simulation.js";
+import {
+  dateRange,
+  geographyProvenance,
+  provenance,
+  provenanceFor,
+  SOURCE_NAMES,
+} from "./provenance.js";
+
+// Generated metrics defaults by local authority, then region
+const LOCAL_AUTHORITY_DEFAULTS = {
+  E08000003: { basePrice: 280000, growth: 5.2, yield: 5.8, score: 7.8 }, // Manchester
+  E08000025: { basePrice: 240000, growth: 4.8, yield: 6.2, score: 7.2 }, // Birmingham
+  E08000012: { basePrice: 180000, growth: 5.5, yield: 7.1, score: 7.5 }, // Liverpool
+  E08000035: { basePrice: 220000, growth: 4.9, yield: 6.0, score: 7.3 }, // Leeds
+};
+const REGION_DEFAULTS = {
+  London: { basePrice: 750000, growth: 3.7, yield: 3.1, score: 8.9 },
+};
+const DEFAULT_METRICS = {
+  basePrice: 280000,
+  growth: 4.0,
+  yield: 5.5,
+  score: 6.5,
+};
+
+// investment_metrics columns described in each response's provenance
+const METRIC_FIELDS = [
+  "avg_price",
+  "price_growth_12m",
+  "rental_yield",
+  "investment_score",
+  "transport_score",
+  "crime_rate",
+  "employment_rate",
+  "school_rating",
+  "new_developments",
+];
+
+const SAMPLE_PROVENANCE = provenance(SOURCE_NAMES.sample, { estimated: true });
+const ESTIMATE_PROVENANCE = provenance(SOURCE_NAMES.estimate, {
+  estimated: true,
+});
+const ESTIMATE_NOTE =
+  "Estimate from area defaults, seeded by postcode - not observed data";
 
 export default async function handler(req, res) {
   // Enable CORS
   res.setHeader("Access-Control-Allow-Origin", "*");
   res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, X-API-Key");
 
   if (req.method === "OPTIONS") {
     return res.status(200).end();
   }
 
+  const options = requestOptions(req);
+
   try {
     console.log("🚀 Property data API called");
     console.log("Query params:", req.query);
@@ -39,8 +72,7 @@ export default async function handler(req, res) {
 
     if (postcode) {
       console.log("📍 Getting data for postcode:", postcode);
-      const propertyData = await getPropertyByPostcode(postcode);
-      return res.json(propertyData);
+      return send(res, await getPropertyByPostcode(postcode, options));
     }
 
     if (lat && lng) {
@@ -48,14 +80,25 @@ export default async function handler(req, res) {
       const nearbyData = await getNearbyProperties(
         parseFloat(lat),
         parseFloat(lng),
-        parseFloat(radius)
+        parseFloat(radius),
+        options
+      );
+      return send(res, nearbyData);
+    }
+
+    if (options.strict) {
+      return send(
+        res,
+        failure(400, "MISSING_PARAMETERS", "postcode or lat and lng required")
       );
-      return res.json(nearbyData);
     }
 
     // Default: return sample data (always works)
     console.log("📊 Returning default sample data");
-    const sampleData = getSamplePropertyData();
+    const sampleData = describeRows(
+      getSamplePropertyData(),
+      () => SAMPLE_PROVENANCE
+    );
 
     res.json({
       success: true,
@@ -67,8 +110,15 @@ export default async function handler(req, res) {
   } catch (error) {
     console.error("❌ API Error:", error);
 
+    if (options.strict) {
+      return send(res, failure(502, "UPSTREAM_ERROR", error.message));
+    }
+
     // Always return JSON, never HTML error pages
-    const sampleData = getSamplePropertyData();
+    const sampleData = describeRows(
+      getSamplePropertyData(),
+      () => SAMPLE_PROVENANCE
+    );
     res.status(200).json({
       success: true,
       data: sampleData,
@@ -80,14 +130,85 @@ export default async function handler(req, res) {
   }
 }
 
-async function getPropertyByPostcode(postcode) {
+// strict=true turns sample data and swallowed errors into error responses;
+// it is the default for API clients (any X-API-Key header - keys are not
+// checked here), who can pass strict=false. In strict mode postcodes without
+// metrics only get an estimate when estimate=true is given.
+function requestOptions(req) {
+  const apiClient = Boolean(req.headers?.["x-api-key"]);
+  const { strict, estimate } = req.query;
+
+  return {
+    strict: strict === "true" || (apiClient && strict !== "false"),
+    estimate: estimate === "true",
+  };
+}
+
+// Error response with an HTTP status and a stable code for integrations
+function failure(status, code, error, details = {}) {
+  return {
+    success: false,
+    status: status,
+    code: code,
+    error: error,
+    ...details,
+  };
+}
+
+function send(res, { status = 200, ...body }) {
+  return res.status(status).json(body);
+}
+
+async function getPropertyByPostcode(
+  postcode,
+  { strict = false, estimate = false } = {}
+) {
+  const query = postcode.toUpperCase();
+  const notFound = () =>
+    failure(404, "POSTCODE_NOT_FOUND", "Postcode not found", {
+      postcode: query,
+    });
+
+  if (!isValidPostcodeFormat(postcode)) {
+    return failure(400, "INVALID_POSTCODE", "Invalid UK postcode format", {
+      postcode: query,
+    });
+  }
+
+  // Real geography from the postcode directory (undefined if unreachable)
+  let geography;
+
   try {
     console.log("🔍 Searching for postcode:", postcode);
 
+    try {
+      geography = await lookupPostcode(postcode);
+    } catch (lookupError) {
+      console.warn("⚠️ Postcode lookup unavailable:", lookupError.message);
+      if (strict) {
+        return failure(
+          502,
+          "POSTCODE_LOOKUP_FAILED",
+          `Postcode lookup unavailable: ${lookupError.message}`,
+          { postcode: query }
+        );
+      }
+    }
+
+    if (geography === null) return notFound();
+
     // If Supabase is not available, return sample data
     if (!supabase) {
+      if (strict && !estimate) {
+        return failure(
+          503,
+          "DATA_UNAVAILABLE",
+          "Property database is not configured",
+          { postcode: query }
+        );
+      }
       console.log("⚠️ Supabase not available, using sample data");
-      return getSamplePropertyByPostcode(postcode);
+      return getSamplePropertyByPostcode(postcode, geography, { strict });
     }
 
     // Try to get data from Supabase
@@ -100,7 +221,7 @@ async function getPropertyByPostcode(postcode) {
           property_areas (*)
         `
         )
-        .eq("postcode", postcode.toUpperCase())
+        .eq("postcode", query)
         .single();
 
       if (metricsError && metricsError.code !== "PGRST116") {
@@ -108,62 +229,85 @@ async function getPropertyByPostcode(postcode) {
         throw metricsError;
       }
 
-      // Get recent property sales (with error handling)
-      let recentSales = [];
-      try {
-        const { data: salesData } = await supabase
+      if (!metrics && strict && !estimate) {
+        return failure(
+          404,
+          "METRICS_NOT_FOUND",
+          "No investment metrics for this postcode; pass estimate=true for an estimate",
+          { postcode: query }
+        );
+      }
+
+      // Supporting data: failures leave the list empty unless strict
+      const recentSales = await optionalRows(
+        "Sales data",
+        supabase
           .from("property_prices")
           .select("*")
-          .eq("postcode", postcode.toUpperCase())
+          .eq("postcode", query)
           .order("date_of_transfer", { ascending: false })
-          .limit(10);
-
-        recentSales = salesData || [];
-      } catch (salesError) {
-        console.error("Sales data error:", salesError);
-      }
+          .limit(10),
+        strict
+      );
 
-      // Get crime data (with error handling)
-      let crimeData = [];
-      try {
-        const { data: crime } = await supabase
+      const crimeData = await optionalRows(
+        "Crime data",
+        supabase
           .from("crime_data")
           .select("*")
-          .eq("postcode", postcode.toUpperCase())
+          .eq("postcode", query)
           .gte(
             "month",
             new Date(Date.now() - 365 * 24 * 60 * 60 * 1000).toISOString()
           )
-          .order("month", { ascending: false });
-
-        crimeData = crime || [];
-      } catch (crimeError) {
-        console.error("Crime data error:", crimeError);
-      }
+          .order("month", { ascending: false }),
+        strict
+      );
 
-      // Get transport data (with error handling)
-      let transportData = [];
-      try {
-        const { data: transport } = await supabase
+      const transportData = await optionalRows(
+        "Transport data",
+        supabase
           .from("transport_data")
           .select("*")
-          .eq("postcode", postcode.toUpperCase())
-          .order("distance_meters", { ascending: true });
-
-        transportData = transport || [];
-      } catch (transportError) {
-        console.error("Transport data error:", transportError);
-      }
+          .eq("postcode", query)
+          .order("distance_meters", { ascending: true }),
+        strict
+      );
 
       return {
         success: true,
-        postcode: postcode.toUpperCase(),
-        metrics: metrics || generateDefaultMetrics(postcode),
+        postcode: query,
+        metrics: metrics || generateDefaultMetrics(postcode, geography),
+        geography: geography || null,
         recentSales: recentSales,
         crimeData: crimeData,
         transportData: transportData,
         lastUpdated: new Date().toISOString(),
-        source: metrics ? "database" : "generated",
+        source: metrics ? "database" : "estimate",
+        estimated: !metrics,
+        ...(metrics ? {} : { note: ESTIMATE_NOTE }),
+        provenance: {
+          ...provenanceFor(
+            "metrics",
+            METRIC_FIELDS,
+            metrics ? databaseProvenance(metrics) : ESTIMATE_PROVENANCE
+          ),
+          geography: geographyProvenance(geography),
+          recentSales: provenance(
+            "HM Land Registry Price Paid Data (property_prices table)",
+            {
+              period: dateRange(
+                recentSales.map((sale) => sale.date_of_transfer?.slice(0, 10))
+              ),
+            }
+          ),
+          crimeData: provenance("crime_data table", {
+            period: dateRange(
+              crimeData.map((crime) => crime.month?.slice(0, 7))
+            ),
+          }),
+          transportData: provenance("transport_data table"),
+        },
       };
     } catch (dbError) {
       console.error("Database error:", dbError);
@@ -171,18 +315,51 @@ async function getPropertyByPostcode(postcode) {
     }
   } catch (error) {
     console.error("getPropertyByPostcode error:", error);
-    return getSamplePropertyByPostcode(postcode);
+
+    if (strict) {
+      return failure(502, "UPSTREAM_ERROR", error.message, {
+        postcode: query,
+      });
+    }
+    return getSamplePropertyByPostcode(postcode, geography);
   }
 }
 
-async function getNearbyProperties(lat, lng, radiusKm) {
+async function optionalRows(label, request, strict) {
+  try {
+    const { data, error } = await request;
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error(`${label} error:`, error);
+    if (strict) throw error;
+    return [];
+  }
+}
+
+export async function getNearbyProperties(
+  lat,
+  lng,
+  radiusKm,
+  { strict = false } = {}
+) {
   try {
     // If Supabase is not available, return sample data
     if (!supabase) {
+      if (strict) {
+        return failure(
+          503,
+          "DATA_UNAVAILABLE",
+          "Property database is not configured"
+        );
+      }
       console.log(
         "⚠️ Supabase not available for nearby search, using sample data"
       );
-      return { success: true, data: getSamplePropertyData() };
+      return {
+        success: true,
+        data: describeRows(getSamplePropertyData(), () => SAMPLE_PROVENANCE),
+      };
     }
 
     // Try RPC function first
@@ -198,7 +375,10 @@ async function getNearbyProperties(lat, lng, radiusKm) {
         throw error;
       }
 
-      return { success: true, data: data || [] };
+      return {
+        success: true,
+        data: describeRows(data || [], databaseProvenance),
+      };
     } catch (rpcError) {
       console.error("RPC failed, trying fallback:", rpcError);
 
@@ -228,7 +408,10 @@ async function getNearbyProperties(lat, lng, radiusKm) {
           return distance <= radiusKm;
         });
 
-        return { success: true, data: filtered };
+        return {
+          success: true,
+          data: describeRows(filtered, databaseProvenance),
+        };
       } catch (fallbackError) {
         console.error("Fallback also failed:", fallbackError);
         throw fallbackError;
@@ -236,54 +419,72 @@ async function getNearbyProperties(lat, lng, radiusKm) {
     }
   } catch (error) {
     console.error("getNearbyProperties error:", error);
-    return { success: true, data: getSamplePropertyData() };
+    if (strict) return failure(502, "UPSTREAM_ERROR", error.message);
+    return {
+      success: true,
+      data: describeRows(getSamplePropertyData(), () => SAMPLE_PROVENANCE),
+    };
   }
 }
 
-function calculateDistance(lat1, lon1, lat2, lon2) {
-  const R = 6371; // Earth's radius in km
-  const dLat = ((lat2 - lat1) * Math.PI) / 180;
-  const dLon = ((lon2 - lon1) * Math.PI) / 180;
-  const a =
-    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-    Math.cos((lat1 * Math.PI) / 180) *
-      Math.cos((lat2 * Math.PI) / 180) *
-      Math.sin(dLon / 2) *
-      Math.sin(dLon / 2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  return R * c;
+// investment_metrics rows are as fresh as their last update
+function databaseProvenance(row) {
+  return provenance("investment_metrics table", {
+    retrievedAt: row.last_updated || null,
+  });
 }
 
-function generateDefaultMetrics(postcode) {
-  // Generate area-specific defaults based on postcode
-  const areaCode = postcode.substring(0, 2).toUpperCase();
-
-  const areaDefaults = {
-    M1: { basePrice: 280000, growth: 5.2, yield: 5.8, score: 7.8 },
-    SW: { basePrice: 750000, growth: 3.7, yield: 3.1, score: 8.9 },
-    B1: { basePrice: 240000, growth: 4.8, yield: 6.2, score: 7.2 },
-    L1: { basePrice: 180000, growth: 5.5, yield: 7.1, score: 7.5 },
-    LS: { basePrice: 220000, growth: 4.9, yield: 6.0, score: 7.3 },
-    DEFAULT: { basePrice: 280000, growth: 4.0, yield: 5.5, score: 6.5 },
-  };
+// Each row with the provenance of its metrics
+function describeRows(rows, describe) {
+  return rows.map((row) => ({
+    ...row,
+    provenance: provenanceFor(null, METRIC_FIELDS, describe(row)),
+  }));
+}
 
-  const defaults = areaDefaults[areaCode] || areaDefaults["DEFAULT"];
+// Estimate from area defaults for a postcode without metrics. Variation
+// around the defaults is seeded by the postcode, so the same postcode always
+// gets the same estimate.
+function generateDefaultMetrics(postcode, geography = null) {
+  // Generate area-specific defaults from the postcode's real geography
+  const authorityDefaults =
+    LOCAL_AUTHORITY_DEFAULTS[geography?.localAuthority?.code];
+  const regionDefaults = REGION_DEFAULTS[geography?.region?.name];
+  const defaults = authorityDefaults || regionDefaults || DEFAULT_METRICS;
+  const random = createSeededRandom(postcode.replace(/\s+/g, "").toUpperCase());
 
   return {
     postcode: postcode.toUpperCase(),
-    avg_price: defaults.basePrice + (Math.random() - 0.5) * 50000,
-    price_growth_12m: defaults.growth + (Math.random() - 0.5) * 2,
-    rental_yield: defaults.yield + (Math.random() - 0.5) * 1,
-    investment_score: defaults.score + (Math.random() - 0.5) * 1,
-    transport_score: Math.random() * 10,
-    crime_rate: Math.random() * 50 + 10,
-    employment_rate: Math.random() * 20 + 80,
-    school_rating: ["Outstanding", "Good", "Requires Improvement"][
-      Math.floor(Math.random() * 3)
-    ],
-    new_developments: Math.floor(Math.random() * 50),
+    property_areas:
+      geography?.lat != null
+        ? {
+            area_name:
+              geography.ward?.name ||
+              geography.localAuthority?.name ||
+              geography.postcode,
+            latitude: geography.lat,
+            longitude: geography.lng,
+            region: geography.region?.name || null,
+            local_authority: geography.localAuthority?.name || null,
+          }
+        : null,
+    avg_price: defaults.basePrice + (random() - 0.5) * 50000,
+    price_growth_12m: defaults.growth + (random() - 0.5) * 2,
+    rental_yield: defaults.yield + (random() - 0.5) * 1,
+    investment_score: defaults.score + (random() - 0.5) * 1,
+    transport_score: null, // Not estimated; see /api/transport
+    crime_rate: random() * 50 + 10,
+    employment_rate: random() * 20 + 80,
+    school_rating: null, // Not estimated; see /api/schools
+    new_developments: null, // Not estimated; see /api/planning
     last_updated: new Date().toISOString(),
-    data_confidence: 0.8,
+    data_confidence: 0.3, // Defaults, not observations
+    is_estimate: true,
+    estimate_basis: authorityDefaults
+      ? "local_authority"
+      : regionDefaults
+      ? "region"
+      : "national",
   };
 }
 
@@ -393,32 +594,51 @@ function getSamplePropertyData() {
   ];
 }
 
-function getSamplePropertyByPostcode(postcode) {
+// Sample metrics for the demo postcodes, estimates for the rest. Strict mode
+// never returns sample data.
+function getSamplePropertyByPostcode(
+  postcode,
+  geography = null,
+  { strict = false } = {}
+) {
   const sampleData = getSamplePropertyData();
-  const found = sampleData.find((p) => p.postcode === postcode.toUpperCase());
+  const found =
+    !strict && sampleData.find((p) => p.postcode === postcode.toUpperCase());
 
   if (found) {
     return {
       success: true,
       postcode: postcode.toUpperCase(),
       metrics: found,
+      geography: geography || null,
       recentSales: [],
       crimeData: [],
       transportData: [],
       lastUpdated: new Date().toISOString(),
       source: "sample",
+      provenance: {
+        ...provenanceFor("metrics", METRIC_FIELDS, SAMPLE_PROVENANCE),
+        geography: geographyProvenance(geography),
+      },
     };
   }
 
-  // Generate new sample data for unknown postcodes
+  // Estimate for postcodes without sample data
   return {
     success: true,
     postcode: postcode.toUpperCase(),
-    metrics: generateDefaultMetrics(postcode),
+    metrics: generateDefaultMetrics(postcode, geography),
+    geography: geography || null,
     recentSales: [],
     crimeData: [],
     transportData: [],
     lastUpdated: new Date().toISOString(),
-    source: "generated",
+    source: "estimate",
+    estimated: true,
+    note: ESTIMATE_NOTE,
+    provenance: {
+      ...provenanceFor("metrics", METRIC_FIELDS, ESTIMATE_PROVENANCE),
+      geography: geographyProvenance(geography),
+    },
   };
 }
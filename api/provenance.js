@@ -0,0 +1,63 @@
+// api/provenance.js - Where each value in an API response came from
+//
+// Responses carry a flat `provenance` map next to their data, keyed by the
+// path of the value it describes ("metrics.avg_price",
+// "realTimeData.economic.inflation"). Each entry says:
+//   source      - the dataset or method that produced the value
+//   retrievedAt - when it was fetched from that source; cached values keep
+//                 the time of the original fetch
+//   period      - what the value describes: a date, a month ("2024-05"), a
+//                 quarter ("2024-Q1") or a { from, to } range
+//   estimated   - true for forecasts and for anything sampled, generated or
+//                 substituted; statistics computed from observed data (an
+//                 average of recorded sales) count as observed
+
+export const SOURCE_NAMES = {
+  fallback: "Built-in fallback value",
+  sample: "Sample data",
+  estimate: "Estimate from area defaults (seeded by postcode)",
+  model: "Prediction model",
+};
+
+export function provenance(
+  source,
+  { retrievedAt = null, period = null, estimated = false } = {}
+) {
+  return {
+    source: source,
+    retrievedAt: retrievedAt,
+    period: period,
+    estimated: estimated,
+  };
+}
+
+// The same entry for several values: keys are prefixed with path
+export function provenanceFor(path, keys, entry) {
+  return Object.fromEntries(
+    keys.map((key) => [path ? `${path}.${key}` : key, entry])
+  );
+}
+
+// Re-key a provenance map under path ("baseRate" -> "economic.baseRate")
+export function prefixProvenance(path, map) {
+  return Object.fromEntries(
+    Object.entries(map || {}).map(([key, entry]) => [`${path}.${key}`, entry])
+  );
+}
+
+// Postcode geography from lookupPostcode
+export function geographyProvenance(geography) {
+  if (!geography) return null;
+  return provenance(
+    geography.source === "onspd" ? "ONS Postcode Directory" : "postcodes.io",
+    { retrievedAt: geography.retrievedAt || null }
+  );
+}
+
+// { from, to } covering the dates, or null without any
+export function dateRange(dates) {
+  const sorted = dates.filter(Boolean).sort();
+  return sorted.length > 0
+    ? { from: sorted[0], to: sorted[sorted.length - 1] }
+    : null;
+}
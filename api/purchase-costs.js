@@ -0,0 +1,371 @@
+// api/purchase-costs.js - SDLT (England/NI), LBTT (Scotland) and LTT (Wales)
+// Rates as at 1 April 2025
+import { formatPostcode, postcodeArea } from "./postcodes.js";
+
+const TAX_TABLES = {
+  england: {
+    taxName: "SDLT",
+    standard: [
+      { upTo: 125000, rate: 0 },
+      { upTo: 250000, rate: 2 },
+      { upTo: 925000, rate: 5 },
+      { upTo: 1500000, rate: 10 },
+      { upTo: Infinity, rate: 12 },
+    ],
+    // First-time buyer relief only applies up to £500k
+    firstTimeBuyer: {
+      maxPrice: 500000,
+      bands: [
+        { upTo: 300000, rate: 0 },
+        { upTo: 500000, rate: 5 },
+      ],
+    },
+    // Higher rates for additional dwellings: +5% on every band
+    additionalSurcharge: 5,
+    nonResidentSurcharge: 2,
+    companyFlatRate: { threshold: 500000, rate: 17 },
+  },
+  scotland: {
+    taxName: "LBTT",
+    standard: [
+      { upTo: 145000, rate: 0 },
+      { upTo: 250000, rate: 2 },
+      { upTo: 325000, rate: 5 },
+      { upTo: 750000, rate: 10 },
+      { upTo: Infinity, rate: 12 },
+    ],
+    // First-time buyer relief raises the nil-rate band to £175k
+    firstTimeBuyer: {
+      maxPrice: Infinity,
+      bands: [
+        { upTo: 175000, rate: 0 },
+        { upTo: 250000, rate: 2 },
+        { upTo: 325000, rate: 5 },
+        { upTo: 750000, rate: 10 },
+        { upTo: Infinity, rate: 12 },
+      ],
+    },
+    // Additional Dwelling Supplement: 8% of the whole price
+    additionalDwellingSupplement: 8,
+  },
+  wales: {
+    taxName: "LTT",
+    standard: [
+      { upTo: 225000, rate: 0 },
+      { upTo: 400000, rate: 6 },
+      { upTo: 750000, rate: 7.5 },
+      { upTo: 1500000, rate: 10 },
+      { upTo: Infinity, rate: 12 },
+    ],
+    // No first-time buyer relief in Wales
+    firstTimeBuyer: null,
+    higherRates: [
+      { upTo: 180000, rate: 5 },
+      { upTo: 250000, rate: 8.5 },
+      { upTo: 400000, rate: 10 },
+      { upTo: 750000, rate: 12.5 },
+      { upTo: 1500000, rate: 15 },
+      { upTo: Infinity, rate: 17 },
+    ],
+  },
+};
+
+// Surcharges do not apply to purchases below £40k
+const SURCHARGE_MIN_PRICE = 40000;
+
+export const BUYER_TYPES = ["standard", "first-time", "additional", "company"];
+const COUNTRIES = ["england", "scotland", "wales", "northern-ireland"];
+
+const SCOTTISH_AREAS = /^(AB|DD|DG|EH|FK|G|HS|IV|KA|KW|KY|ML|PA|PH|TD|ZE)$/;
+const WELSH_AREAS = /^(CF|LD|LL|NP|SA)$/;
+
+// Cross-border districts that belong to the other country
+const ENGLISH_DISTRICTS_IN_SCOTTISH_AREAS = /^TD(12|15)$/;
+const WELSH_DISTRICTS_IN_ENGLISH_AREAS = /^(CH[5-8]|SY(1[5-9]|2[0-5]))$/;
+
+export default async function handler(req, res) {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "GET, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+
+  if (req.method === "OPTIONS") return res.status(200).end();
+  if (req.method !== "GET")
+    return res
+      .status(405)
+      .json({ success: false, error: "Method not allowed" });
+
+  try {
+    const { price, postcode, buyerType = "standard" } = req.query;
+    const country = req.query.country?.toLowerCase();
+
+    const purchasePrice = parseFloat(price);
+    if (!purchasePrice || purchasePrice <= 0) {
+      return res
+        .status(400)
+        .json({ success: false, error: "A positive price is required" });
+    }
+
+    if (!postcode && !country) {
+      return res
+        .status(400)
+        .json({ success: false, error: "Postcode or country is required" });
+    }
+
+    if (country && !COUNTRIES.includes(country)) {
+      return res.status(400).json({
+        success: false,
+        error: `country must be one of: ${COUNTRIES.join(", ")}`,
+      });
+    }
+
+    if (!BUYER_TYPES.includes(buyerType)) {
+      return res.status(400).json({
+        success: false,
+        error: `buyerType must be one of: ${BUYER_TYPES.join(", ")}`,
+      });
+    }
+
+    const costs = calculatePurchaseCosts({
+      price: purchasePrice,
+      postcode: postcode,
+      country: country,
+      buyerType: buyerType,
+      nonResident: req.query.nonResident === "true",
+      companyRentalRelief: req.query.companyRentalRelief !== "false",
+      legalFees: parseOptionalFloat(req.query.legalFees),
+      surveyFees: parseOptionalFloat(req.query.surveyFees),
+    });
+
+    res.status(200).json({
+      success: true,
+      postcode: postcode ? postcode.toUpperCase() : null,
+      ...costs,
+      generatedAt: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error("❌ Purchase cost error:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+}
+
+// Country of a full postcode or outward code ("TD15")
+export function getCountryFromPostcode(postcode) {
+  const area = postcodeArea(postcode.trim()) || "";
+  const district = formatPostcode(postcode).split(" ")[0];
+
+  if (area === "BT") return "northern-ireland";
+
+  if (SCOTTISH_AREAS.test(area)) {
+    return ENGLISH_DISTRICTS_IN_SCOTTISH_AREAS.test(district)
+      ? "england"
+      : "scotland";
+  }
+
+  if (
+    WELSH_AREAS.test(area) ||
+    WELSH_DISTRICTS_IN_ENGLISH_AREAS.test(district)
+  ) {
+    return "wales";
+  }
+
+  return "england";
+}
+
+export function calculatePurchaseCosts({
+  price,
+  postcode,
+  country,
+  buyerType = "standard",
+  nonResident = false,
+  companyRentalRelief = true,
+  legalFees,
+  surveyFees,
+}) {
+  const resolvedCountry = country || getCountryFromPostcode(postcode);
+  const notes = [];
+
+  let tax;
+  if (resolvedCountry === "scotland") {
+    tax = calculateLBTT(price, buyerType, notes);
+  } else if (resolvedCountry === "wales") {
+    tax = calculateLTT(price, buyerType, notes);
+  } else {
+    tax = calculateSDLT(
+      price,
+      buyerType,
+      { nonResident, companyRentalRelief },
+      notes
+    );
+  }
+
+  const otherCosts = {
+    legalFees: legalFees ?? 1500,
+    surveyFees: surveyFees ?? 500,
+  };
+  const totalOtherCosts = otherCosts.legalFees + otherCosts.surveyFees;
+  const totalCosts = tax.total + totalOtherCosts;
+
+  return {
+    country: resolvedCountry,
+    taxName: TAX_TABLES[taxTableFor(resolvedCountry)].taxName,
+    buyerType: buyerType,
+    price: price,
+    tax: tax,
+    effectiveTaxRate: Math.round((tax.total / price) * 10000) / 100,
+    otherCosts: otherCosts,
+    totalAcquisitionCosts: Math.round(totalCosts),
+    totalCostOfPurchase: Math.round(price + totalCosts),
+    notes: notes,
+  };
+}
+
+function calculateSDLT(price, buyerType, options, notes) {
+  const table = TAX_TABLES.england;
+  const higherRates =
+    (buyerType === "additional" || buyerType === "company") &&
+    price >= SURCHARGE_MIN_PRICE;
+
+  // Companies buying over £500k pay a flat 17% unless relieved
+  if (
+    buyerType === "company" &&
+    price > table.companyFlatRate.threshold &&
+    !options.companyRentalRelief
+  ) {
+    const rate =
+      table.companyFlatRate.rate +
+      (options.nonResident ? table.nonResidentSurcharge : 0);
+    notes.push("Flat 17% rate for non-natural person purchase over £500k");
+    return {
+      bands: [{ from: 0, to: price, rate: rate, tax: (price * rate) / 100 }],
+      baseTax: Math.round((price * table.companyFlatRate.rate) / 100),
+      surcharge: options.nonResident ? Math.round((price * 2) / 100) : 0,
+      total: Math.round((price * rate) / 100),
+    };
+  }
+
+  let bands = table.standard;
+  if (buyerType === "first-time") {
+    if (price <= table.firstTimeBuyer.maxPrice) {
+      bands = table.firstTimeBuyer.bands;
+      notes.push("First-time buyer relief applied");
+    } else {
+      notes.push("First-time buyer relief not available above £500,000");
+    }
+  }
+
+  let extraRate = 0;
+  if (higherRates) {
+    extraRate += table.additionalSurcharge;
+    notes.push("Higher rates for additional dwellings (+5%)");
+  }
+  if (options.nonResident) {
+    extraRate += table.nonResidentSurcharge;
+    notes.push("Non-resident surcharge (+2%)");
+  }
+
+  const base = applyBands(price, bands);
+  const withSurcharge = applyBands(price, bands, extraRate);
+
+  return {
+    bands: withSurcharge.bands,
+    baseTax: base.total,
+    surcharge: withSurcharge.total - base.total,
+    total: withSurcharge.total,
+  };
+}
+
+function calculateLBTT(price, buyerType, notes) {
+  const table = TAX_TABLES.scotland;
+
+  let bands = table.standard;
+  if (buyerType === "first-time") {
+    bands = table.firstTimeBuyer.bands;
+    notes.push("First-time buyer relief applied (nil-rate band £175,000)");
+  }
+
+  const base = applyBands(price, bands);
+
+  let surcharge = 0;
+  if (
+    (buyerType === "additional" || buyerType === "company") &&
+    price >= SURCHARGE_MIN_PRICE
+  ) {
+    surcharge = Math.round((price * table.additionalDwellingSupplement) / 100);
+    notes.push("Additional Dwelling Supplement (8% of purchase price)");
+  }
+
+  return {
+    bands: base.bands,
+    baseTax: base.total,
+    surcharge: surcharge,
+    total: base.total + surcharge,
+  };
+}
+
+function calculateLTT(price, buyerType, notes) {
+  const table = TAX_TABLES.wales;
+
+  if (buyerType === "first-time") {
+    notes.push("First-time buyer relief is not available in Wales");
+  }
+
+  const base = applyBands(price, table.standard);
+
+  if (
+    (buyerType === "additional" || buyerType === "company") &&
+    price >= SURCHARGE_MIN_PRICE
+  ) {
+    const higher = applyBands(price, table.higherRates);
+    notes.push("LTT higher residential rates applied");
+    return {
+      bands: higher.bands,
+      baseTax: base.total,
+      surcharge: higher.total - base.total,
+      total: higher.total,
+    };
+  }
+
+  return {
+    bands: base.bands,
+    baseTax: base.total,
+    surcharge: 0,
+    total: base.total,
+  };
+}
+
+// Slice the price across progressive bands
+function applyBands(price, bands, extraRate = 0) {
+  let lower = 0;
+  let total = 0;
+  const breakdown = [];
+
+  for (const band of bands) {
+    if (price <= lower) break;
+
+    const taxable = Math.min(price, band.upTo) - lower;
+    const rate = band.rate + extraRate;
+    const tax = (taxable * rate) / 100;
+
+    breakdown.push({
+      from: lower,
+      to: band.upTo === Infinity ? null : band.upTo,
+      rate: rate,
+      taxable: taxable,
+      tax: Math.round(tax),
+    });
+
+    total += tax;
+    lower = band.upTo;
+  }
+
+  return { bands: breakdown, total: Math.round(total) };
+}
+
+function taxTableFor(country) {
+  return country === "scotland" || country === "wales" ? country : "england";
+}
+
+function parseOptionalFloat(value) {
+  const parsed = parseFloat(value);
+  return isNaN(parsed) ? undefined : parsed;
+}
@@ -1,13 +1,162 @@
 // api/real-time-data.js - Complete real-time data integration with all APIs
+import { parsePricePaidCSV } from "./price-paid.js";
+import { getEpcSummary } from "./epc.js";
+import { getRentalMarket } from "./rents.js";
+import { getDevelopmentPipeline } from "./planning.js";
+import { getSchoolsNearby } from "./schools.js";
+import { getTransportAccessibility } from "./transport.js";
+import { getFloodRisk } from "./flood.js";
+import { getPostcodeCoordinates } from "./postcodes.js";
+import { getCrimeTrends, NATIONAL_WEIGHTED_RATE } from "./crime.js";
+import { createCacheStats, upstreamCache } from "./cache.js";
+import { SourceHealth } from "./source-health.js";
+import {
+  ECONOMIC_SERIES,
+  getSeries,
+  parseOnsPoints,
+  seriesTrend,
+} from "./economic-series.js";
+import {
+  dateRange,
+  prefixProvenance,
+  provenance,
+  provenanceFor,
+  SOURCE_NAMES,
+} from "./provenance.js";
+
+// Predictions use the most granular postcode level with at least
+// MIN_LEVEL_SALES standard sales in the last LEVEL_WINDOW_MONTHS, or the
+// district's sales flagged as low coverage when none has
+const MIN_LEVEL_SALES = 10;
+const LEVEL_WINDOW_MONTHS = 24;
+
+// Used when a source is unreachable and nothing is cached
+export const FALLBACK_ECONOMIC_DATA = {
+  baseRate: 5.25,
+  inflation: 4.2,
+  unemploymentRate: 4.1,
+  gdpGrowth: 0.6,
+  mortgage2yFixed: 5.1,
+  mortgage5yFixed: 4.8,
+};
+
+// Every upstream source the provider fetches from. cacheDuration names the
+// TTL in FreeRealTimeDataProvider.cacheDuration; fallback describes what is
+// used instead when the source fails.
+export const DATA_SOURCES = {
+  bankRate: {
+    name: "Bank of England Bank Rate",
+    category: "Economy",
+    url: "https://www.bankofengland.co.uk/boeapps/database/",
+    cacheDuration: "bankRate",
+    fallback: `${FALLBACK_ECONOMIC_DATA.baseRate}% base rate`,
+  },
+  inflation: {
+    name: "ONS CPIH inflation",
+    category: "Economy",
+    url: "https://www.ons.gov.uk/economy/inflationandpriceindices",
+    cacheDuration: "onsData",
+    fallback: `${FALLBACK_ECONOMIC_DATA.inflation}% inflation`,
+  },
+  unemployment: {
+    name: "ONS Labour Market (unemployment)",
+    category: "Economy",
+    url: "https://www.ons.gov.uk/employmentandlabourmarket",
+    cacheDuration: "onsData",
+    fallback: `${FALLBACK_ECONOMIC_DATA.unemploymentRate}% unemployment`,
+  },
+  gdpGrowth: {
+    name: "ONS GDP growth",
+    category: "Economy",
+    url: "https://www.ons.gov.uk/economy/grossdomesticproductgdp",
+    cacheDuration: "onsData",
+    fallback: `${FALLBACK_ECONOMIC_DATA.gdpGrowth}% GDP growth`,
+  },
+  mortgageRates: {
+    name: "Bank of England quoted mortgage rates",
+    category: "Economy",
+    url: "https://www.bankofengland.co.uk/boeapps/database/",
+    cacheDuration: "bankRate",
+    fallback: `${FALLBACK_ECONOMIC_DATA.mortgage2yFixed}% 2-year and ${FALLBACK_ECONOMIC_DATA.mortgage5yFixed}% 5-year fixed`,
+  },
+  landRegistry: {
+    name: "HM Land Registry Price Paid Data",
+    category: "Property",
+    url: "https://landregistry.data.gov.uk/",
+    cacheDuration: "landRegistry",
+    fallback: "No recent sales; area averages used",
+  },
+  police: {
+    name: "Police.uk crime data",
+    category: "Crime & Safety",
+    url: "https://data.police.uk/",
+    cacheDuration: "crimeData",
+    fallback: "300 crimes a year estimate",
+  },
+  epc: {
+    name: "EPC register",
+    category: "Property",
+    url: "https://epc.opendatacommunities.org/",
+    cacheDuration: "epcData",
+    fallback: "No EPC data",
+  },
+  rents: {
+    name: "ONS private rental price statistics",
+    category: "Property",
+    url: "https://www.ons.gov.uk/economy/inflationandpriceindices/bulletins/privaterentandhousepricesuk/latest",
+    cacheDuration: "rentalData",
+    fallback: "Area yield estimates",
+  },
+  planning: {
+    name: "Local authority planning applications",
+    category: "Property",
+    url: "https://www.planning.data.gov.uk/",
+    cacheDuration: "planningData",
+    fallback: "No supply pipeline adjustment",
+  },
+  schools: {
+    name: "GIAS register and Ofsted inspections",
+    category: "Education",
+    url: "https://get-information-schools.service.gov.uk/",
+    cacheDuration: "schoolData",
+    fallback: "No education score",
+  },
+  transport: {
+    name: "NaPTAN stops and GTFS timetables",
+    category: "Transport",
+    url: "https://beta-naptan.dft.gov.uk/",
+    cacheDuration: "transportData",
+    fallback: "No transport score or journey times",
+  },
+  flood: {
+    name: "Environment Agency, NRW and SEPA flood maps",
+    category: "Environment",
+    url: "https://www.gov.uk/check-long-term-flood-risk",
+    cacheDuration: "floodData",
+    fallback: "No flood risk adjustment",
+  },
+};
+
 export class FreeRealTimeDataProvider {
-  constructor() {
-    this.cache = new Map();
-    this.cacheExpiry = new Map();
+  constructor(cache = upstreamCache, health = new SourceHealth(cache.store)) {
+    // The cache is shared across requests (see cache.js); stats and health
+    // changes are per provider, and health.flush() saves them
+    this.cache = cache;
+    this.health = health;
+    this.cacheStats = createCacheStats(cache.backend);
+    // Where and when each source's last value was retrieved, for provenance
+    this.retrievals = {};
     this.cacheDuration = {
       bankRate: 24 * 60 * 60 * 1000, // 24 hours
       onsData: 12 * 60 * 60 * 1000, // 12 hours
       crimeData: 7 * 24 * 60 * 60 * 1000, // 7 days
       landRegistry: 24 * 60 * 60 * 1000, // 24 hours
+      epcData: 60 * 60 * 1000, // 1 hour
+      rentalData: 24 * 60 * 60 * 1000, // 24 hours
+      planningData: 24 * 60 * 60 * 1000, // 24 hours
+      schoolData: 7 * 24 * 60 * 60 * 1000, // 7 days
+      transportData: 7 * 24 * 60 * 60 * 1000, // 7 days
+      floodData: 7 * 24 * 60 * 60 * 1000, // 7 days
     };
   }
 
@@ -16,29 +165,54 @@ export class FreeRealTimeDataProvider {
     try {
       console.log("🌐 Fetching real-time economic data...");
 
-      const [bankRate, inflation, unemployment, gdpGrowth] =
-        await Promise.allSettled([
-          this.getBankOfEnglandBaseRate(),
-          this.getONSInflationRate(),
-          this.getONSUnemploymentRate(),
-          this.getONSGDPGrowth(),
-        ]);
+      const [
+        bankRate,
+        inflation,
+        unemployment,
+        gdpGrowth,
+        mortgage2yFixed,
+        mortgage5yFixed,
+      ] = await Promise.allSettled([
+        this.getBankOfEnglandBaseRate(),
+        this.getONSInflationRate(),
+        this.getONSUnemploymentRate(),
+        this.getONSGDPGrowth(),
+        this.getMortgageRate("mortgage2yFixed"),
+        this.getMortgageRate("mortgage5yFixed"),
+      ]);
 
-      return {
-        baseRate: bankRate.status === "fulfilled" ? bankRate.value : 5.25,
-        inflation: inflation.status === "fulfilled" ? inflation.value : 4.2,
-        unemploymentRate:
-          unemployment.status === "fulfilled" ? unemployment.value : 4.1,
-        gdpGrowth: gdpGrowth.status === "fulfilled" ? gdpGrowth.value : 0.6,
+      const indicators = {
+        baseRate: ["bankRate", bankRate],
+        inflation: ["inflation", inflation],
+        unemploymentRate: ["unemployment", unemployment],
+        gdpGrowth: ["gdpGrowth", gdpGrowth],
+        mortgage2yFixed: ["mortgageRates", mortgage2yFixed],
+        mortgage5yFixed: ["mortgageRates", mortgage5yFixed],
+      };
+
+      const economicData = {
         lastUpdated: new Date().toISOString(),
-        dataSources: {
-          bankRate: bankRate.status === "fulfilled" ? "live" : "fallback",
-          inflation: inflation.status === "fulfilled" ? "live" : "fallback",
-          unemployment:
-            unemployment.status === "fulfilled" ? "live" : "fallback",
-          gdpGrowth: gdpGrowth.status === "fulfilled" ? "live" : "fallback",
-        },
+        dataSources: {},
+        provenance: {},
+        // Change over the last year of each live series (see seriesTrend)
+        trends: {},
       };
+      Object.entries(indicators).forEach(([field, [source, result]]) => {
+        const live = result.status === "fulfilled";
+        economicData[field] = live
+          ? result.value.value
+          : FALLBACK_ECONOMIC_DATA[field];
+        economicData.dataSources[source] =
+          live && economicData.dataSources[source] !== "fallback"
+            ? "live"
+            : "fallback";
+        economicData.provenance[field] = live
+          ? this.describe(source, result.value.period)
+          : provenance(SOURCE_NAMES.fallback, { estimated: true });
+        economicData.trends[field] = (live && result.value.trend) || null;
+      });
+
+      return economicData;
     } catch (error) {
       console.error("❌ Error fetching economic data:", error);
       return this.getFallbackEconomicData();
@@ -47,46 +221,19 @@ export class FreeRealTimeDataProvider {
 
   // 1. Bank of England Base Rate (FREE)
   async getBankOfEnglandBaseRate() {
-    const cacheKey = "bankRate";
-
-    if (this.isCached(cacheKey)) {
-      return this.getFromCache(cacheKey);
-    }
+    return this.cached("bankRate", "bankRate", () =>
+      this.fetchBankOfEnglandBaseRate()
+    );
+  }
 
+  async fetchBankOfEnglandBaseRate() {
     try {
       console.log("📊 Fetching BoE base rate...");
 
       // Method 1: Bank of England Database API
-      const response = await fetch(
-        "https://www.bankofengland.co.uk/boeapps/database/fromshowcolumns.asp?csv.x=yes&Datefrom=01/Jan/2024&Dateto=now&SeriesCodes=IUDBEDR&CSVF=TN&UsingCodes=Y",
-        {
-          headers: {
-            "User-Agent": "Mozilla/5.0 (compatible; UKPropertyApp/1.0)",
-            Accept: "text/csv",
-          },
-        }
-      );
-
-      if (!response.ok) throw new Error(`BoE API error: ${response.status}`);
-
-      const csvData = await response.text();
-      const lines = csvData.split("\n");
-
-      // Parse the last line with data (most recent rate)
-      for (let i = lines.length - 1; i >= 0; i--) {
-        const line = lines[i].trim();
-        if (line && !line.includes("DATE")) {
-          const parts = line.split(",");
-          if (parts.length >= 2 && parts[1] !== "") {
-            const rate = parseFloat(parts[1]);
-            console.log("✅ BoE base rate:", rate + "%");
-            this.setCache(cacheKey, rate);
-            return rate;
-          }
-        }
-      }
-
-      throw new Error("No valid rate data found");
+      const latest = await this.fetchLatestObservation("bankRate");
+      console.log("✅ BoE base rate:", latest.value + "%");
+      return latest;
     } catch (error) {
       console.error("❌ BoE API failed, trying alternative...", error);
 
@@ -106,8 +253,12 @@ export class FreeRealTimeDataProvider {
         if (rateMatch) {
           const rate = parseFloat(rateMatch[1]);
           console.log("✅ BoE base rate (scraped):", rate + "%");
-          this.setCache(cacheKey, rate);
-          return rate;
+          // The page shows the rate in force today; there is no history
+          return {
+            value: rate,
+            period: new Date().toISOString().slice(0, 10),
+            trend: null,
+          };
         }
       } catch (scrapeError) {
         console.error("❌ BoE scraping failed:", scrapeError);
@@ -119,35 +270,19 @@ export class FreeRealTimeDataProvider {
 
   // 2. ONS Inflation Rate (FREE)
   async getONSInflationRate() {
-    const cacheKey = "inflation";
-
-    if (this.isCached(cacheKey)) {
-      return this.getFromCache(cacheKey);
-    }
+    return this.cached("inflation", "inflation", () =>
+      this.fetchONSInflationRate()
+    );
+  }
 
+  async fetchONSInflationRate() {
     try {
       console.log("📊 Fetching ONS inflation rate...");
 
       // ONS API for Consumer Price Index including housing costs (CPIH)
-      const response = await fetch(
-        "https://api.ons.gov.uk/v1/datasets/cpih01/editions/time-series/timeseries/L55O.json"
-      );
-
-      if (!response.ok) throw new Error(`ONS API error: ${response.status}`);
-
-      const data = await response.json();
-
-      if (data.months && data.months.length > 0) {
-        // Get the most recent inflation figure
-        const latestData = data.months[0];
-        const inflationRate = parseFloat(latestData.value);
-
-        console.log("✅ ONS inflation rate:", inflationRate + "%");
-        this.setCache(cacheKey, inflationRate);
-        return inflationRate;
-      }
-
-      throw new Error("No inflation data available");
+      const latest = await this.fetchLatestObservation("inflation");
+      console.log(`✅ ONS inflation rate: ${latest.value}% (${latest.period})`);
+      return latest;
     } catch (error) {
       console.error("❌ ONS inflation API failed:", error);
 
@@ -159,13 +294,15 @@ export class FreeRealTimeDataProvider {
         const data = await response.json();
 
         if (data.months && data.months.length > 0) {
-          const inflationRate = parseFloat(data.months[0].value);
+          const observations = parseOnsPoints(data.months);
+          const latest = {
+            ...observations[observations.length - 1],
+            trend: seriesTrend(observations),
+          };
           console.log(
-            "✅ ONS inflation rate (alternative):",
-            inflationRate + "%"
+            `✅ ONS inflation rate (alternative): ${latest.value}% (${latest.period})`
           );
-          this.setCache(cacheKey, inflationRate);
-          return inflationRate;
+          return latest;
         }
       } catch (altError) {
         console.error("❌ Alternative ONS API also failed:", altError);
@@ -177,32 +314,21 @@ export class FreeRealTimeDataProvider {
 
   // 3. ONS Unemployment Rate (FREE)
   async getONSUnemploymentRate() {
-    const cacheKey = "unemployment";
-
-    if (this.isCached(cacheKey)) {
-      return this.getFromCache(cacheKey);
-    }
+    return this.cached("unemployment", "unemployment", () =>
+      this.fetchONSUnemploymentRate()
+    );
+  }
 
+  async fetchONSUnemploymentRate() {
     try {
       console.log("📊 Fetching ONS unemployment rate...");
 
       // ONS API for unemployment rate
-      const response = await fetch(
-        "https://api.ons.gov.uk/v1/datasets/lms/editions/time-series/timeseries/MGSX.json"
+      const latest = await this.fetchLatestObservation("unemployment");
+      console.log(
+        `✅ ONS unemployment rate: ${latest.value}% (${latest.period})`
       );
-
-      if (!response.ok) throw new Error(`ONS API error: ${response.status}`);
-
-      const data = await response.json();
-
-      if (data.months && data.months.length > 0) {
-        const unemploymentRate = parseFloat(data.months[0].value);
-        console.log("✅ ONS unemployment rate:", unemploymentRate + "%");
-        this.setCache(cacheKey, unemploymentRate);
-        return unemploymentRate;
-      }
-
-      throw new Error("No unemployment data available");
+      return latest;
     } catch (error) {
       console.error("❌ ONS unemployment API failed:", error);
       throw new Error("ONS unemployment data unavailable");
@@ -211,148 +337,354 @@ export class FreeRealTimeDataProvider {
 
   // 4. ONS GDP Growth (FREE)
   async getONSGDPGrowth() {
-    const cacheKey = "gdpGrowth";
-
-    if (this.isCached(cacheKey)) {
-      return this.getFromCache(cacheKey);
-    }
+    return this.cached("gdpGrowth", "gdpGrowth", () =>
+      this.fetchONSGDPGrowth()
+    );
+  }
 
+  async fetchONSGDPGrowth() {
     try {
       console.log("📊 Fetching ONS GDP growth...");
 
       // ONS API for GDP growth
-      const response = await fetch(
-        "https://api.ons.gov.uk/v1/datasets/qna/editions/time-series/timeseries/IHYQ.json"
-      );
-
-      if (!response.ok) throw new Error(`ONS API error: ${response.status}`);
-
-      const data = await response.json();
-
-      if (data.quarters && data.quarters.length > 0) {
-        const gdpGrowth = parseFloat(data.quarters[0].value);
-        console.log("✅ ONS GDP growth:", gdpGrowth + "%");
-        this.setCache(cacheKey, gdpGrowth);
-        return gdpGrowth;
-      }
-
-      throw new Error("No GDP data available");
+      const latest = await this.fetchLatestObservation("gdpGrowth");
+      console.log(`✅ ONS GDP growth: ${latest.value}% (${latest.period})`);
+      return latest;
     } catch (error) {
       console.error("❌ ONS GDP API failed:", error);
       throw new Error("ONS GDP data unavailable");
     }
   }
 
-  // 5. Land Registry Recent Sales (FREE)
-  async getLandRegistryData(postcode) {
-    const cacheKey = `landRegistry_${postcode}`;
+  // 5. BoE quoted mortgage rates (FREE): mortgage2yFixed or mortgage5yFixed
+  async getMortgageRate(id) {
+    return this.cached("mortgageRates", id, async () => {
+      console.log(`📊 Fetching BoE ${ECONOMIC_SERIES[id].name}...`);
+      const latest = await this.fetchLatestObservation(id);
+      console.log(`✅ ${ECONOMIC_SERIES[id].name}: ${latest.value}%`);
+      return latest;
+    });
+  }
 
-    if (this.isCached(cacheKey)) {
-      return this.getFromCache(cacheKey);
-    }
+  // Latest value of a series in economic-series.js with its trend, from the
+  // latest stored snapshot (see scripts/snapshot-economic.js) or fetched
+  // live when none is stored
+  async fetchLatestObservation(id) {
+    const { observations } = await getSeries(id);
+    if (observations.length === 0) throw new Error(`No ${id} data available`);
 
-    try {
-      console.log("🏠 Fetching Land Registry data for:", postcode);
-
-      // Clean postcode for API
-      const cleanPostcode = postcode.replace(/\s+/g, "").toUpperCase();
-
-      // Land Registry Price Paid Data API
-      const response = await fetch(
-        `https://landregistry.data.gov.uk/app/ppd/ppd_data.csv?et%5B%5D=lrcommon%3Afreehold&et%5B%5D=lrcommon%3Aleasehold&nb%5B%5D=true&nb%5B%5D=false&tc%5B%5D=ppd%3AstandardPricePaidTransaction&tc%5B%5D=ppd%3AadditionalPricePaidTransaction&postcode=${cleanPostcode}`,
-        {
-          headers: {
-            Accept: "text/csv",
-            "User-Agent": "Mozilla/5.0 (compatible; UKPropertyApp/1.0)",
-          },
-        }
-      );
+    return {
+      ...observations[observations.length - 1],
+      trend: seriesTrend(observations),
+    };
+  }
 
-      if (!response.ok)
-        throw new Error(`Land Registry API error: ${response.status}`);
+  // 6. Land Registry Recent Sales (FREE)
+  // Accepts a full postcode ("M1 1AA"), a sector ("M1 1") or a district ("M1")
+  // and returns every matching sale, newest first
+  async getLandRegistryData(postcode) {
+    const area = normalisePostcodeArea(postcode);
 
-      const csvData = await response.text();
-      const sales = this.parseLandRegistryCSV(csvData);
+    try {
+      if (area.scope !== "district") {
+        return await this.cached(
+          "landRegistry",
+          `landRegistry_${area.query}`,
+          () => this.fetchLandRegistryData(area)
+        );
+      }
 
-      console.log(`✅ Found ${sales.length} recent sales for ${postcode}`);
-      this.setCache(cacheKey, sales);
-      return sales;
+      // A district's history is cached a sector at a time, so the district's
+      // own entry only lists its sectors
+      const sectors = await this.cached(
+        "landRegistry",
+        `landRegistry_${area.query}`,
+        () => this.fetchDistrictSectors(area)
+      );
+      const sales = await Promise.all(
+        sectors.map((sector) => this.getLandRegistryData(sector))
+      );
+      return sales.flat().sort((a, b) => new Date(b.date) - new Date(a.date));
     } catch (error) {
       console.error(`❌ Land Registry API failed for ${postcode}:`, error);
       return [];
     }
   }
 
-  // 6. Police Crime Data (FREE)
-  async getPoliceData(lat, lng) {
-    const cacheKey = `crime_${lat}_${lng}`;
+  async fetchLandRegistryData(area) {
+    console.log(
+      `🏠 Fetching Land Registry data for ${area.scope}:`,
+      area.query
+    );
 
-    if (this.isCached(cacheKey)) {
-      return this.getFromCache(cacheKey);
-    }
+    // Land Registry Price Paid Data API (partial postcodes match as prefixes)
+    const response = await fetch(
+      `https://landregistry.data.gov.uk/app/ppd/ppd_data.csv?et%5B%5D=lrcommon%3Afreehold&et%5B%5D=lrcommon%3Aleasehold&nb%5B%5D=true&nb%5B%5D=false&tc%5B%5D=ppd%3AstandardPricePaidTransaction&tc%5B%5D=ppd%3AadditionalPricePaidTransaction&limit=all&postcode=${encodeURIComponent(
+        area.query
+      )}`,
+      {
+        headers: {
+          Accept: "text/csv",
+          "User-Agent": "Mozilla/5.0 (compatible; UKPropertyApp/1.0)",
+        },
+      }
+    );
 
-    try {
-      console.log("🚔 Fetching police crime data...");
+    if (!response.ok)
+      throw new Error(`Land Registry API error: ${response.status}`);
+
+    const csvData = await response.text();
+    const sales = this.parseLandRegistryCSV(csvData);
 
-      // Police API for crimes at location
-      const response = await fetch(
-        `https://data.police.uk/api/crimes-street/all-crime?lat=${lat}&lng=${lng}&date=2024-06`
+    console.log(`✅ Found ${sales.length} sales for ${area.query}`);
+    return sales;
+  }
+
+  // Fetch a district's sales and cache them by sector; returns the sectors.
+  // The prefix query also matches longer districts (see isInPostcodeLevel),
+  // whose sales are dropped.
+  async fetchDistrictSectors(area) {
+    const bySector = new Map();
+    (await this.fetchLandRegistryData(area)).forEach((sale) => {
+      if (!isInPostcodeLevel(sale, "district", area.query)) return;
+      const postcode = normalisePostcodeArea(sale.postcode);
+      if (postcode.scope !== "postcode") return;
+
+      const sector = postcode.query.slice(0, -2);
+      if (!bySector.has(sector)) bySector.set(sector, []);
+      bySector.get(sector).push(sale);
+    });
+
+    await Promise.all(
+      [...bySector].map(([sector, sales]) =>
+        this.cache.put(
+          `landRegistry_${sector}`,
+          sales,
+          this.ttlFor("landRegistry"),
+          this.cacheStats
+        )
+      )
+    );
+    return [...bySector.keys()];
+  }
+
+  // Recent sales at the most granular level with enough of them: the
+  // postcode unit, then its sector, then its district. When even the
+  // district is too thin its sales are returned with lowCoverage set.
+  async getSalesAtBestLevel(
+    postcode,
+    { minSales = MIN_LEVEL_SALES, months = LEVEL_WINDOW_MONTHS } = {}
+  ) {
+    const since = new Date();
+    since.setUTCMonth(since.getUTCMonth() - months);
+    const sinceDate = since.toISOString().slice(0, 10);
+
+    // One request for the district, narrowed to the unit and sector
+    const candidates = postcodeLevels(postcode);
+    const district = candidates[candidates.length - 1];
+    const districtSales = (
+      await this.getLandRegistryData(district.query)
+    ).filter((sale) => sale.date >= sinceDate);
+
+    const levels = [];
+    let best = null;
+    for (const { level, query } of candidates) {
+      const sales = districtSales.filter((sale) =>
+        isInPostcodeLevel(sale, level, query)
       );
+      const sampleSize = sales.filter(
+        (sale) => sale.recordStatus !== "D" && sale.ppdCategory !== "B"
+      ).length;
 
-      if (!response.ok) throw new Error(`Police API error: ${response.status}`);
+      levels.push({ level: level, query: query, sampleSize: sampleSize });
+      console.log(`📏 ${sampleSize} recent sales at ${level} ${query}`);
 
-      const crimes = await response.json();
+      best = { level: level, query: query, sampleSize: sampleSize, sales };
+      if (sampleSize >= minSales) break;
+    }
 
-      const crimeData = {
-        totalCrimes: crimes.length,
-        crimeRate: crimes.length * 12, // Estimate annual rate
-        categories: this.categorizeCrimes(crimes),
-        lastUpdated: new Date().toISOString(),
-      };
+    return {
+      level: best.level,
+      query: best.query,
+      sampleSize: best.sampleSize,
+      minimumSample: minSales,
+      windowMonths: months,
+      lowCoverage: best.sampleSize < minSales,
+      levels: levels,
+      sales: best.sales,
+    };
+  }
 
-      console.log(`✅ Found ${crimes.length} crimes in area`);
-      this.setCache(cacheKey, crimeData);
-      return crimeData;
+  // One page of sales for a postcode, sector or district
+  async getLandRegistrySalesPage(postcode, { page = 0, pageSize = 100 } = {}) {
+    const area = normalisePostcodeArea(postcode);
+    const sales = await this.getLandRegistryData(area.query);
+    const start = page * pageSize;
+
+    return {
+      query: area.query,
+      scope: area.scope,
+      page: page,
+      pageSize: pageSize,
+      total: sales.length,
+      hasMore: start + pageSize < sales.length,
+      sales: sales.slice(start, start + pageSize),
+    };
+  }
+
+  // Walk every page of sales for a postcode, sector or district
+  async *iterateLandRegistrySales(postcode, { pageSize = 100 } = {}) {
+    let page = 0;
+    let result;
+
+    do {
+      result = await this.getLandRegistrySalesPage(postcode, {
+        page: page++,
+        pageSize,
+      });
+      if (result.sales.length > 0) yield result.sales;
+    } while (result.hasMore);
+  }
+
+  // 7. Police Crime Data (FREE) - monthly trends for the surrounding LSOA
+  async getPoliceData(lat, lng, lsoa = null) {
+    try {
+      return await this.cached(
+        "police",
+        `crime_${lsoa || `${lat}_${lng}`}`,
+        () => this.fetchPoliceData(lat, lng, lsoa)
+      );
     } catch (error) {
       console.error("❌ Police API failed:", error);
       return {
         totalCrimes: 25,
         crimeRate: 300,
         categories: {},
+        yoyChange: null,
+        weightedYoyChange: null,
+        trend: "unknown",
+        perThousand: null,
         lastUpdated: new Date().toISOString(),
         source: "fallback",
       };
     }
   }
 
-  // Helper functions
-  parseLandRegistryCSV(csvData) {
-    const lines = csvData.split("\n");
-    const sales = [];
-
-    // Skip header line
-    for (let i = 1; i < lines.length && sales.length < 50; i++) {
-      const line = lines[i].trim();
-      if (!line) continue;
-
-      const parts = line.split(",");
-      if (parts.length >= 12) {
-        try {
-          sales.push({
-            price: parseInt(parts[1].replace(/"/g, "")),
-            date: parts[2].replace(/"/g, ""),
-            propertyType: parts[4].replace(/"/g, ""),
-            newBuild: parts[5].replace(/"/g, ""),
-            tenure: parts[6].replace(/"/g, ""),
-            address: `${parts[7]} ${parts[8]} ${parts[9]}`.replace(/"/g, ""),
-            postcode: parts[3].replace(/"/g, ""),
-          });
-        } catch (parseError) {
-          // Skip malformed lines
-          continue;
+  async fetchPoliceData(lat, lng, lsoa) {
+    console.log("🚔 Fetching police crime trends...");
+
+    const crimeData = await getCrimeTrends({ lat, lng, lsoa, months: 24 });
+
+    console.log(
+      `✅ ${crimeData.crimeRate} crimes in the last 12 months (${crimeData.trend})`
+    );
+    return crimeData;
+  }
+
+  // 8. EPC certificates (local copy of the EPC register)
+  async getEpcData(postcode, address = null) {
+    return this.cached("epc", `epc_${postcode}_${address || ""}`, async () => {
+      console.log("⚡ Fetching EPC data for:", postcode);
+      const epcData = await getEpcSummary(postcode, address);
+
+      if (epcData) {
+        console.log(
+          `✅ Found ${epcData.summary.certificates} EPC certificates for ${postcode}`
+        );
+      }
+      return epcData;
+    });
+  }
+
+  // 9. Private rents (local copy of the ONS rental price statistics)
+  async getRentalData(postcode, bedrooms = null) {
+    return this.cached(
+      "rents",
+      `rents_${postcode}_${bedrooms ?? ""}`,
+      async () => {
+        console.log("🏠 Fetching rental prices for:", postcode);
+        const rentalData = await getRentalMarket(postcode, { bedrooms });
+
+        if (rentalData) {
+          console.log(
+            `✅ Median rent £${rentalData.medianRent} in ${rentalData.localAuthority.name} (${rentalData.period})`
+          );
         }
+        return rentalData;
       }
-    }
+    );
+  }
+
+  // 10. Development pipeline (local copy of council planning applications)
+  async getPlanningData(postcode) {
+    return this.cached("planning", `planning_${postcode}`, async () => {
+      console.log("🏗️ Fetching planning applications for:", postcode);
+      const pipeline = await getDevelopmentPipeline(postcode);
+
+      if (pipeline) {
+        console.log(
+          `✅ ${pipeline.pipeline} dwellings approved or pending within ${pipeline.radiusKm}km (supply pressure ${pipeline.supplyPressure})`
+        );
+      }
+      return pipeline;
+    });
+  }
+
+  // 11. Nearby schools (local copy of GIAS and Ofsted grades)
+  async getSchoolData(postcode) {
+    return this.cached("schools", `schools_${postcode}`, async () => {
+      console.log("🏫 Fetching schools for:", postcode);
+      const schoolData = await getSchoolsNearby(postcode);
+
+      if (schoolData) {
+        console.log(
+          `✅ Education score ${
+            schoolData.educationScore ?? "n/a"
+          } from schools within ${schoolData.radiusKm}km`
+        );
+      }
+      return schoolData;
+    });
+  }
+
+  // 12. Public transport accessibility (local copy of NaPTAN and GTFS)
+  async getTransportData(postcode) {
+    return this.cached("transport", `transport_${postcode}`, async () => {
+      console.log("🚆 Fetching transport accessibility for:", postcode);
+      const transportData = await getTransportAccessibility(postcode);
+
+      if (transportData) {
+        console.log(
+          `✅ PTAL ${transportData.ptal}, ${
+            transportData.employmentCentre.minutes ?? "n/a"
+          } min to ${transportData.employmentCentre.name}`
+        );
+      }
+      return transportData;
+    });
+  }
+
+  // 13. Flood zone and surface water risk (local copy of the flood maps)
+  async getFloodData(postcode) {
+    return this.cached("flood", `flood_${postcode}`, async () => {
+      console.log("🌊 Fetching flood risk for:", postcode);
+      const floodData = await getFloodRisk(postcode);
+
+      if (floodData) {
+        console.log(
+          `✅ Flood risk ${floodData.riskBand} (Flood Zone ${
+            floodData.floodZone ?? "n/a"
+          }, surface water ${floodData.surfaceWater ?? "n/a"})`
+        );
+      }
+      return floodData;
+    });
+  }
+
+  // Helper functions
+  parseLandRegistryCSV(csvData) {
+    // Every Price Paid field, with quoted commas and quotes handled
+    const sales = parsePricePaidCSV(csvData);
 
     // Sort by date (newest first)
     return sales.sort((a, b) => new Date(b.date) - new Date(a.date));
@@ -367,78 +699,142 @@ export class FreeRealTimeDataProvider {
     return categories;
   }
 
-  // Cache management
-  isCached(key) {
-    const expiry = this.cacheExpiry.get(key);
-    if (!expiry) return false;
+  // Cache management - the TTL comes from the source's cacheDuration. Every
+  // upstream fetch and where each value came from is recorded in
+  // this.health for /api/data-sources/status.
+  async cached(source, key, fetcher) {
+    const duration = this.ttlFor(source);
 
-    if (Date.now() > expiry) {
-      this.cache.delete(key);
-      this.cacheExpiry.delete(key);
-      return false;
-    }
+    const timedFetcher = async () => {
+      const started = Date.now();
+      try {
+        const value = await fetcher();
+        this.health.recordFetch(source, { latencyMs: Date.now() - started });
+        return value;
+      } catch (error) {
+        this.health.recordFetch(source, {
+          latencyMs: Date.now() - started,
+          error: error,
+        });
+        throw error;
+      }
+    };
 
-    return this.cache.has(key);
+    try {
+      const { value, from, storedAt } = await this.cache.lookup(
+        key,
+        duration,
+        timedFetcher,
+        this.cacheStats
+      );
+      this.health.recordServed(source, from);
+      this.retrievals[source] = {
+        servedFrom: from,
+        retrievedAt: new Date(storedAt).toISOString(),
+      };
+      return value;
+    } catch (error) {
+      // Callers fall back to estimates when a source fails
+      this.health.recordServed(source, "fallback");
+      throw error;
+    }
   }
 
-  getFromCache(key) {
-    console.log(`📦 Using cached data for: ${key}`);
-    return this.cache.get(key);
+  // A source's cache TTL, 1 hour by default
+  ttlFor(source) {
+    const duration = this.cacheDuration[DATA_SOURCES[source].cacheDuration];
+    return duration || 60 * 60 * 1000;
   }
 
-  setCache(key, value) {
-    this.cache.set(key, value);
-    const duration = this.cacheDuration[key] || 60 * 60 * 1000; // Default 1 hour
-    this.cacheExpiry.set(key, Date.now() + duration);
+  // Provenance for a value from source, retrieved by this provider
+  describe(source, period = null) {
+    return provenance(DATA_SOURCES[source].name, {
+      retrievedAt: this.retrievals[source]?.retrievedAt || null,
+      period: period,
+    });
   }
 
   getFallbackEconomicData() {
     console.log("⚠️ Using fallback economic data");
     return {
-      baseRate: 5.25,
-      inflation: 4.2,
-      unemploymentRate: 4.1,
-      gdpGrowth: 0.6,
+      ...FALLBACK_ECONOMIC_DATA,
       lastUpdated: new Date().toISOString(),
       dataSources: {
         bankRate: "fallback",
         inflation: "fallback",
         unemployment: "fallback",
         gdpGrowth: "fallback",
+        mortgageRates: "fallback",
       },
+      provenance: provenanceFor(
+        null,
+        Object.keys(FALLBACK_ECONOMIC_DATA),
+        provenance(SOURCE_NAMES.fallback, { estimated: true })
+      ),
+      trends: {},
     };
   }
 }
 
 // Enhanced property data API with real-time integration
-export async function getEnhancedPropertyData(postcode) {
+export async function getEnhancedPropertyData(
+  postcode,
+  { address = null, bedrooms = null } = {}
+) {
   const dataProvider = new FreeRealTimeDataProvider();
 
   try {
     console.log(`🔍 Getting enhanced data for ${postcode}...`);
 
     // Get all real-time data in parallel
-    const [economicData, landRegistryData, coordinates] =
-      await Promise.allSettled([
-        dataProvider.getAllEconomicData(),
-        dataProvider.getLandRegistryData(postcode),
-        getPostcodeCoordinates(postcode),
-      ]);
+    const [
+      economicData,
+      salesLevel,
+      coordinates,
+      epc,
+      rents,
+      planning,
+      schools,
+      transport,
+      flood,
+    ] = await Promise.allSettled([
+      dataProvider.getAllEconomicData(),
+      dataProvider.getSalesAtBestLevel(postcode),
+      getPostcodeCoordinates(postcode),
+      dataProvider.getEpcData(postcode, address),
+      dataProvider.getRentalData(postcode, bedrooms),
+      dataProvider.getPlanningData(postcode),
+      dataProvider.getSchoolData(postcode),
+      dataProvider.getTransportData(postcode),
+      dataProvider.getFloodData(postcode),
+    ]);
 
     const economic =
       economicData.status === "fulfilled"
         ? economicData.value
         : dataProvider.getFallbackEconomicData();
-    const recentSales =
-      landRegistryData.status === "fulfilled" ? landRegistryData.value : [];
+    const { sales: recentSales = [], ...coverage } =
+      salesLevel.status === "fulfilled" ? salesLevel.value : {};
     const coords =
       coordinates.status === "fulfilled" ? coordinates.value : null;
+    const epcData = epc.status === "fulfilled" ? epc.value : null;
+    const rentalData = rents.status === "fulfilled" ? rents.value : null;
+    const developmentPipeline =
+      planning.status === "fulfilled" ? planning.value : null;
+    const schoolData = schools.status === "fulfilled" ? schools.value : null;
+    const transportData =
+      transport.status === "fulfilled" ? transport.value : null;
+    const floodData = flood.status === "fulfilled" ? flood.value : null;
 
     // Get crime data if we have coordinates
     let crimeData = null;
     if (coords) {
       try {
-        crimeData = await dataProvider.getPoliceData(coords.lat, coords.lng);
+        crimeData = await dataProvider.getPoliceData(
+          coords.lat,
+          coords.lng,
+          coords.lsoa
+        );
       } catch (error) {
         console.error("Crime data failed:", error);
       }
@@ -451,17 +847,44 @@ export async function getEnhancedPropertyData(postcode) {
       crimeData
     );
 
+    await dataProvider.health.flush();
+
     return {
       postcode: postcode.toUpperCase(),
       economicData: economic,
       recentSales: recentSales,
+      coverage: coverage.levels ? coverage : null,
       crimeData: crimeData,
+      epcData: epcData,
+      rentalData: rentalData,
+      developmentPipeline: developmentPipeline,
+      schoolData: schoolData,
+      transportData: transportData,
+      floodData: floodData,
       enhancedMetrics: enhancedMetrics,
       dataQuality: {
         economic: economic.dataSources,
         recentSales: recentSales.length > 0 ? "live" : "unavailable",
         crime: crimeData?.source !== "fallback" ? "live" : "fallback",
+        epc: epcData ? "local" : "unavailable",
+        rents: rentalData ? "local" : "unavailable",
+        planning: developmentPipeline ? "local" : "unavailable",
+        schools: schoolData ? "local" : "unavailable",
+        transport: transportData ? "local" : "unavailable",
+        flood: floodData ? "local" : "unavailable",
       },
+      provenance: describeEnhancedData(dataProvider, {
+        economic,
+        recentSales,
+        crimeData,
+        epcData,
+        rentalData,
+        developmentPipeline,
+        schoolData,
+        transportData,
+        floodData,
+      }),
+      cacheStats: dataProvider.cacheStats,
       lastUpdated: new Date().toISOString(),
     };
   } catch (error) {
@@ -470,15 +893,87 @@ export async function getEnhancedPropertyData(postcode) {
   }
 }
 
-// Calculate metrics from real data
-function calculateEnhancedMetrics(recentSales, economicData, crimeData) {
+// Provenance for everything getEnhancedPropertyData returns, keyed by path
+function describeEnhancedData(
+  dataProvider,
+  {
+    economic,
+    recentSales,
+    crimeData,
+    epcData,
+    rentalData,
+    developmentPipeline,
+    schoolData,
+    transportData,
+    floodData,
+  }
+) {
+  const sales = dataProvider.describe(
+    "landRegistry",
+    dateRange(recentSales.map((sale) => sale.date))
+  );
+  const crime = !crimeData
+    ? null
+    : crimeData.source === "fallback"
+    ? provenance(SOURCE_NAMES.fallback, { estimated: true })
+    : dataProvider.describe("police", crimeData.period);
+
+  return {
+    ...prefixProvenance("economicData", economic.provenance),
+    recentSales: sales,
+    crimeData: crime,
+    epcData: epcData
+      ? dataProvider.describe("epc", epcData.summary.lodged)
+      : null,
+    rentalData: rentalData
+      ? dataProvider.describe("rents", rentalData.period)
+      : null,
+    developmentPipeline: developmentPipeline
+      ? dataProvider.describe("planning", developmentPipeline.period)
+      : null,
+    schoolData: schoolData
+      ? dataProvider.describe("schools", schoolData.period)
+      : null,
+    transportData: transportData
+      ? dataProvider.describe("transport", transportData.period)
+      : null,
+    floodData: floodData
+      ? dataProvider.describe("flood", floodData.period)
+      : null,
+    ...provenanceFor(
+      "enhancedMetrics",
+      ["salesUsed", "salesExcluded", "averagePrice", "propertyTypes"],
+      sales
+    ),
+    "enhancedMetrics.economicImpact": provenance(SOURCE_NAMES.model, {
+      estimated: true,
+    }),
+    "enhancedMetrics.crimeImpact": crime,
+  };
+}
+
+// Calculate metrics from real data. Category B sales (repossessions,
+// buy-to-let and company purchases) are left out unless includeNonStandard
+export function calculateEnhancedMetrics(
+  recentSales,
+  economicData,
+  crimeData,
+  { includeNonStandard = false } = {}
+) {
   let metrics = {};
 
-  if (recentSales && recentSales.length > 0) {
+  const sales = (recentSales || []).filter(
+    (sale) =>
+      sale.recordStatus !== "D" &&
+      (includeNonStandard || sale.ppdCategory !== "B")
+  );
+
+  if (sales.length > 0) {
+    metrics.salesUsed = sales.length;
+    metrics.salesExcluded = recentSales.length - sales.length;
+
     // Calculate average price from recent sales
-    const prices = recentSales
-      .map((sale) => sale.price)
-      .filter((price) => price > 0);
+    const prices = sales.map((sale) => sale.price).filter((price) => price > 0);
     metrics.averagePrice =
       prices.length > 0
         ? Math.round(
@@ -486,20 +981,9 @@ function calculateEnhancedMetrics(recentSales, economicData, crimeData) {
           )
         : null;
 
-    // Calculate price trend (if enough data)
-    if (prices.length >= 3) {
-      const oldPrices = prices.slice(-3);
-      const newPrices = prices.slice(0, 3);
-      const oldAvg =
-        oldPrices.reduce((sum, price) => sum + price, 0) / oldPrices.length;
-      const newAvg =
-        newPrices.reduce((sum, price) => sum + price, 0) / newPrices.length;
-      metrics.priceGrowth = ((newAvg - oldAvg) / oldAvg) * 100;
-    }
-
     // Property type distribution
     const propertyTypes = {};
-    recentSales.forEach((sale) => {
+    sales.forEach((sale) => {
       propertyTypes[sale.propertyType] =
         (propertyTypes[sale.propertyType] || 0) + 1;
     });
@@ -515,44 +999,86 @@ function calculateEnhancedMetrics(recentSales, economicData, crimeData) {
     };
   }
 
-  // Crime impact
+  // Crime impact: weighted crime per 1,000 residents against the national
+  // rate where the LSOA population is known, raw counts otherwise
   if (crimeData) {
+    const weightedRate = crimeData.perThousand?.weighted;
     metrics.crimeImpact = {
       crimeRate: crimeData.crimeRate,
-      safetyScore: Math.max(1, 10 - crimeData.crimeRate / 50), // Scale 1-10
+      perThousand: crimeData.perThousand || null,
+      yoyChange: crimeData.yoyChange ?? null,
+      trend: crimeData.trend || "unknown",
+      safetyScore:
+        weightedRate != null
+          ? Math.min(
+              10,
+              Math.max(1, 10 - (weightedRate / NATIONAL_WEIGHTED_RATE) * 5)
+            )
+          : Math.max(1, 10 - crimeData.crimeRate / 50), // Scale 1-10
     };
   }
 
   return metrics;
 }
 
-// Postcode to coordinates (using free service)
-async function getPostcodeCoordinates(postcode) {
-  try {
-    const response = await fetch(
-      `https://api.postcodes.io/postcodes/${postcode}`
-    );
-    if (!response.ok) throw new Error("Postcode lookup failed");
+// Classify a postcode query as a full unit, sector or district
+export function normalisePostcodeArea(postcode) {
+  const trimmed = postcode.trim().toUpperCase().replace(/\s+/g, " ");
+  const compact = trimmed.replace(/ /g, "");
 
-    const data = await response.json();
+  if (/^[A-Z]{1,2}\d[A-Z\d]?\d[A-Z]{2}$/.test(compact)) {
     return {
-      lat: data.result.latitude,
-      lng: data.result.longitude,
+      query: `${compact.slice(0, -3)} ${compact.slice(-3)}`,
+      scope: "postcode",
     };
-  } catch (error) {
-    console.error("Postcode coordinates failed:", error);
-    return null;
   }
+
+  if (/^[A-Z]{1,2}\d[A-Z\d]? \d$/.test(trimmed)) {
+    return { query: trimmed, scope: "sector" };
+  }
+
+  return { query: compact, scope: "district" };
+}
+
+// Unit, sector and district for a postcode, most granular first. A sector
+// or district on its own only has the levels above it.
+export function postcodeLevels(postcode) {
+  const area = normalisePostcodeArea(postcode);
+  const levels = [];
+
+  if (area.scope === "postcode") {
+    levels.push({ level: "unit", query: area.query });
+    levels.push({ level: "sector", query: area.query.slice(0, -2) });
+  } else if (area.scope === "sector") {
+    levels.push({ level: "sector", query: area.query });
+  }
+  levels.push({ level: "district", query: area.query.split(" ")[0] });
+
+  return levels;
+}
+
+// Prefix queries to the Land Registry also match longer districts ("M1"
+// matches M11-M19), so sales are checked against the level they came from
+function isInPostcodeLevel(sale, level, query) {
+  const postcode = (sale.postcode || "").toUpperCase();
+  if (level === "unit") return postcode === query;
+  if (level === "sector") return postcode.startsWith(query);
+  return postcode.startsWith(`${query} `);
 }
 
 // Add to your real-time-data.js for enhanced data
 export async function getEnhancedDetailData(postcode) {
-  const [planning, education, transport] = await Promise.allSettled([
-    fetchPlanningApplications(postcode), // Real development data
-    fetchSchoolData(postcode), // Real school ratings
-    fetchTransportTimes(postcode), // Real journey times
-    fetchRentalMarketData(postcode), // Real occupancy rates
+  const [planning, education, transport, rental] = await Promise.allSettled([
+    getDevelopmentPipeline(postcode), // Planning applications nearby
+    getSchoolsNearby(postcode), // Nearest schools and Ofsted grades
+    getTransportAccessibility(postcode), // PTAL and timetabled journey times
+    getRentalMarket(postcode), // ONS median rents and rent growth
   ]);
 
-  return { planning: planning.value, education: education.value /* etc */ };
+  return {
+    planning: planning.value,
+    education: education.value,
+    transport: transport.value,
+    rental: rental.value /* etc */,
+  };
 }
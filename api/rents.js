@@ -0,0 +1,186 @@
+// api/rents.js - Private rents by local authority and bedroom count
+//
+// Median monthly rents come from the ONS private rental price statistics,
+// loaded into rental_prices by scripts/load-rents.js. Rent growth is the
+// published annual change where there is one, otherwise the change on the
+// same month a year earlier.
+import { supabase } from "./supabase-client.js";
+import { lookupPostcode } from "./postcodes.js";
+
+export const BEDROOM_CATEGORIES = [
+  "room",
+  "studio",
+  "1",
+  "2",
+  "3",
+  "4+",
+  "all",
+];
+
+const HISTORY_ROWS = 500;
+
+export default async function handler(req, res) {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "GET, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+
+  if (req.method === "OPTIONS") return res.status(200).end();
+  if (req.method !== "GET")
+    return res
+      .status(405)
+      .json({ success: false, error: "Method not allowed" });
+
+  try {
+    const { postcode, bedrooms, price } = req.query;
+
+    if (!postcode) {
+      return res
+        .status(400)
+        .json({ success: false, error: "Postcode is required" });
+    }
+
+    if (bedrooms != null && !normaliseBedrooms(bedrooms)) {
+      return res.status(400).json({
+        success: false,
+        error: `bedrooms must be a number or one of ${BEDROOM_CATEGORIES.join(
+          ", "
+        )}`,
+      });
+    }
+
+    const market = await getRentalMarket(postcode, { bedrooms });
+
+    if (!market) {
+      return res.status(404).json({
+        success: false,
+        error: "No rental price statistics for this area",
+      });
+    }
+
+    const propertyPrice = parseFloat(price);
+    res.status(200).json({
+      success: true,
+      ...market,
+      grossYield:
+        propertyPrice > 0 ? grossYield(market.medianRent, propertyPrice) : null,
+      generatedAt: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error("❌ Rental market error:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+}
+
+// Rents in the postcode's local authority for the latest period, with the
+// figure for the requested bedroom count (all properties if there isn't
+// one). Null without data for the area.
+export async function getRentalMarket(postcode, { bedrooms = null } = {}) {
+  if (!supabase) return null;
+
+  const geography = await lookupPostcode(postcode).catch(() => null);
+  const localAuthority = geography?.localAuthority;
+  if (!localAuthority?.code && !localAuthority?.name) return null;
+
+  try {
+    let query = supabase
+      .from("rental_prices")
+      .select(
+        "area_code, area_name, bedrooms, period, median_rent, count, annual_change"
+      );
+    query = localAuthority.code
+      ? query.eq("area_code", localAuthority.code)
+      : query.ilike("area_name", localAuthority.name);
+
+    const { data, error } = await query
+      .order("period", { ascending: false })
+      .limit(HISTORY_ROWS);
+    if (error) throw error;
+    if (!data || data.length === 0) return null;
+
+    return summariseRents(data, normaliseBedrooms(bedrooms));
+  } catch (error) {
+    console.error("Rental prices unavailable:", error.message || error);
+    return null;
+  }
+}
+
+// rental_prices rows (newest first) -> latest rents per bedroom category
+export function summariseRents(rows, bedrooms = null) {
+  const period = rows[0].period;
+  const byBedrooms = {};
+
+  rows
+    .filter((row) => row.period === period && row.median_rent != null)
+    .forEach((row) => {
+      const yearAgo = rows.find(
+        (other) =>
+          other.bedrooms === row.bedrooms &&
+          other.period === shiftYear(row.period, -1)
+      );
+      const growth =
+        row.annual_change != null
+          ? Number(row.annual_change)
+          : yearAgo?.median_rent
+          ? (row.median_rent / yearAgo.median_rent - 1) * 100
+          : null;
+
+      byBedrooms[row.bedrooms] = {
+        medianRent: Number(row.median_rent),
+        count: row.count ?? null,
+        rentGrowth: growth != null ? Math.round(growth * 10) / 10 : null,
+      };
+    });
+
+  const category =
+    bedrooms && byBedrooms[bedrooms] ? bedrooms : byBedrooms.all ? "all" : null;
+  if (!category) return null;
+
+  return {
+    localAuthority: { code: rows[0].area_code, name: rows[0].area_name },
+    period: period,
+    bedrooms: category,
+    medianRent: byBedrooms[category].medianRent,
+    rentGrowth: byBedrooms[category].rentGrowth,
+    byBedrooms: byBedrooms,
+    source: "ONS private rental price statistics",
+  };
+}
+
+// Gross yield (%) from a monthly rent and a price
+export function grossYield(monthlyRent, price) {
+  if (!(monthlyRent > 0) || !(price > 0)) return null;
+  return Math.round(((monthlyRent * 12) / price) * 10000) / 100;
+}
+
+// 2, "2", "Two Bedrooms" or "two bed" -> "2"; 0 and "Studio" -> "studio";
+// 4 or more -> "4+"; null if unrecognised
+export function normaliseBedrooms(value) {
+  if (value == null || value === "") return null;
+
+  const number = Number(value);
+  if (!isNaN(number)) {
+    if (!Number.isInteger(number) || number < 0) return null;
+    return number === 0 ? "studio" : number >= 4 ? "4+" : String(number);
+  }
+
+  const label = String(value).toLowerCase();
+  if (BEDROOM_CATEGORIES.includes(label)) return label;
+  if (/\ball\b/.test(label)) return "all";
+  if (/studio/.test(label)) return "studio";
+  if (/\broom\b/.test(label)) return "room";
+
+  // "10 bedrooms" is 4+, not 1; "2bed" still counts
+  const digits = label.match(/(?<!\d)(\d+)(?!\d)/);
+  if (digits) return normaliseBedrooms(Number(digits[1]));
+
+  if (/\b(?:four|five|six|seven|eight|nine|ten)\b/.test(label)) return "4+";
+  if (/\bthree\b/.test(label)) return "3";
+  if (/\btwo\b/.test(label)) return "2";
+  if (/\bone\b/.test(label)) return "1";
+  return null;
+}
+
+// "2024-05" -> "2023-05"
+function shiftYear(period, years) {
+  return `${Number(period.slice(0, 4)) + years}${period.slice(4)}`;
+}
@@ -0,0 +1,250 @@
+// api/scenarios.js - Macro scenarios for the prediction model
+//
+// A scenario sets target values for the economic inputs: { baseRate: { 2028:
+// 3.5 } } reads "Bank Rate falls to 3.5% by 2028". Target years are calendar
+// years or years ahead (3 = three years from now). Each input moves in a
+// straight line from today's value to its targets and is held after the
+// last one; inputs without targets stay at today's value, except mortgage
+// rates, which follow Bank Rate.
+import { FALLBACK_ECONOMIC_DATA } from "./real-time-data.js";
+
+export const SCENARIO_FIELDS = Object.keys(FALLBACK_ECONOMIC_DATA);
+
+const MAX_SCENARIOS = 6;
+const MAX_YEARS_AHEAD = 30;
+const FIELD_LIMITS = { min: -20, max: 30 };
+const MORTGAGE_FIELDS = ["mortgage2yFixed", "mortgage5yFixed"];
+
+// base is the model's own forecast: today's conditions, with their effect
+// fading over the years
+export const SCENARIOS = {
+  base: {
+    name: "Base case",
+    description: "Today's rates and inflation, their effect fading over time",
+    targets: null,
+  },
+  softLanding: {
+    name: "Soft landing",
+    description: "Inflation back to 2% and Bank Rate eased to 3.5%",
+    targets: {
+      baseRate: { 3: 3.5 },
+      inflation: { 2: 2.0 },
+      gdpGrowth: { 2: 1.5 },
+    },
+  },
+  rateShock: {
+    name: "Rate shock",
+    description: "Inflation flares up and Bank Rate jumps to 6.5%",
+    targets: {
+      baseRate: { 1: 6.5, 3: 5.5, 5: 4.5 },
+      inflation: { 1: 5.5, 3: 3.0 },
+      gdpGrowth: { 1: 0.0, 3: 1.0 },
+    },
+  },
+  recession: {
+    name: "Recession",
+    description: "GDP contracts, unemployment reaches 7% and rates are cut",
+    targets: {
+      gdpGrowth: { 1: -1.5, 2: -0.5, 3: 0.3, 5: 0.6 },
+      unemploymentRate: { 1: 6.5, 2: 7.0, 4: 7.0, 5: 6.5 },
+      baseRate: { 2: 4.0 },
+      inflation: { 2: 3.0 },
+    },
+  },
+};
+
+// Scenarios from a request: a comma-separated list of built-in ids ("all"
+// for every one), or an array of ids and custom scenarios ({ id, name,
+// description, targets }). Returns { scenarios, errors } like parseSubject.
+export function parseScenarios(input, currentYear = new Date().getFullYear()) {
+  const errors = [];
+  const entries =
+    typeof input === "string"
+      ? input.split(",").map((id) => id.trim())
+      : Array.isArray(input)
+      ? input
+      : [input];
+
+  const requested = entries.flatMap((entry) =>
+    entry === "all" ? Object.keys(SCENARIOS) : [entry]
+  );
+  if (requested.length > MAX_SCENARIOS) {
+    errors.push(`At most ${MAX_SCENARIOS} scenarios can be run at once`);
+  }
+
+  const scenarios = requested.slice(0, MAX_SCENARIOS).map((entry, index) => {
+    if (typeof entry === "string") {
+      if (!SCENARIOS[entry]) {
+        errors.push(
+          `Unknown scenario: ${entry} (one of ${Object.keys(SCENARIOS).join(
+            ", "
+          )})`
+        );
+        return null;
+      }
+      return { id: entry, custom: false, ...SCENARIOS[entry] };
+    }
+
+    if (!entry || typeof entry !== "object" || !entry.targets) {
+      errors.push(`Scenario ${index + 1} needs targets`);
+      return null;
+    }
+
+    const id = String(entry.id || `custom${index + 1}`);
+    const targets = parseTargets(entry.targets, currentYear, id, errors);
+    return {
+      id: id,
+      custom: true,
+      name: entry.name ? String(entry.name) : id,
+      description: entry.description ? String(entry.description) : null,
+      targets: targets,
+    };
+  });
+
+  const ids = scenarios.filter(Boolean).map((scenario) => scenario.id);
+  const duplicates = ids.filter((id, i) => ids.indexOf(id) !== i);
+  if (duplicates.length > 0) {
+    errors.push(
+      `Duplicate scenario ids: ${[...new Set(duplicates)].join(", ")}`
+    );
+  }
+
+  return { scenarios: scenarios.filter(Boolean), errors: errors };
+}
+
+// The economic inputs for each of the next `years` years under a scenario,
+// starting from today's values. trends are the year-on-year changes, in the
+// shape of economicData.trends.
+export function buildScenarioPath(scenario, economicData, years = 5) {
+  const today = { ...FALLBACK_ECONOMIC_DATA };
+  SCENARIO_FIELDS.forEach((field) => {
+    if (typeof economicData?.[field] === "number") {
+      today[field] = economicData[field];
+    }
+  });
+
+  const path = [];
+  let previous = today;
+  for (let year = 1; year <= years; year++) {
+    const values = {};
+    SCENARIO_FIELDS.forEach((field) => {
+      values[field] = interpolate(
+        today[field],
+        scenario.targets?.[field],
+        year
+      );
+    });
+
+    // Mortgage rates without targets keep today's spread over Bank Rate
+    MORTGAGE_FIELDS.forEach((field) => {
+      if (!scenario.targets?.[field]) {
+        values[field] = today[field] + (values.baseRate - today.baseRate);
+      }
+    });
+
+    const trends = Object.fromEntries(
+      SCENARIO_FIELDS.map((field) => [
+        field,
+        { change12m: round(values[field] - previous[field]) },
+      ])
+    );
+
+    path.push({
+      ...Object.fromEntries(
+        SCENARIO_FIELDS.map((field) => [field, round(values[field])])
+      ),
+      trends: trends,
+    });
+    previous = values;
+  }
+
+  return path;
+}
+
+// Each field's average and highest value over a scenario path
+export function summarisePath(path) {
+  const summary = { average: {}, peak: {} };
+  SCENARIO_FIELDS.forEach((field) => {
+    const values = path.map((year) => year[field]);
+    summary.average[field] = round(
+      values.reduce((sum, value) => sum + value, 0) / values.length
+    );
+    summary.peak[field] = Math.max(...values);
+  });
+  return summary;
+}
+
+// Targets keyed by years ahead, e.g. { baseRate: { 3: 3.5 } }
+function parseTargets(targets, currentYear, id, errors) {
+  if (typeof targets !== "object" || Array.isArray(targets)) {
+    errors.push(`${id}: targets must be an object of fields`);
+    return {};
+  }
+
+  const parsed = {};
+  Object.entries(targets).forEach(([field, points]) => {
+    if (!SCENARIO_FIELDS.includes(field)) {
+      errors.push(
+        `${id}: unknown field ${field} (one of ${SCENARIO_FIELDS.join(", ")})`
+      );
+      return;
+    }
+    if (!points || typeof points !== "object" || Array.isArray(points)) {
+      errors.push(`${id}: ${field} must map years to values`);
+      return;
+    }
+
+    parsed[field] = {};
+    Object.entries(points).forEach(([key, value]) => {
+      const year = Number(key);
+      const ahead = year >= 1900 ? year - currentYear : year;
+      const number = Number(value);
+
+      if (!Number.isInteger(year) || ahead < 1 || ahead > MAX_YEARS_AHEAD) {
+        errors.push(
+          `${id}: ${field} year ${key} must be after ${currentYear} and within ${MAX_YEARS_AHEAD} years`
+        );
+      } else if (
+        value === null ||
+        value === "" ||
+        !(number >= FIELD_LIMITS.min && number <= FIELD_LIMITS.max)
+      ) {
+        errors.push(
+          `${id}: ${field} in ${key} must be a number between ${FIELD_LIMITS.min} and ${FIELD_LIMITS.max}`
+        );
+      } else {
+        parsed[field][ahead] = number;
+      }
+    });
+  });
+
+  return parsed;
+}
+
+// Value in a year ahead on the line through today's value and the targets
+function interpolate(today, points, year) {
+  if (!points) return today;
+
+  const knots = [
+    [0, today],
+    ...Object.entries(points)
+      .map(([ahead, value]) => [Number(ahead), value])
+      .sort((a, b) => a[0] - b[0]),
+  ];
+
+  for (let i = 1; i < knots.length; i++) {
+    const [toYear, toValue] = knots[i];
+    if (year <= toYear) {
+      const [fromYear, fromValue] = knots[i - 1];
+      return (
+        fromValue +
+        ((toValue - fromValue) * (year - fromYear)) / (toYear - fromYear)
+      );
+    }
+  }
+  return knots[knots.length - 1][1];
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
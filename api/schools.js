@@ -0,0 +1,274 @@
+// api/schools.js - Nearby schools and their Ofsted grades
+//
+// Schools come from the Get Information About Schools (GIAS) register with
+// their latest Ofsted grade, loaded into the schools table by
+// scripts/load-schools.js. The education score (0-10) weights each nearby
+// school's grade by how close it is, for primary and secondary separately.
+import { supabase } from "./supabase-client.js";
+import { findWithinRadius, lookupPostcode } from "./postcodes.js";
+import { dateRange } from "./provenance.js";
+
+export const OFSTED_GRADES = {
+  1: "Outstanding",
+  2: "Good",
+  3: "Requires Improvement",
+  4: "Inadequate",
+};
+
+// Score out of 10 for each grade
+const GRADE_SCORES = { 1: 10, 2: 7.5, 3: 4, 4: 1 };
+
+// Sub-judgements used when an inspection has no overall grade (graded
+// inspections since September 2024, and some ungraded ones)
+const SUB_JUDGEMENTS = [
+  "quality of education",
+  "behaviour and attitudes",
+  "personal development",
+  "effectiveness of leadership and management",
+];
+
+const PHASES = ["primary", "secondary"];
+const DEFAULT_RADIUS_KM = 3;
+const MAX_RADIUS_KM = 10;
+const SCHOOLS_PER_PHASE = 3;
+
+export default async function handler(req, res) {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "GET, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+
+  if (req.method === "OPTIONS") return res.status(200).end();
+  if (req.method !== "GET")
+    return res
+      .status(405)
+      .json({ success: false, error: "Method not allowed" });
+
+  try {
+    const { postcode, radius } = req.query;
+
+    if (!postcode) {
+      return res
+        .status(400)
+        .json({ success: false, error: "Postcode is required" });
+    }
+
+    const radiusKm = radius != null ? parseFloat(radius) : DEFAULT_RADIUS_KM;
+    if (!(radiusKm > 0 && radiusKm <= MAX_RADIUS_KM)) {
+      return res.status(400).json({
+        success: false,
+        error: `radius must be between 0 and ${MAX_RADIUS_KM} km`,
+      });
+    }
+
+    const schools = await getSchoolsNearby(postcode, { radiusKm });
+
+    if (!schools) {
+      return res.status(404).json({
+        success: false,
+        error: "No schools found near this postcode",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      ...schools,
+      generatedAt: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error("❌ Schools error:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+}
+
+// The nearest open primary and secondary schools within radiusKm, with the
+// education score. Null if the postcode can't be located or there are no
+// schools loaded around it.
+export async function getSchoolsNearby(
+  postcode,
+  { radiusKm = DEFAULT_RADIUS_KM } = {}
+) {
+  if (!supabase) return null;
+
+  const geography = await lookupPostcode(postcode).catch(() => null);
+  if (geography?.lat == null || geography?.lng == null) return null;
+
+  try {
+    const schools = await findWithinRadius(
+      "schools",
+      "urn, name, type, phase, postcode, latitude, longitude, low_age, high_age, pupils, ofsted_grade, ofsted_date",
+      geography,
+      radiusKm,
+      { filter: (query) => query.eq("status", "open") }
+    );
+    if (schools.length === 0) return null;
+
+    return summariseSchools(schools, { radiusKm });
+  } catch (error) {
+    console.error("Schools unavailable:", error.message || error);
+    return null;
+  }
+}
+
+// Nearest schools per phase and the education score from schools with
+// distanceKm. All-through schools count for both phases.
+export function summariseSchools(schools, { radiusKm }) {
+  const byPhase = {};
+  PHASES.forEach((phase) => {
+    const nearby = schools
+      .filter(
+        (school) => school.phase === phase || school.phase === "all-through"
+      )
+      .sort((a, b) => a.distanceKm - b.distanceKm)
+      .slice(0, SCHOOLS_PER_PHASE);
+
+    byPhase[phase] = {
+      score: phaseScore(nearby),
+      schools: nearby.map((school) => ({
+        urn: school.urn,
+        name: school.name,
+        type: school.type,
+        phase: school.phase,
+        postcode: school.postcode,
+        grade: school.ofsted_grade ?? null,
+        rating: OFSTED_GRADES[school.ofsted_grade] || "Not inspected",
+        inspected: school.ofsted_date || null,
+        pupils: school.pupils ?? null,
+        distanceKm: Math.round(school.distanceKm * 100) / 100,
+      })),
+    };
+  });
+
+  const scores = PHASES.map((phase) => byPhase[phase].score).filter(
+    (score) => score != null
+  );
+  const educationScore =
+    scores.length > 0
+      ? Math.round(
+          (scores.reduce((sum, score) => sum + score, 0) / scores.length) * 10
+        ) / 10
+      : null;
+
+  const listed = PHASES.flatMap((phase) => byPhase[phase].schools);
+  return {
+    radiusKm: radiusKm,
+    educationScore: educationScore,
+    rating: scoreRating(educationScore),
+    primary: byPhase.primary,
+    secondary: byPhase.secondary,
+    period: dateRange(listed.map((school) => school.inspected)),
+    source: "GIAS register and Ofsted inspection outcomes",
+  };
+}
+
+// A GIAS record (lower-cased headers) -> a schools row, without coordinates
+// (GIAS gives British National Grid; the loader locates schools by postcode)
+export function toSchoolRow(record) {
+  const number = (value) => {
+    const parsed = parseInt(value, 10);
+    return isNaN(parsed) ? null : parsed;
+  };
+
+  return {
+    urn: number(record["urn"]),
+    name: record["establishmentname"] || null,
+    type: record["typeofestablishment (name)"] || null,
+    phase: normalisePhase(
+      record["phaseofeducation (name)"],
+      number(record["statutorylowage"]),
+      number(record["statutoryhighage"])
+    ),
+    status: /^open/i.test(record["establishmentstatus (name)"] || "")
+      ? "open"
+      : "closed",
+    postcode: record["postcode"]?.toUpperCase() || null,
+    la_code: record["districtadministrative (code)"] || null,
+    low_age: number(record["statutorylowage"]),
+    high_age: number(record["statutoryhighage"]),
+    pupils: number(record["numberofpupils"]),
+  };
+}
+
+// An Ofsted management information record (lower-cased headers) -> { urn,
+// grade, date }. Without an overall effectiveness grade, the rounded
+// average of the sub-judgements stands in.
+export function toInspection(record) {
+  const grade = (value) => {
+    const parsed = parseInt(value, 10);
+    return parsed >= 1 && parsed <= 4 ? parsed : null;
+  };
+
+  let overall = grade(record["overall effectiveness"]);
+  if (overall == null) {
+    const judgements = SUB_JUDGEMENTS.map((column) =>
+      grade(record[column])
+    ).filter((value) => value != null);
+    overall =
+      judgements.length > 0
+        ? Math.round(
+            judgements.reduce((sum, value) => sum + value, 0) /
+              judgements.length
+          )
+        : null;
+  }
+
+  return {
+    urn: parseInt(record["urn"], 10) || null,
+    grade: overall,
+    date: parseDate(
+      record["inspection start date"] || record["publication date"]
+    ),
+  };
+}
+
+// Distance-weighted average of the graded schools' scores; the nearest
+// school counts most
+function phaseScore(schools) {
+  const graded = schools.filter((school) => GRADE_SCORES[school.ofsted_grade]);
+  if (graded.length === 0) return null;
+
+  let total = 0;
+  let weights = 0;
+  graded.forEach((school) => {
+    const weight = 1 / (1 + school.distanceKm);
+    total += GRADE_SCORES[school.ofsted_grade] * weight;
+    weights += weight;
+  });
+  return Math.round((total / weights) * 10) / 10;
+}
+
+function scoreRating(score) {
+  if (score == null) return null;
+  if (score >= 8.5) return OFSTED_GRADES[1];
+  if (score >= 6) return OFSTED_GRADES[2];
+  if (score >= 3) return OFSTED_GRADES[3];
+  return OFSTED_GRADES[4];
+}
+
+// GIAS phase (or the age range, for "Not applicable") -> primary,
+// secondary, all-through or other (nursery and 16 plus)
+function normalisePhase(phase, lowAge = null, highAge = null) {
+  const name = (phase || "").toLowerCase();
+  if (name.includes("all-through")) return "all-through";
+  if (name.includes("nursery") || name.includes("16 plus")) return "other";
+  if (name.includes("primary")) return "primary";
+  if (name.includes("secondary")) return "secondary";
+
+  if (lowAge == null || highAge == null) return "other";
+  if (lowAge <= 5 && highAge >= 16) return "all-through";
+  if (lowAge <= 5 && highAge <= 11) return "primary";
+  if (lowAge >= 10 && highAge >= 15) return "secondary";
+  return "other";
+}
+
+// "15/03/2024" (day first) or "2024-03-15" -> "2024-03-15"
+function parseDate(value) {
+  if (!value) return null;
+
+  const iso = value.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (iso) return `${iso[1]}-${iso[2]}-${iso[3]}`;
+
+  const uk = value.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})/);
+  return uk
+    ? `${uk[3]}-${uk[2].padStart(2, "0")}-${uk[1].padStart(2, "0")}`
+    : null;
+}
@@ -0,0 +1,55 @@
+// api/simulation.js - Seeded random numbers and percentile helpers for forecasting
+
+// Turn any string or number into a 32-bit seed (xmur3 hash)
+export function hashSeed(value) {
+  const str = String(value);
+  let h = 1779033703 ^ str.length;
+  for (let i = 0; i < str.length; i++) {
+    h = Math.imul(h ^ str.charCodeAt(i), 3432918353);
+    h = (h << 13) | (h >>> 19);
+  }
+  h = Math.imul(h ^ (h >>> 16), 2246822507);
+  h = Math.imul(h ^ (h >>> 13), 3266489909);
+  return (h ^= h >>> 16) >>> 0;
+}
+
+// Deterministic replacement for Math.random() (mulberry32)
+export function createSeededRandom(seed) {
+  let state = typeof seed === "number" ? seed >>> 0 : hashSeed(seed);
+  return function random() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Standard normal sample via Box-Muller
+export function sampleNormal(random, mean = 0, stdDev = 1) {
+  const u1 = Math.max(random(), Number.EPSILON);
+  const u2 = random();
+  const z = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+  return mean + z * stdDev;
+}
+
+// Linear-interpolated percentile of an ascending sorted array
+export function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const index = (sorted.length - 1) * p;
+  const lower = Math.floor(index);
+  const upper = Math.ceil(index);
+  const weight = index - lower;
+  return sorted[lower] * (1 - weight) + sorted[upper] * weight;
+}
+
+export function summarisePercentiles(values, decimals = 2) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const factor = Math.pow(10, decimals);
+  const round = (value) => Math.round(value * factor) / factor;
+  return {
+    p10: round(percentile(sorted, 0.1)),
+    p50: round(percentile(sorted, 0.5)),
+    p90: round(percentile(sorted, 0.9)),
+  };
+}
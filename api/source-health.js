@@ -0,0 +1,119 @@
+// api/source-health.js - Health of each upstream data source
+//
+// Fetches made through FreeRealTimeDataProvider are recorded per source: when
+// it last answered, its last error and latency, and whether the value handed
+// out came live from the source, from the cache or from a fallback. Changes
+// are held per provider and written to the shared cache store (see
+// cache.js) on flush, so the status endpoint can see fetches made by other
+// functions.
+import { upstreamCache } from "./cache.js";
+
+const KEY_PREFIX = "health_";
+const RETENTION = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+export class SourceHealth {
+  constructor(store = upstreamCache.store) {
+    this.store = store;
+    // Changes made since the last flush, and the sources fetched upstream
+    this.changes = new Map();
+    this.fetched = new Set();
+  }
+
+  // An upstream fetch finished, successfully unless error is given
+  recordFetch(source, { latencyMs, error = null }) {
+    const now = new Date().toISOString();
+
+    this.fetched.add(source);
+    this.change(source, (record) =>
+      error
+        ? {
+            ...record,
+            lastErrorAt: now,
+            lastError: error.message || String(error),
+            latencyMs: latencyMs,
+          }
+        : { ...record, lastSuccessAt: now, latencyMs: latencyMs }
+    );
+  }
+
+  // Where the value given to a caller came from: "live", "cache", "stale"
+  // or "fallback". Only saved along with an upstream fetch, so cache hits
+  // cost no writes.
+  recordServed(source, servedFrom) {
+    this.change(source, (record) => ({
+      ...record,
+      servedFrom: servedFrom,
+      servedAt: new Date().toISOString(),
+    }));
+  }
+
+  // Latest stored record, whichever function wrote it
+  async get(source) {
+    return (await this.read(source)) || emptyRecord(source);
+  }
+
+  // Saves the records of the sources fetched upstream since the last
+  // flush, once each, merged into what's stored so other functions' writes
+  // are kept. Call before a function returns, as it may be frozen after.
+  async flush() {
+    const sources = [...this.fetched];
+    const changes = this.changes;
+    this.fetched = new Set();
+    this.changes = new Map();
+
+    await Promise.all(
+      sources.map(async (source) => {
+        try {
+          const record = (changes.get(source) || []).reduce(
+            (current, change) => change(current),
+            (await this.read(source)) || emptyRecord(source)
+          );
+
+          const storedAt = Date.now();
+          await this.store.set(`${KEY_PREFIX}${source}`, {
+            value: record,
+            storedAt: storedAt,
+            expiresAt: storedAt + RETENTION,
+          });
+        } catch (error) {
+          console.error(
+            `❌ Source health write failed for ${source}:`,
+            error.message || error
+          );
+        }
+      })
+    );
+  }
+
+  change(source, change) {
+    if (!this.changes.has(source)) this.changes.set(source, []);
+    this.changes.get(source).push(change);
+  }
+
+  async read(source) {
+    try {
+      const entry = await this.store.get(`${KEY_PREFIX}${source}`);
+      return entry ? { ...emptyRecord(source), ...entry.value } : null;
+    } catch (error) {
+      console.error(
+        `❌ Source health read failed for ${source}:`,
+        error.message || error
+      );
+      return null;
+    }
+  }
+}
+
+function emptyRecord(source) {
+  return {
+    source: source,
+    lastSuccessAt: null,
+    lastErrorAt: null,
+    lastError: null,
+    latencyMs: null,
+    servedFrom: null,
+    servedAt: null,
+  };
+}
+
+export const sourceHealth = new SourceHealth();
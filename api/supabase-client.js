@@ -0,0 +1,23 @@
+// api/supabase-client.js - Shared Supabase client (null when not configured)
+import { createClient } from "@supabase/supabase-js";
+
+// Initialize Supabase with error handling
+let supabase = null;
+try {
+  if (
+    process.env.NEXT_PUBLIC_SUPABASE_URL &&
+    process.env.SUPABASE_SERVICE_ROLE_KEY
+  ) {
+    supabase = createClient(
+      process.env.NEXT_PUBLIC_SUPABASE_URL,
+      process.env.SUPABASE_SERVICE_ROLE_KEY
+    );
+    console.log("✅ Supabase initialized successfully");
+  } else {
+    console.warn("⚠️ Supabase environment variables not found");
+  }
+} catch (error) {
+  console.error("❌ Supabase initialization error:", error);
+}
+
+export { supabase };
@@ -0,0 +1,364 @@
+// api/transport.js - Public transport accessibility and journey times
+//
+// Stops come from NaPTAN and services from local GTFS timetables, both
+// loaded by scripts/load-transport.js. The accessibility index follows
+// TfL's PTAL method: for every route within walking distance, the minutes
+// to walk to its nearest stop, wait half its morning peak headway and allow
+// for reliability give an equivalent doorstep frequency (30 / total); per
+// mode the best route counts in full and the rest at half. Journey times to
+// employment centres are worked out from the timetable at load time, so no
+// journey planner is called here.
+import { supabase } from "./supabase-client.js";
+import {
+  calculateDistance,
+  findWithinRadius,
+  lookupPostcode,
+} from "./postcodes.js";
+import { dateRange } from "./provenance.js";
+// Journeys are timed to these city centres; the nearest is the postcode's
+// employment centre
+import { EMPLOYMENT_CENTRES } from "../public/employment-centres.js";
+
+export const WALK_METRES_PER_MINUTE = 80; // 4.8 km/h, as PTAL
+
+// PTAL's walking limits and reliability allowances by mode
+const MAX_WALK_METRES = { bus: 640, metro: 960, rail: 960, ferry: 960 };
+const RELIABILITY_MINUTES = { bus: 2, metro: 0.75, rail: 0.75, ferry: 2 };
+
+// PTAL bands by accessibility index, with the 0-10 transport score for each
+export const PTAL_BANDS = [
+  { ptal: "0", upTo: 0, score: 0 },
+  { ptal: "1a", upTo: 2.5, score: 1.5 },
+  { ptal: "1b", upTo: 5, score: 3 },
+  { ptal: "2", upTo: 10, score: 4.5 },
+  { ptal: "3", upTo: 15, score: 6 },
+  { ptal: "4", upTo: 20, score: 7 },
+  { ptal: "5", upTo: 25, score: 8 },
+  { ptal: "6a", upTo: 40, score: 9 },
+  { ptal: "6b", upTo: Infinity, score: 10 },
+];
+
+// NaPTAN StopType -> mode; other types (taxi ranks, airports, entrances
+// without services) aren't loaded
+const STOP_TYPE_MODES = {
+  BCT: "bus",
+  BCS: "bus",
+  BCQ: "bus",
+  BST: "bus",
+  RLY: "rail",
+  RSE: "rail",
+  RPL: "rail",
+  MET: "metro",
+  PLT: "metro",
+  TMU: "metro",
+  FER: "ferry",
+  FBT: "ferry",
+};
+
+const SEARCH_RADIUS_METRES = Math.max(...Object.values(MAX_WALK_METRES));
+const COVERAGE_RADIUS_KM = 5;
+const DIRECT_WALK_KM = 2; // Centres this close are timed on foot too
+const STOPS_LISTED = 8;
+const PAGE_SIZE = 1000;
+
+export default async function handler(req, res) {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "GET, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+
+  if (req.method === "OPTIONS") return res.status(200).end();
+  if (req.method !== "GET")
+    return res
+      .status(405)
+      .json({ success: false, error: "Method not allowed" });
+
+  try {
+    const { postcode } = req.query;
+
+    if (!postcode) {
+      return res
+        .status(400)
+        .json({ success: false, error: "Postcode is required" });
+    }
+
+    const accessibility = await getTransportAccessibility(postcode);
+
+    if (!accessibility) {
+      return res.status(404).json({
+        success: false,
+        error: "No public transport data loaded for this area",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      ...accessibility,
+      generatedAt: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error("❌ Transport accessibility error:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+}
+
+// Accessibility index, PTAL, transport score and journey times for a
+// postcode. Null if the postcode can't be located, no stops are loaded
+// around it or the stops within walking distance have no timetable, so an
+// area without data isn't scored as one without transport.
+export async function getTransportAccessibility(postcode) {
+  if (!supabase) return null;
+
+  const geography = await lookupPostcode(postcode).catch(() => null);
+  if (geography?.lat == null || geography?.lng == null) return null;
+
+  try {
+    const stops = (
+      await findWithinRadius(
+        "transport_stops",
+        "atco_code, name, locality, mode, latitude, longitude",
+        geography,
+        SEARCH_RADIUS_METRES / 1000,
+        { limit: 2000 }
+      )
+    ).map(({ distanceKm, ...stop }) => ({
+      ...stop,
+      distanceM: Math.round(distanceKm * 1000),
+    }));
+
+    if (stops.length === 0) {
+      // No stops in walking distance: PTAL 0, if stops are loaded nearby
+      const nearby = await findWithinRadius(
+        "transport_stops",
+        "atco_code, latitude, longitude",
+        geography,
+        COVERAGE_RADIUS_KM,
+        { limit: 1 }
+      );
+      if (nearby.length === 0) return null;
+
+      return summariseAccessibility([], [], [], {
+        origin: { lat: geography.lat, lng: geography.lng },
+      });
+    }
+
+    const codes = stops.map((stop) => stop.atco_code);
+    const [services, journeys] = await Promise.all([
+      selectForStops(
+        "transport_services",
+        "atco_code, route_id, route_name, mode, departures_per_hour, service_date",
+        codes,
+        "route_id"
+      ),
+      selectForStops(
+        "transport_journeys",
+        "atco_code, centre, minutes, arrive_by, service_date",
+        codes,
+        "centre"
+      ),
+    ]);
+    if (services.length === 0) return null;
+
+    return summariseAccessibility(stops, services, journeys, {
+      origin: { lat: geography.lat, lng: geography.lng },
+    });
+  } catch (error) {
+    console.error("Transport data unavailable:", error.message || error);
+    return null;
+  }
+}
+
+// Every row of a per-stop table for the stops, a page at a time (queries
+// return at most PAGE_SIZE rows). orderBy makes the pages stable.
+async function selectForStops(table, columns, codes, orderBy) {
+  const rows = [];
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from(table)
+      .select(columns)
+      .in("atco_code", codes)
+      .order("atco_code", { ascending: true })
+      .order(orderBy, { ascending: true })
+      .range(from, from + PAGE_SIZE - 1);
+    if (error) throw error;
+
+    rows.push(...data);
+    if (data.length < PAGE_SIZE) break;
+  }
+
+  return rows;
+}
+
+// PTAL-style accessibility from stops (with distanceM from the origin),
+// their transport_services rows and their transport_journeys rows
+export function summariseAccessibility(stops, services, journeys, { origin }) {
+  const stopsByCode = new Map(stops.map((stop) => [stop.atco_code, stop]));
+
+  // Each route counts once, at its nearest stop within walking distance
+  const routes = new Map();
+  services.forEach((service) => {
+    const stop = stopsByCode.get(service.atco_code);
+    const mode = service.mode || stop?.mode;
+    if (!stop || !MAX_WALK_METRES[mode]) return;
+    if (!(service.departures_per_hour > 0)) return;
+    if (stop.distanceM > MAX_WALK_METRES[mode]) return;
+
+    const known = routes.get(service.route_id);
+    if (!known || stop.distanceM < known.stop.distanceM) {
+      routes.set(service.route_id, { service, stop, mode });
+    }
+  });
+
+  const frequencies = {};
+  routes.forEach(({ service, stop, mode }) => {
+    const walk = stop.distanceM / WALK_METRES_PER_MINUTE;
+    const wait = 0.5 * (60 / service.departures_per_hour);
+    const frequency = 30 / (walk + wait + RELIABILITY_MINUTES[mode]);
+    (frequencies[mode] = frequencies[mode] || []).push(frequency);
+  });
+
+  const byMode = {};
+  let accessIndex = 0;
+  Object.entries(frequencies).forEach(([mode, values]) => {
+    const best = Math.max(...values);
+    const index =
+      best + 0.5 * (values.reduce((sum, value) => sum + value, 0) - best);
+    accessIndex += index;
+    byMode[mode] = {
+      routes: values.length,
+      accessIndex: Math.round(index * 100) / 100,
+    };
+  });
+
+  const band = ptalBand(accessIndex);
+  const journeyTimes = bestJourneys(stopsByCode, journeys, origin);
+  const nearest = EMPLOYMENT_CENTRES.map((centre) => ({
+    name: centre.name,
+    distanceKm: calculateDistance(
+      origin.lat,
+      origin.lng,
+      centre.lat,
+      centre.lng
+    ),
+  })).reduce((min, centre) =>
+    centre.distanceKm < min.distanceKm ? centre : min
+  );
+  const nearestJourney = journeyTimes.find(
+    (journey) => journey.centre === nearest.name
+  );
+
+  return {
+    accessIndex: Math.round(accessIndex * 100) / 100,
+    ptal: band.ptal,
+    transportScore: band.score,
+    byMode: byMode,
+    stops: stops
+      .slice()
+      .sort((a, b) => a.distanceM - b.distanceM)
+      .slice(0, STOPS_LISTED)
+      .map((stop) => {
+        const stopServices = services.filter(
+          (service) => service.atco_code === stop.atco_code
+        );
+        return {
+          atcoCode: stop.atco_code,
+          name: stop.name,
+          locality: stop.locality || null,
+          mode: stop.mode,
+          distanceM: stop.distanceM,
+          walkMinutes: Math.round(stop.distanceM / WALK_METRES_PER_MINUTE),
+          routes: stopServices.length,
+          departuresPerHour:
+            Math.round(
+              stopServices.reduce(
+                (sum, service) => sum + (service.departures_per_hour || 0),
+                0
+              ) * 10
+            ) / 10,
+        };
+      }),
+    employmentCentre: {
+      name: nearest.name,
+      distanceKm: Math.round(nearest.distanceKm * 10) / 10,
+      minutes: nearestJourney?.minutes ?? null,
+      via: nearestJourney?.via ?? null,
+    },
+    journeyTimes: journeyTimes,
+    period: dateRange(services.map((service) => service.service_date)),
+    source: "NaPTAN stops and GTFS timetables",
+  };
+}
+
+// Accessibility index -> { ptal, score } band
+export function ptalBand(accessIndex) {
+  return PTAL_BANDS.find((band) => accessIndex <= band.upTo);
+}
+
+// A NaPTAN Stops.csv record (lower-cased headers) -> a transport_stops row;
+// null for inactive stops and stop types without a mode
+export function toStopRow(record) {
+  const mode = STOP_TYPE_MODES[(record["stoptype"] || "").toUpperCase()];
+  const status = (record["status"] || "active").toLowerCase();
+  const latitude = parseFloat(record["latitude"]);
+  const longitude = parseFloat(record["longitude"]);
+
+  if (!mode || !/^(active|act)$/.test(status)) return null;
+  if (isNaN(latitude) || isNaN(longitude)) return null;
+
+  const name = record["commonname"] || null;
+  const indicator = record["indicator"];
+  return {
+    atco_code: record["atcocode"]?.toUpperCase() || null,
+    name: name && indicator ? `${name} (${indicator})` : name,
+    locality: record["localityname"] || null,
+    stop_type: record["stoptype"].toUpperCase(),
+    mode: mode,
+    latitude: latitude,
+    longitude: longitude,
+  };
+}
+
+// Quickest door-to-centre time for each centre: the walk to a stop plus
+// its timetabled journey, or walking all the way where the centre is close
+function bestJourneys(stopsByCode, journeys, origin) {
+  const best = new Map();
+  const consider = (journey) => {
+    const known = best.get(journey.centre);
+    if (!known || journey.minutes < known.minutes) {
+      best.set(journey.centre, journey);
+    }
+  };
+
+  journeys.forEach((journey) => {
+    const stop = stopsByCode.get(journey.atco_code);
+    if (!stop || journey.minutes == null) return;
+
+    consider({
+      centre: journey.centre,
+      minutes: Math.round(
+        stop.distanceM / WALK_METRES_PER_MINUTE + journey.minutes
+      ),
+      via: stop.name,
+      arriveBy: journey.arrive_by || null,
+    });
+  });
+
+  EMPLOYMENT_CENTRES.forEach((centre) => {
+    const distanceKm = calculateDistance(
+      origin.lat,
+      origin.lng,
+      centre.lat,
+      centre.lng
+    );
+    if (distanceKm > DIRECT_WALK_KM) return;
+
+    consider({
+      centre: centre.name,
+      minutes: Math.round((distanceKm * 1000) / WALK_METRES_PER_MINUTE),
+      via: "walk",
+      arriveBy: null,
+    });
+  });
+
+  return [...best.values()].sort((a, b) => a.minutes - b.minutes);
+}
@@ -0,0 +1,17 @@
+// public/employment-centres.js - Major UK city centres, shared by the page
+// (straight-line distance card) and api/transport.js (timetabled journeys)
+export const EMPLOYMENT_CENTRES = [
+  { name: "London", lat: 51.5074, lng: -0.1278 },
+  { name: "Manchester", lat: 53.4808, lng: -2.2426 },
+  { name: "Birmingham", lat: 52.4862, lng: -1.8904 },
+  { name: "Liverpool", lat: 53.4084, lng: -2.9916 },
+  { name: "Leeds", lat: 53.8008, lng: -1.5491 },
+  { name: "Sheffield", lat: 53.3811, lng: -1.4701 },
+  { name: "Nottingham", lat: 52.9548, lng: -1.1581 },
+  { name: "Glasgow", lat: 55.8642, lng: -4.2518 },
+  { name: "Edinburgh", lat: 55.9533, lng: -3.1883 },
+  { name: "Cardiff", lat: 51.4816, lng: -3.1791 },
+  { name: "Bristol", lat: 51.4545, lng: -2.5879 },
+  { name: "Newcastle", lat: 54.9783, lng: -1.6178 },
+  { name: "Belfast", lat: 54.5973, lng: -5.9301 },
+];
@@ -0,0 +1,289 @@
+// scripts/backtest.js - Replay the prediction models against historical sales
+//
+// Usage: node scripts/backtest.js [--file <price-paid.csv>] [--from 2017-01-01]
+//          [--to 2021-01-01] [--horizons 1,2,3] [--areas M,LS] [--json]
+//
+// For every as-of date the predictors only see sales from the 12 months
+// before that date; their forecast for each horizon is then compared with
+// the average price actually achieved in the 12 months before the horizon.
+import { readFileSync } from "fs";
+import { fileURLToPath } from "url";
+import path from "path";
+import {
+  UniversalRealTimePredictor,
+  UniversalUKPredictor,
+} from "../api/ai-predictions.js";
+import { calculateEnhancedMetrics } from "../api/real-time-data.js";
+import { parsePricePaidCSV } from "../api/price-paid.js";
+import { summarisePriceIndex } from "../api/price-index.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_FILE = path.join(__dirname, "fixtures", "price-paid-sample.csv");
+const WINDOW_MONTHS = 12;
+const MIN_SALES = 5;
+const INDEX_MONTHS = 120; // Price index history available at each as-of date
+
+const MODELS = {
+  realtime: (enhancedData, seed) => {
+    const predictor = new UniversalRealTimePredictor(enhancedData, { seed });
+    predictor.silent = true;
+    return predictor;
+  },
+  fallback: () => new UniversalUKPredictor(),
+};
+
+function parseArgs(argv) {
+  const args = {
+    file: DEFAULT_FILE,
+    from: null,
+    to: null,
+    horizons: [1, 2, 3],
+    areas: null,
+    json: false,
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => argv[++i];
+
+    if (arg === "--file") args.file = next();
+    else if (arg === "--from") args.from = new Date(next());
+    else if (arg === "--to") args.to = new Date(next());
+    else if (arg === "--horizons")
+      args.horizons = next().split(",").map(Number);
+    else if (arg === "--areas") args.areas = next().toUpperCase().split(",");
+    else if (arg === "--json") args.json = true;
+    else throw new Error(`Unknown argument: ${arg}`);
+  }
+
+  return args;
+}
+
+function postcodeArea(postcode) {
+  return (postcode.match(/^[A-Z]{1,2}/i)?.[0] || "").toUpperCase();
+}
+
+function addMonths(date, months) {
+  const result = new Date(date);
+  result.setUTCMonth(result.getUTCMonth() + months);
+  return result;
+}
+
+function salesBetween(sales, start, end) {
+  return sales.filter((sale) => {
+    const date = new Date(sale.date);
+    return date >= start && date < end;
+  });
+}
+
+function average(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+// Yearly as-of dates that leave room for the longest horizon
+function buildAsOfDates(sales, args) {
+  const dates = sales.map((sale) => new Date(sale.date)).sort((a, b) => a - b);
+  const maxHorizon = Math.max(...args.horizons);
+
+  const first = addMonths(dates[0], WINDOW_MONTHS);
+  const start =
+    args.from || new Date(Date.UTC(first.getUTCFullYear() + 1, 0, 1));
+  const lastPossible = addMonths(dates[dates.length - 1], -12 * maxHorizon);
+  const end = args.to && args.to < lastPossible ? args.to : lastPossible;
+
+  const asOfDates = [];
+  for (let date = start; date <= end; date = addMonths(date, 12)) {
+    asOfDates.push(date);
+  }
+  return asOfDates;
+}
+
+export async function runBacktest(sales, args) {
+  // Non-standard (category B) and deleted transactions distort averages
+  const usable = sales.filter(
+    (sale) => sale.ppdCategory !== "B" && sale.recordStatus !== "D"
+  );
+
+  const byArea = {};
+  usable.forEach((sale) => {
+    const area = postcodeArea(sale.postcode);
+    if (args.areas && !args.areas.includes(area)) return;
+    (byArea[area] = byArea[area] || []).push(sale);
+  });
+
+  const asOfDates = buildAsOfDates(usable, args);
+  const observations = [];
+
+  for (const [area, areaSales] of Object.entries(byArea)) {
+    for (const asOf of asOfDates) {
+      const history = salesBetween(
+        areaSales,
+        addMonths(asOf, -WINDOW_MONTHS),
+        asOf
+      ).sort((a, b) => new Date(b.date) - new Date(a.date));
+
+      if (history.length < MIN_SALES) continue;
+
+      const basePrice = average(history.map((sale) => sale.price));
+      const postcode = history[0].postcode;
+      const enhancedData = {
+        postcode: postcode,
+        economicData: null, // No point-in-time macro data offline
+        recentSales: history,
+        coverage: {
+          level: "area",
+          query: area,
+          sampleSize: history.length,
+          minimumSample: MIN_SALES,
+          windowMonths: WINDOW_MONTHS,
+          levels: [],
+        },
+        crimeData: null,
+        enhancedMetrics: calculateEnhancedMetrics(history, null, null),
+        priceIndex: summarisePriceIndex(
+          salesBetween(areaSales, addMonths(asOf, -INDEX_MONTHS), asOf)
+        ),
+      };
+
+      for (const [model, createPredictor] of Object.entries(MODELS)) {
+        const seed = `${postcode}:${asOf.toISOString().slice(0, 10)}`;
+        const predictor = createPredictor(enhancedData, seed);
+        const predictions = await predictor.generatePredictions(postcode);
+
+        for (const horizon of args.horizons) {
+          const prediction = predictions[horizon - 1];
+          const horizonDate = addMonths(asOf, 12 * horizon);
+          const outcome = salesBetween(
+            areaSales,
+            addMonths(horizonDate, -WINDOW_MONTHS),
+            horizonDate
+          );
+
+          if (!prediction || outcome.length < MIN_SALES) continue;
+
+          observations.push({
+            model: model,
+            area: area,
+            horizon: horizon,
+            asOf: asOf.toISOString().slice(0, 10),
+            basePrice: Math.round(basePrice),
+            predictedPrice: prediction.predictedPrice,
+            actualPrice: Math.round(average(outcome.map((sale) => sale.price))),
+          });
+        }
+      }
+    }
+  }
+
+  return {
+    asOfDates: asOfDates.map((date) => date.toISOString().slice(0, 10)),
+    observations: observations,
+    summary: summarise(observations),
+  };
+}
+
+// MAPE, bias and directional hit rate per model, area and horizon
+function summarise(observations) {
+  const groups = {};
+
+  observations.forEach((obs) => {
+    const keys = [
+      `${obs.model}|${obs.area}|${obs.horizon}`,
+      `${obs.model}|ALL|${obs.horizon}`,
+    ];
+    keys.forEach((key) => {
+      (groups[key] = groups[key] || []).push(obs);
+    });
+  });
+
+  return Object.entries(groups)
+    .map(([key, group]) => {
+      const [model, area, horizon] = key.split("|");
+      const errors = group.map(
+        (obs) => (obs.predictedPrice - obs.actualPrice) / obs.actualPrice
+      );
+      const hits = group.filter(
+        (obs) =>
+          Math.sign(obs.predictedPrice - obs.basePrice) ===
+          Math.sign(obs.actualPrice - obs.basePrice)
+      ).length;
+
+      return {
+        model: model,
+        area: area,
+        horizon: Number(horizon),
+        observations: group.length,
+        mape: round(average(errors.map(Math.abs)) * 100),
+        bias: round(average(errors) * 100),
+        directionalHitRate: round((hits / group.length) * 100),
+      };
+    })
+    .sort(
+      (a, b) =>
+        a.model.localeCompare(b.model) ||
+        (a.area === "ALL") - (b.area === "ALL") ||
+        a.area.localeCompare(b.area) ||
+        a.horizon - b.horizon
+    );
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function printReport(report, args) {
+  console.log(`📂 Sales file: ${args.file}`);
+  console.log(`📅 As-of dates: ${report.asOfDates.join(", ") || "none"}`);
+  console.log(`🔢 Observations: ${report.observations.length}\n`);
+
+  console.log(
+    ["Model", "Area", "Horizon", "N", "MAPE %", "Bias %", "Hit rate %"]
+      .map((title) => title.padEnd(10))
+      .join("")
+  );
+  report.summary.forEach((row) => {
+    console.log(
+      [
+        row.model,
+        row.area,
+        `${row.horizon}y`,
+        row.observations,
+        row.mape.toFixed(2),
+        row.bias.toFixed(2),
+        row.directionalHitRate.toFixed(1),
+      ]
+        .map((value) => String(value).padEnd(10))
+        .join("")
+    );
+  });
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const sales = parsePricePaidCSV(readFileSync(args.file, "utf8"));
+
+  if (sales.length === 0) {
+    throw new Error(`No sales found in ${args.file}`);
+  }
+
+  const report = await runBacktest(sales, args);
+
+  if (args.json) {
+    console.log(
+      JSON.stringify(
+        { file: args.file, generatedAt: new Date().toISOString(), ...report },
+        null,
+        2
+      )
+    );
+  } else {
+    printReport(report, args);
+  }
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main().catch((error) => {
+    console.error("❌ Backtest failed:", error.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,361 @@
+// scripts/build-isochrones.js - Build the commute graph used by
+// /api/isochrones
+//
+// Usage: node scripts/build-isochrones.js --postcodes <ONSPD csv>
+//          [--gtfs <unzipped feed folder>] [--gtfs ...]
+//          [--roads <roads.geojson>] [--roads ...] [--date YYYY-MM-DD]
+//          [--arrive-by HH:MM] [--out data/isochrones.json]
+//
+// Writes one JSON file holding everything a commute search needs, so the
+// API never calls a journey planner:
+//   - the public transport connections arriving by --arrive-by (default
+//     09:00) on one service day (--date, default the next Tuesday), from any
+//     number of GTFS feeds (see scripts/load-transport.js)
+//   - a road graph from GeoJSON road lines: an OpenStreetMap extract
+//     (highway, oneway tags) or OS Open Roads, reprojected to WGS84 first
+//     (ogr2ogr -t_srs EPSG:4326 -f GeoJSON roads.geojson RoadLink.shp)
+//   - every postcode district centre in the area the feeds and roads
+//     cover, from the ONS Postcode Directory CSV, with its nearby stops and
+//     nearest road
+// Deploy the file with the API (vercel.json includes data/ with the
+// function) or point ISOCHRONE_GRAPH at it.
+import { createReadStream, mkdirSync, readFileSync, writeFileSync } from "fs";
+import path from "path";
+import { parseCSVStream } from "../api/csv.js";
+import { readServiceDay, tripConnections } from "../api/gtfs.js";
+import {
+  DEFAULT_GRAPH_FILE,
+  DISTRICT_WALK_METRES,
+  MAX_COMMUTE_MINUTES,
+  nearestNode,
+} from "../api/isochrones.js";
+import { calculateDistance } from "../api/postcodes.js";
+
+// Typical peak-hour speeds (km/h), not limits, by OpenStreetMap highway tag
+// or OS Open Roads roadClassification; other roads aren't driven
+const ROAD_SPEEDS_KMH = {
+  motorway: 80,
+  motorway_link: 50,
+  trunk: 60,
+  trunk_link: 40,
+  primary: 40,
+  primary_link: 30,
+  secondary: 35,
+  secondary_link: 30,
+  tertiary: 30,
+  tertiary_link: 25,
+  unclassified: 25,
+  residential: 20,
+  living_street: 10,
+  service: 15,
+  "a road": 40,
+  "b road": 35,
+  "classified unnumbered": 30,
+  "not classified": 25,
+  unknown: 20,
+};
+
+const NO_LOCATION_LATITUDE = 99.999999; // ONSPD value for no grid reference
+
+function parseArgs(argv) {
+  const args = {
+    postcodes: null,
+    gtfs: [],
+    roads: [],
+    date: nextTuesday(),
+    arriveBy: "09:00",
+    out: DEFAULT_GRAPH_FILE,
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => argv[++i];
+
+    if (arg === "--postcodes") args.postcodes = next();
+    else if (arg === "--gtfs") args.gtfs.push(next());
+    else if (arg === "--roads") args.roads.push(next());
+    else if (arg === "--date") args.date = next();
+    else if (arg === "--arrive-by") args.arriveBy = next();
+    else if (arg === "--out") args.out = next();
+    else throw new Error(`Unknown argument: ${arg}`);
+  }
+
+  if (!args.postcodes) {
+    throw new Error("--postcodes <ONS Postcode Directory csv> is required");
+  }
+
+  if (args.gtfs.length === 0 && args.roads.length === 0) {
+    throw new Error("Give at least one --gtfs feed or --roads file");
+  }
+
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(args.date || "")) {
+    throw new Error("--date must be YYYY-MM-DD");
+  }
+
+  if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(args.arriveBy || "")) {
+    throw new Error("--arrive-by must be HH:MM");
+  }
+
+  return args;
+}
+
+// A weekday clear of weekend and Monday bank holiday timetables
+function nextTuesday() {
+  const date = new Date();
+  date.setUTCDate(date.getUTCDate() + ((9 - date.getUTCDay()) % 7 || 7));
+  return date.toISOString().slice(0, 10);
+}
+
+// Stops, connections and transfers.txt interchanges from every feed, stops
+// numbered in one list; trips are numbered too, as feeds can reuse trip ids
+async function buildTransit(dirs, { date, arriveBy }) {
+  const stopIndex = new Map();
+  const stops = [];
+  const connections = [];
+  const transfers = [];
+  let tripCount = 0;
+
+  for (const dir of dirs) {
+    console.log(`📂 Loading ${dir} for ${date}`);
+    const day = await readServiceDay(dir, {
+      date,
+      from: arriveBy - MAX_COMMUTE_MINUTES * 60,
+      to: arriveBy,
+    });
+    if (!day) {
+      console.warn(`⚠️ No services run on ${date} in ${dir}`);
+      continue;
+    }
+
+    day.stops.forEach((stop) => {
+      if (stopIndex.has(stop.id)) return;
+      stopIndex.set(stop.id, stops.length);
+      stops.push([stop.lat, stop.lng]);
+    });
+    day.transfers.forEach((transfer) => {
+      const from = stopIndex.get(transfer.from);
+      const to = stopIndex.get(transfer.to);
+      if (from != null && to != null) {
+        transfers.push([from, to, transfer.seconds]);
+      }
+    });
+
+    const trips = day.trips.map((trip) => ({
+      ...trip,
+      id: tripCount++,
+    }));
+    tripConnections(trips, { arriveBy }).forEach((connection) => {
+      const from = stopIndex.get(connection.from);
+      const to = stopIndex.get(connection.to);
+      if (from == null || to == null) return;
+
+      connections.push([
+        connection.trip,
+        from,
+        to,
+        connection.departure,
+        connection.arrival,
+      ]);
+    });
+  }
+
+  // Latest arrival first, across feeds
+  connections.sort((a, b) => b[4] - a[4]);
+  console.log(
+    `🚌 ${stops.length} stops, ${tripCount} trips, ${connections.length} connections`
+  );
+  return { stops, connections, transfers };
+}
+
+// Nodes ([lat, lng]) and directed edges ([from, to, seconds]) from road
+// lines; lines sharing a coordinate are joined there
+function buildRoads(files) {
+  const nodeIndex = new Map();
+  const nodes = [];
+  const edges = [];
+
+  const node = ([lng, lat]) => {
+    const key = `${lat.toFixed(6)},${lng.toFixed(6)}`;
+    if (!nodeIndex.has(key)) {
+      nodeIndex.set(key, nodes.length);
+      nodes.push([Math.round(lat * 1e6) / 1e6, Math.round(lng * 1e6) / 1e6]);
+    }
+    return nodeIndex.get(key);
+  };
+
+  files.forEach((file) => {
+    console.log(`📂 Loading ${file}`);
+    const { features = [] } = JSON.parse(readFileSync(file, "utf8"));
+
+    features.forEach(({ geometry, properties = {} }) => {
+      const roadClass = (
+        properties.highway ||
+        properties.roadClassification ||
+        properties.road_classification ||
+        ""
+      ).toLowerCase();
+      const speed = ROAD_SPEEDS_KMH[roadClass];
+      if (!speed || !geometry) return;
+
+      // OSM oneway=-1 runs against the line's direction
+      const oneway = String(properties.oneway || "").toLowerCase();
+      const onewayForward = ["yes", "true", "1"].includes(oneway);
+      const onewayBackward = oneway === "-1";
+      const lines =
+        geometry.type === "LineString"
+          ? [geometry.coordinates]
+          : geometry.type === "MultiLineString"
+          ? geometry.coordinates
+          : [];
+
+      lines.forEach((line) => {
+        for (let i = 1; i < line.length; i++) {
+          const from = node(line[i - 1]);
+          const to = node(line[i]);
+          if (from === to) continue;
+
+          const km = calculateDistance(
+            nodes[from][0],
+            nodes[from][1],
+            nodes[to][0],
+            nodes[to][1]
+          );
+          const seconds = Math.max(1, Math.round((km / speed) * 3600));
+          if (!onewayBackward) edges.push([from, to, seconds]);
+          if (!onewayForward) edges.push([to, from, seconds]);
+        }
+      });
+    });
+  });
+
+  console.log(`🛣️ ${nodes.length} road nodes, ${edges.length} road links`);
+  return { nodes, edges };
+}
+
+// Postcode district centres (the mean of their live postcodes) within bounds
+async function buildDistricts(file, bounds) {
+  const totals = new Map();
+  let header = null;
+
+  console.log(`📂 Loading ${file}`);
+  for await (const row of parseCSVStream(createReadStream(file))) {
+    if (!header) {
+      header = row.map((column) => column.trim().toLowerCase());
+      continue;
+    }
+
+    const record = {};
+    header.forEach((column, index) => (record[column] = row[index]?.trim()));
+
+    const lat = parseFloat(record["lat"]);
+    const lng = parseFloat(record["long"]);
+    if (record["doterm"] || isNaN(lat) || isNaN(lng)) continue;
+    if (lat === NO_LOCATION_LATITUDE) continue;
+    if (
+      lat < bounds.south ||
+      lat > bounds.north ||
+      lng < bounds.west ||
+      lng > bounds.east
+    ) {
+      continue;
+    }
+
+    const district = (record["pcds"] || "").toUpperCase().split(" ")[0];
+    if (!district) continue;
+
+    const total = totals.get(district) || { lat: 0, lng: 0, count: 0 };
+    total.lat += lat;
+    total.lng += lng;
+    total.count++;
+    totals.set(district, total);
+  }
+
+  return [...totals.entries()].map(([district, total]) => ({
+    district: district,
+    lat: Math.round((total.lat / total.count) * 1e6) / 1e6,
+    lng: Math.round((total.lng / total.count) * 1e6) / 1e6,
+  }));
+}
+
+// The area covered by the stops and roads
+function boundsOf(points) {
+  const bounds = { south: 90, north: -90, west: 180, east: -180 };
+  points.forEach(([lat, lng]) => {
+    bounds.south = Math.min(bounds.south, lat);
+    bounds.north = Math.max(bounds.north, lat);
+    bounds.west = Math.min(bounds.west, lng);
+    bounds.east = Math.max(bounds.east, lng);
+  });
+  return bounds;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const [hours, minutes] = args.arriveBy.split(":").map(Number);
+  const arriveBy = hours * 3600 + minutes * 60;
+
+  const transit =
+    args.gtfs.length > 0
+      ? await buildTransit(args.gtfs, { date: args.date, arriveBy })
+      : null;
+  const roads = args.roads.length > 0 ? buildRoads(args.roads) : null;
+
+  const bounds = boundsOf([...(transit?.stops || []), ...(roads?.nodes || [])]);
+  if (bounds.south > bounds.north) {
+    throw new Error("No located stops or roads to build a graph from");
+  }
+
+  // Each district is reached from the stops a walk from its centre and
+  // from its nearest road
+  const districts = (await buildDistricts(args.postcodes, bounds)).map(
+    (district) => {
+      const entry = { ...district };
+
+      if (transit) {
+        entry.stops = [];
+        transit.stops.forEach(([lat, lng], index) => {
+          const metres =
+            calculateDistance(district.lat, district.lng, lat, lng) * 1000;
+          if (metres <= DISTRICT_WALK_METRES) {
+            entry.stops.push([index, Math.round(metres)]);
+          }
+        });
+      }
+
+      if (roads) {
+        const index = nearestNode(roads.nodes, district);
+        const [lat, lng] = roads.nodes[index];
+        entry.road = [
+          index,
+          Math.round(
+            calculateDistance(district.lat, district.lng, lat, lng) * 1000
+          ),
+        ];
+      }
+
+      return entry;
+    }
+  );
+  console.log(`📍 ${districts.length} postcode districts in the area`);
+
+  mkdirSync(path.dirname(args.out), { recursive: true });
+  writeFileSync(
+    args.out,
+    JSON.stringify({
+      builtAt: new Date().toISOString(),
+      serviceDate: transit ? args.date : null,
+      arriveBy: args.arriveBy,
+      bounds: bounds,
+      transit: transit,
+      roads: roads,
+      districts: districts,
+    })
+  );
+
+  console.log(`✅ Commute graph written to ${args.out}`);
+}
+
+main().catch((error) => {
+  console.error("❌ Commute graph build failed:", error.message);
+  process.exit(1);
+});
@@ -0,0 +1,182 @@
+// scripts/load-crime.js - Load police.uk street-level archives into Supabase
+//
+// Usage: node scripts/load-crime.js --dir <archive folder> [--since YYYY-MM]
+//          [--population <lsoa-population.csv>] [--batch-size 500] [--dry-run]
+//
+// The archive (data.police.uk/data) unzips into one folder per month holding
+// a <month>-<force>-street.csv per force. Crimes are counted per LSOA, month
+// and category into crime_lsoa_monthly. --population loads ONS mid-year LSOA
+// estimates into lsoa_population so crime can be reported per 1,000
+// residents. Needs NEXT_PUBLIC_SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY
+// unless --dry-run is given.
+import { readdirSync, statSync } from "fs";
+import path from "path";
+import { readRecords } from "../api/csv.js";
+import { ARCHIVE_CATEGORIES } from "../api/crime.js";
+import { supabase } from "../api/supabase-client.js";
+
+const STREET_FILE_PATTERN = /^(\d{4}-\d{2})-.+-street\.csv$/;
+
+function parseArgs(argv) {
+  const args = {
+    dir: null,
+    since: null,
+    population: null,
+    batchSize: 500,
+    dryRun: false,
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => argv[++i];
+
+    if (arg === "--dir") args.dir = next();
+    else if (arg === "--since") args.since = next();
+    else if (arg === "--population") args.population = next();
+    else if (arg === "--batch-size") args.batchSize = parseInt(next(), 10);
+    else if (arg === "--dry-run") args.dryRun = true;
+    else throw new Error(`Unknown argument: ${arg}`);
+  }
+
+  if (!args.dir && !args.population) {
+    throw new Error("Give a --dir of police archives and/or --population");
+  }
+
+  if (args.since && !/^\d{4}-\d{2}$/.test(args.since)) {
+    throw new Error("--since must be YYYY-MM");
+  }
+
+  if (!(args.batchSize > 0)) {
+    throw new Error("--batch-size must be a positive number");
+  }
+
+  return args;
+}
+
+// Street files grouped by month, oldest first
+function findStreetFiles(dir, byMonth = new Map()) {
+  readdirSync(dir).forEach((name) => {
+    const fullPath = path.join(dir, name);
+    if (statSync(fullPath).isDirectory()) {
+      findStreetFiles(fullPath, byMonth);
+      return;
+    }
+
+    const match = name.match(STREET_FILE_PATTERN);
+    if (match) {
+      byMonth.set(match[1], [...(byMonth.get(match[1]) || []), fullPath]);
+    }
+  });
+
+  return new Map([...byMonth.entries()].sort(([a], [b]) => a.localeCompare(b)));
+}
+
+async function upsertRows(table, rows, onConflict, args) {
+  for (let i = 0; i < rows.length; i += args.batchSize) {
+    if (args.dryRun) continue;
+
+    const { error } = await supabase
+      .from(table)
+      .upsert(rows.slice(i, i + args.batchSize), { onConflict: onConflict });
+    if (error) throw error;
+  }
+}
+
+// Forces overlap at their borders (and British Transport Police covers the
+// whole country), so every file for a month is counted before writing
+async function loadMonth(month, files, args, stats) {
+  const counts = new Map();
+
+  for (const file of files) {
+    for await (const record of readRecords(file)) {
+      stats.read++;
+
+      const lsoa = record["lsoa code"];
+      const category = ARCHIVE_CATEGORIES[record["crime type"]];
+      if (!lsoa || !category) {
+        stats.skipped++;
+        continue;
+      }
+
+      const key = `${lsoa}|${category}`;
+      counts.set(key, (counts.get(key) || 0) + 1);
+    }
+  }
+
+  const rows = [...counts.entries()].map(([key, count]) => {
+    const [lsoa, category] = key.split("|");
+    return { lsoa_code: lsoa, month: month, category: category, count: count };
+  });
+
+  await upsertRows(
+    "crime_lsoa_monthly",
+    rows,
+    "lsoa_code,month,category",
+    args
+  );
+  stats.upserted += rows.length;
+}
+
+// ONS mid-year estimates; header names differ between releases
+async function loadPopulation(file, args) {
+  const rows = [];
+  let codeColumn = null;
+  let populationColumn = null;
+
+  for await (const record of readRecords(file)) {
+    if (!codeColumn) {
+      const columns = Object.keys(record);
+      codeColumn = columns.find((c) => /lsoa.*(code|cd)$/i.test(c));
+      populationColumn = columns.find((c) => /^(all ages|total)$/i.test(c));
+      if (!codeColumn || !populationColumn) {
+        throw new Error(`${file} needs an LSOA code and an All Ages column`);
+      }
+    }
+
+    const population = parseInt(
+      String(record[populationColumn]).replace(/,/g, ""),
+      10
+    );
+    if (record[codeColumn] && population > 0) {
+      rows.push({ lsoa_code: record[codeColumn].trim(), population });
+    }
+  }
+
+  await upsertRows("lsoa_population", rows, "lsoa_code", args);
+  console.log(`👥 ${rows.length} LSOA populations loaded`);
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!supabase && !args.dryRun) {
+    throw new Error(
+      "NEXT_PUBLIC_SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY are required"
+    );
+  }
+
+  if (args.dryRun) console.log("🧪 Dry run - no changes will be written");
+
+  if (args.population) await loadPopulation(args.population, args);
+
+  if (args.dir) {
+    const stats = { read: 0, upserted: 0, skipped: 0, months: 0 };
+
+    for (const [month, files] of findStreetFiles(args.dir)) {
+      if (args.since && month < args.since) continue;
+
+      console.log(`📂 Loading ${month} (${files.length} forces)`);
+      await loadMonth(month, files, args, stats);
+      stats.months++;
+    }
+
+    console.log(
+      `✅ Done: ${stats.months} months, ${stats.read} crimes read, ${stats.upserted} LSOA rows upserted, ${stats.skipped} skipped`
+    );
+  }
+}
+
+main().catch((error) => {
+  console.error("❌ Crime load failed:", error.message);
+  process.exit(1);
+});
@@ -0,0 +1,118 @@
+// scripts/load-epc.js - Load the domestic EPC bulk download into Supabase
+//
+// Usage: node scripts/load-epc.js (--file <certificates.csv> | --dir <folder>)
+//          [--batch-size 500] [--dry-run]
+//
+// The bulk download (epc.opendatacommunities.org) unzips into one folder per
+// local authority, each with a certificates.csv; --dir loads all of them.
+// Needs NEXT_PUBLIC_SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY unless
+// --dry-run is given.
+import { createReadStream, readdirSync, statSync } from "fs";
+import path from "path";
+import { parseCSVStream } from "../api/csv.js";
+import { toEpcRow } from "../api/epc.js";
+import { supabase } from "../api/supabase-client.js";
+
+function parseArgs(argv) {
+  const args = { files: [], batchSize: 500, dryRun: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => argv[++i];
+
+    if (arg === "--file") args.files.push(next());
+    else if (arg === "--dir") args.files.push(...findCertificateFiles(next()));
+    else if (arg === "--batch-size") args.batchSize = parseInt(next(), 10);
+    else if (arg === "--dry-run") args.dryRun = true;
+    else throw new Error(`Unknown argument: ${arg}`);
+  }
+
+  if (args.files.length === 0) {
+    throw new Error("Give at least one --file or a --dir of EPC downloads");
+  }
+
+  if (!(args.batchSize > 0)) {
+    throw new Error("--batch-size must be a positive number");
+  }
+
+  return args;
+}
+
+function findCertificateFiles(dir) {
+  return readdirSync(dir).flatMap((name) => {
+    const fullPath = path.join(dir, name);
+    if (statSync(fullPath).isDirectory()) return findCertificateFiles(fullPath);
+    return name === "certificates.csv" ? [fullPath] : [];
+  });
+}
+
+async function loadFile(file, args, stats) {
+  let header = null;
+  let batch = [];
+
+  const flush = async () => {
+    if (batch.length === 0) return;
+
+    if (!args.dryRun) {
+      const { error } = await supabase
+        .from("epc_certificates")
+        .upsert(batch, { onConflict: "lmk_key" });
+      if (error) throw error;
+    }
+
+    stats.upserted += batch.length;
+    batch = [];
+  };
+
+  for await (const row of parseCSVStream(createReadStream(file))) {
+    if (!header) {
+      header = row.map((column) => column.trim().toUpperCase());
+      continue;
+    }
+
+    stats.read++;
+    const record = {};
+    header.forEach((column, index) => (record[column] = row[index]));
+
+    const epcRow = toEpcRow(record);
+    if (!epcRow.lmk_key || !epcRow.postcode) {
+      stats.skipped++;
+      continue;
+    }
+
+    batch.push(epcRow);
+    if (batch.length >= args.batchSize) await flush();
+  }
+
+  await flush();
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!supabase && !args.dryRun) {
+    throw new Error(
+      "NEXT_PUBLIC_SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY are required"
+    );
+  }
+
+  if (args.dryRun) console.log("🧪 Dry run - no changes will be written");
+
+  const stats = { read: 0, upserted: 0, skipped: 0 };
+  for (const file of args.files) {
+    console.log(`📂 Loading ${file}`);
+    await loadFile(file, args, stats);
+    console.log(
+      `📊 ${stats.read} certificates read, ${stats.upserted} upserted`
+    );
+  }
+
+  console.log(
+    `✅ Done: ${stats.read} certificates read, ${stats.upserted} upserted, ${stats.skipped} skipped`
+  );
+}
+
+main().catch((error) => {
+  console.error("❌ EPC load failed:", error.message);
+  process.exit(1);
+});
@@ -0,0 +1,365 @@
+// scripts/load-flood.js - Load flood zones and surface water risk for every
+// postcode into Supabase
+//
+// Usage: node scripts/load-flood.js --postcodes <ONSPD csv> --country <code>
+//          [--zones <flood zones.geojson>] [--zones ...]
+//          [--surface-water <surface water.geojson>] [--surface-water ...]
+//          [--as-of YYYY-MM-DD] [--batch-size 500] [--dry-run]
+//
+// --zones are flood zone extents for rivers and the sea: the Environment
+// Agency's Flood Map for Planning flood zones 2 and 3, NRW's Flood Map for
+// Planning, or SEPA's river and coastal flood maps. --surface-water are
+// surface water risk extents: the Environment Agency's Risk of Flooding from
+// Surface Water, or the NRW and SEPA surface water maps. Each is GeoJSON in
+// WGS84, converted from the published shapefiles or geopackages with
+// ogr2ogr (ogr2ogr -t_srs EPSG:4326 -f GeoJSONSeq zones.geojsonl
+// Flood_Zones_2_3.shp); newline-delimited GeoJSON (.geojsonl, .geojsons,
+// .ndjson) is read a feature at a time, so national extents fit in memory.
+// A layer without a zone or likelihood attribute can be given one with
+// ogr2ogr -sql "SELECT *, 'FZ3' AS flood_zone FROM <layer>".
+//
+// Each run loads one authority's extracts, for the country given by its
+// ONSPD code (E92000001 England - Environment Agency, W92000004 Wales - NRW,
+// S92000003 Scotland - SEPA). Every live postcode in that country that falls
+// within a loaded extract is stored with the worst zone and band its centre
+// lies in; postcodes in an extract but outside every flood area are Flood
+// Zone 1. Postcodes in other countries are left alone, as an extract's
+// extent reaches over the border.
+// --as-of is the date of the flood maps (default today). Needs
+// NEXT_PUBLIC_SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY unless --dry-run is
+// given.
+import { createReadStream, readFileSync } from "fs";
+import readline from "readline";
+import { readRecords } from "../api/csv.js";
+import {
+  FLOOD_AUTHORITIES,
+  floodRiskBand,
+  RISK_BANDS,
+  toFloodZone,
+  toSurfaceWaterBand,
+} from "../api/flood.js";
+import { supabase } from "../api/supabase-client.js";
+
+const NO_LOCATION_LATITUDE = 99.999999; // ONSPD value for no grid reference
+const CELL_DEGREES = 0.01; // Postcode grid cell, about 1km north to south
+const LINE_DELIMITED = /\.(geojsonl|geojsons|ndjson|jsonl)$/i;
+
+function parseArgs(argv) {
+  const args = {
+    postcodes: null,
+    country: null,
+    zones: [],
+    surfaceWater: [],
+    asOf: new Date().toISOString().slice(0, 10),
+    batchSize: 500,
+    dryRun: false,
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => argv[++i];
+
+    if (arg === "--postcodes") args.postcodes = next();
+    else if (arg === "--country") args.country = next()?.toUpperCase();
+    else if (arg === "--zones") args.zones.push(next());
+    else if (arg === "--surface-water") args.surfaceWater.push(next());
+    else if (arg === "--as-of") args.asOf = next();
+    else if (arg === "--batch-size") args.batchSize = parseInt(next(), 10);
+    else if (arg === "--dry-run") args.dryRun = true;
+    else throw new Error(`Unknown argument: ${arg}`);
+  }
+
+  if (!args.postcodes) {
+    throw new Error("--postcodes <ONS Postcode Directory csv> is required");
+  }
+
+  if (!FLOOD_AUTHORITIES[args.country]) {
+    throw new Error(
+      `--country must be one of ${Object.keys(FLOOD_AUTHORITIES).join(", ")}`
+    );
+  }
+
+  if (args.zones.length === 0 && args.surfaceWater.length === 0) {
+    throw new Error("Give at least one --zones or --surface-water file");
+  }
+
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(args.asOf || "")) {
+    throw new Error("--as-of must be YYYY-MM-DD");
+  }
+
+  if (!(args.batchSize > 0)) {
+    throw new Error("--batch-size must be a positive number");
+  }
+
+  return args;
+}
+
+// Features from a GeoJSON FeatureCollection, or one per line from
+// newline-delimited GeoJSON
+async function* readFeatures(file) {
+  if (!LINE_DELIMITED.test(file)) {
+    const { features = [] } = JSON.parse(readFileSync(file, "utf8"));
+    yield* features;
+    return;
+  }
+
+  const lines = readline.createInterface({
+    input: createReadStream(file),
+    crlfDelay: Infinity,
+  });
+  for await (const line of lines) {
+    // GeoJSONSeq lines may start with a record separator
+    const text = line.replace(/^\x1e/, "").trim();
+    if (text) yield JSON.parse(text);
+  }
+}
+
+const cellKey = (row, column) => row * 100000 + column;
+const cellOf = (degrees) => Math.floor(degrees / CELL_DEGREES);
+
+// Live, located postcodes in a country with a grid over them for finding
+// the ones inside a flood area
+async function loadPostcodes(file, country) {
+  const postcodes = {
+    codes: [],
+    lats: [],
+    lngs: [],
+    grid: new Map(),
+  };
+
+  console.log(`📂 Loading ${file}`);
+  for await (const record of readRecords(file)) {
+    const lat = parseFloat(record["lat"]);
+    const lng = parseFloat(record["long"]);
+    if (!record["pcds"] || record["doterm"]) continue;
+    if (record["ctry"] !== country) continue;
+    if (isNaN(lat) || isNaN(lng) || lat === NO_LOCATION_LATITUDE) continue;
+
+    const index = postcodes.codes.length;
+    postcodes.codes.push(record["pcds"].toUpperCase());
+    postcodes.lats.push(lat);
+    postcodes.lngs.push(lng);
+
+    const key = cellKey(cellOf(lat), cellOf(lng));
+    if (!postcodes.grid.has(key)) postcodes.grid.set(key, []);
+    postcodes.grid.get(key).push(index);
+  }
+
+  console.log(`📍 ${postcodes.codes.length} live postcodes in ${country}`);
+  return postcodes;
+}
+
+// Polygon rings ([lng, lat] coordinates) of a Polygon or MultiPolygon
+function polygonsOf(geometry) {
+  if (geometry?.type === "Polygon") return [geometry.coordinates];
+  if (geometry?.type === "MultiPolygon") return geometry.coordinates;
+  return [];
+}
+
+function boundsOf(polygons) {
+  const bounds = { south: 90, north: -90, west: 180, east: -180 };
+  polygons.forEach(([outer]) =>
+    outer.forEach(([lng, lat]) => {
+      bounds.south = Math.min(bounds.south, lat);
+      bounds.north = Math.max(bounds.north, lat);
+      bounds.west = Math.min(bounds.west, lng);
+      bounds.east = Math.max(bounds.east, lng);
+    })
+  );
+  return bounds;
+}
+
+// Even-odd ray casting; a point in a hole is outside
+function insideRing(ring, lat, lng) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [lngA, latA] = ring[i];
+    const [lngB, latB] = ring[j];
+    if (
+      latA > lat !== latB > lat &&
+      lng < ((lngB - lngA) * (lat - latA)) / (latB - latA) + lngA
+    ) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+function insidePolygon([outer, ...holes], lat, lng) {
+  return (
+    insideRing(outer, lat, lng) &&
+    !holes.some((hole) => insideRing(hole, lat, lng))
+  );
+}
+
+// Indexes of the postcodes inside bounds, from the grid
+function postcodesWithin(postcodes, bounds) {
+  const found = [];
+  for (let row = cellOf(bounds.south); row <= cellOf(bounds.north); row++) {
+    for (
+      let column = cellOf(bounds.west);
+      column <= cellOf(bounds.east);
+      column++
+    ) {
+      (postcodes.grid.get(cellKey(row, column)) || []).forEach((index) => {
+        const lat = postcodes.lats[index];
+        const lng = postcodes.lngs[index];
+        if (
+          lat >= bounds.south &&
+          lat <= bounds.north &&
+          lng >= bounds.west &&
+          lng <= bounds.east
+        ) {
+          found.push(index);
+        }
+      });
+    }
+  }
+  return found;
+}
+
+// Raise each postcode inside a file's flood areas to the feature's level
+// (a zone, or a surface water band's rank); every postcode within the
+// file's extent (in the country loaded) is marked as covered
+async function applyFloodAreas(file, postcodes, { levels, covered, levelOf }) {
+  const extent = { south: 90, north: -90, west: 180, east: -180 };
+  const stats = { features: 0, skipped: 0, postcodes: 0 };
+
+  console.log(`📂 Loading ${file}`);
+  for await (const feature of readFeatures(file)) {
+    const polygons = polygonsOf(feature.geometry);
+    const level = levelOf(feature.properties);
+    if (polygons.length === 0 || level == null) {
+      stats.skipped++;
+      continue;
+    }
+    stats.features++;
+
+    const bounds = boundsOf(polygons);
+    extent.south = Math.min(extent.south, bounds.south);
+    extent.north = Math.max(extent.north, bounds.north);
+    extent.west = Math.min(extent.west, bounds.west);
+    extent.east = Math.max(extent.east, bounds.east);
+
+    postcodesWithin(postcodes, bounds).forEach((index) => {
+      if (levels[index] >= level) return;
+
+      const lat = postcodes.lats[index];
+      const lng = postcodes.lngs[index];
+      if (polygons.some((polygon) => insidePolygon(polygon, lat, lng))) {
+        levels[index] = level;
+        stats.postcodes++;
+      }
+    });
+  }
+
+  if (stats.features > 0) {
+    postcodesWithin(postcodes, extent).forEach((index) => (covered[index] = 1));
+  }
+
+  console.log(
+    `🌊 ${stats.features} flood areas, ${stats.postcodes} postcodes inside, ${stats.skipped} features skipped (no polygon, zone or likelihood)`
+  );
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!supabase && !args.dryRun) {
+    throw new Error(
+      "NEXT_PUBLIC_SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY are required"
+    );
+  }
+
+  if (args.dryRun) console.log("🧪 Dry run - no changes will be written");
+
+  const postcodes = await loadPostcodes(args.postcodes, args.country);
+  const count = postcodes.codes.length;
+
+  // Flood zone 1-3 per postcode; surface water as 1 + its RISK_BANDS rank,
+  // 0 where not mapped
+  const zones = new Uint8Array(count).fill(1);
+  const surfaceWater = new Uint8Array(count);
+  const zonesCovered = new Uint8Array(count);
+  const surfaceWaterCovered = new Uint8Array(count);
+
+  for (const file of args.zones) {
+    await applyFloodAreas(file, postcodes, {
+      levels: zones,
+      covered: zonesCovered,
+      levelOf: toFloodZone,
+    });
+  }
+
+  for (const file of args.surfaceWater) {
+    await applyFloodAreas(file, postcodes, {
+      levels: surfaceWater,
+      covered: surfaceWaterCovered,
+      levelOf: (properties) => {
+        const band = toSurfaceWaterBand(properties);
+        return band ? RISK_BANDS.indexOf(band) + 1 : null;
+      },
+    });
+  }
+
+  // Surface water extracts only cover the areas at some risk, so covered
+  // postcodes outside them are very low
+  surfaceWaterCovered.forEach((isCovered, index) => {
+    if (isCovered && surfaceWater[index] === 0) surfaceWater[index] = 1;
+  });
+
+  const stats = { upserted: 0, byBand: {} };
+  let batch = [];
+
+  const flush = async () => {
+    if (batch.length === 0) return;
+
+    if (!args.dryRun) {
+      const { error } = await supabase
+        .from("flood_risk")
+        .upsert(batch, { onConflict: "postcode" });
+      if (error) throw error;
+    }
+
+    stats.upserted += batch.length;
+    batch = [];
+  };
+
+  for (let index = 0; index < count; index++) {
+    if (!zonesCovered[index] && !surfaceWaterCovered[index]) continue;
+
+    const floodZone = zonesCovered[index] ? zones[index] : null;
+    const surface = surfaceWater[index]
+      ? RISK_BANDS[surfaceWater[index] - 1]
+      : null;
+    const riskBand = floodRiskBand(floodZone, surface);
+    stats.byBand[riskBand] = (stats.byBand[riskBand] || 0) + 1;
+
+    batch.push({
+      postcode: postcodes.codes[index],
+      latitude: postcodes.lats[index],
+      longitude: postcodes.lngs[index],
+      country_code: args.country,
+      flood_zone: floodZone,
+      surface_water: surface,
+      risk_band: riskBand,
+      data_date: args.asOf,
+    });
+    if (batch.length >= args.batchSize) await flush();
+  }
+
+  await flush();
+
+  console.log(
+    `🌊 By risk band: ${[...RISK_BANDS]
+      .reverse()
+      .map((band) => `${band} ${stats.byBand[band] || 0}`)
+      .join(", ")}`
+  );
+  console.log(`✅ Done: ${stats.upserted} postcodes upserted`);
+}
+
+main().catch((error) => {
+  console.error("❌ Flood risk load failed:", error.message);
+  process.exit(1);
+});
@@ -0,0 +1,162 @@
+// scripts/load-planning.js - Load a local authority's planning applications
+// into Supabase
+//
+// Usage: node scripts/load-planning.js --authority <ONS code, e.g. E08000003>
+//          --file <applications.csv|json> [--file ...] [--batch-size 500]
+//          [--dry-run]
+//
+// Takes CSV or JSON exports from a council's planning portal or
+// planning.data.gov.uk, one authority per run; see SOURCE_COLUMNS in
+// api/planning.js for the column names understood. JSON may be an array of
+// applications or an object holding one (under data, results or entities).
+// Each application is classified and located, from its coordinates or else
+// its postcode; applications that can't be located are skipped. Needs
+// NEXT_PUBLIC_SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY unless --dry-run is
+// given.
+import { readFileSync } from "fs";
+import { readRecords } from "../api/csv.js";
+import { toPlanningRow } from "../api/planning.js";
+import { getBulkPostcodeCoordinates } from "../api/postcodes.js";
+import { supabase } from "../api/supabase-client.js";
+
+function parseArgs(argv) {
+  const args = { files: [], authority: null, batchSize: 500, dryRun: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => argv[++i];
+
+    if (arg === "--file") args.files.push(next());
+    else if (arg === "--authority") args.authority = next();
+    else if (arg === "--batch-size") args.batchSize = parseInt(next(), 10);
+    else if (arg === "--dry-run") args.dryRun = true;
+    else throw new Error(`Unknown argument: ${arg}`);
+  }
+
+  if (args.files.length === 0) {
+    throw new Error("Give at least one --file of planning applications");
+  }
+
+  if (!/^[EWSN]\d{8}$/.test(args.authority || "")) {
+    throw new Error(
+      "--authority must be the local authority's ONS code (e.g. E08000003)"
+    );
+  }
+
+  if (!(args.batchSize > 0)) {
+    throw new Error("--batch-size must be a positive number");
+  }
+
+  return args;
+}
+
+// Records keyed by lower-cased column name, "-" and "_" read as spaces
+async function* readApplications(file) {
+  const spaced = (key) => key.replace(/[-_]+/g, " ");
+
+  if (/\.json$/i.test(file)) {
+    const data = JSON.parse(readFileSync(file, "utf8"));
+    const records = Array.isArray(data)
+      ? data
+      : data.data || data.results || data.entities || [];
+
+    for (const record of records) {
+      yield Object.fromEntries(
+        Object.entries(record).map(([key, value]) => [
+          spaced(key.trim().toLowerCase()),
+          value,
+        ])
+      );
+    }
+    return;
+  }
+
+  yield* readRecords(file, { normaliseColumn: spaced });
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!supabase && !args.dryRun) {
+    throw new Error(
+      "NEXT_PUBLIC_SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY are required"
+    );
+  }
+
+  if (args.dryRun) console.log("🧪 Dry run - no changes will be written");
+
+  const stats = { read: 0, upserted: 0, dwellings: 0, skipped: 0 };
+  const categories = {};
+  let batch = [];
+
+  const flush = async () => {
+    if (batch.length === 0) return;
+
+    // Locate applications without coordinates by their postcode
+    const unlocated = batch.filter((row) => row.latitude == null);
+    const coordinates = await getBulkPostcodeCoordinates(
+      unlocated.map((row) => row.postcode).filter(Boolean)
+    );
+    unlocated.forEach((row) => {
+      const location = coordinates.get(row.postcode);
+      row.latitude = location?.lat ?? null;
+      row.longitude = location?.lng ?? null;
+    });
+
+    // Exports can list an application more than once; the last one wins
+    const located = batch.filter((row) => row.latitude != null);
+    const rows = [
+      ...new Map(located.map((row) => [row.reference, row])).values(),
+    ];
+    stats.skipped += batch.length - located.length;
+
+    if (!args.dryRun && rows.length > 0) {
+      const { error } = await supabase
+        .from("planning_applications")
+        .upsert(rows, { onConflict: "authority,reference" });
+      if (error) throw error;
+    }
+
+    rows.forEach((row) => {
+      categories[row.category] = (categories[row.category] || 0) + 1;
+      if (row.status !== "refused" && row.status !== "withdrawn") {
+        stats.dwellings += row.units || 0;
+      }
+    });
+    stats.upserted += rows.length;
+    batch = [];
+  };
+
+  for (const file of args.files) {
+    console.log(`📂 Loading ${file}`);
+
+    for await (const record of readApplications(file)) {
+      stats.read++;
+
+      const row = toPlanningRow(record, { authority: args.authority });
+      if (!row.reference || !row.received_date) {
+        stats.skipped++;
+        continue;
+      }
+
+      batch.push(row);
+      if (batch.length >= args.batchSize) await flush();
+    }
+
+    await flush();
+  }
+
+  console.log(
+    `🏗️ By category: ${Object.entries(categories)
+      .map(([category, count]) => `${category} ${count}`)
+      .join(", ")}`
+  );
+  console.log(
+    `✅ Done: ${stats.read} applications read, ${stats.upserted} upserted (${stats.dwellings} dwellings approved or pending), ${stats.skipped} skipped`
+  );
+}
+
+main().catch((error) => {
+  console.error("❌ Planning application load failed:", error.message);
+  process.exit(1);
+});
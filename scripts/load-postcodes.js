@@ -0,0 +1,166 @@
+// scripts/load-postcodes.js - Load the ONS Postcode Directory into Supabase
+//
+// Usage: node scripts/load-postcodes.js --file <ONSPD_<release>_UK.csv>
+//          [--names <Documents folder>] [--batch-size 500] [--dry-run]
+//
+// The ONSPD download (geoportal.statistics.gov.uk) has the postcode CSV in
+// Data/ and code-to-name lookups in Documents/; --names reads every CSV there
+// so wards and local authorities are stored with their names. Terminated
+// postcodes are kept so they can be reported as such. Needs
+// NEXT_PUBLIC_SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY unless --dry-run is
+// given.
+import { readdirSync } from "fs";
+import path from "path";
+import { readRecords } from "../api/csv.js";
+import { supabase } from "../api/supabase-client.js";
+
+// Column names change between releases as boundaries are revised; the first
+// one present wins
+const SOURCE_COLUMNS = {
+  lsoa: ["lsoa21", "lsoa11"],
+  msoa: ["msoa21", "msoa11"],
+  ward: ["osward", "wd24cd", "wd23cd"],
+  localAuthority: ["oslaua", "lad24cd", "lad23cd"],
+};
+
+const NO_LOCATION_LATITUDE = 99.999999; // ONSPD value for no grid reference
+
+function parseArgs(argv) {
+  const args = { file: null, names: null, batchSize: 500, dryRun: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => argv[++i];
+
+    if (arg === "--file") args.file = next();
+    else if (arg === "--names") args.names = next();
+    else if (arg === "--batch-size") args.batchSize = parseInt(next(), 10);
+    else if (arg === "--dry-run") args.dryRun = true;
+    else throw new Error(`Unknown argument: ${arg}`);
+  }
+
+  if (!args.file) {
+    throw new Error("--file <ONSPD csv> is required");
+  }
+
+  if (!(args.batchSize > 0)) {
+    throw new Error("--batch-size must be a positive number");
+  }
+
+  return args;
+}
+
+// Code -> name from the lookup CSVs (e.g. LAD24CD, LAD24NM columns)
+async function loadNames(dir) {
+  const names = new Map();
+  const files = readdirSync(dir).filter((name) => /\.csv$/i.test(name));
+
+  for (const name of files) {
+    for await (const record of readRecords(path.join(dir, name))) {
+      const columns = Object.keys(record);
+      const codeColumn = columns.find((c) => /cd$/.test(c));
+      const nameColumn = columns.find((c) => /nm$/.test(c));
+      if (!codeColumn || !nameColumn) break;
+
+      if (record[codeColumn] && record[nameColumn]) {
+        names.set(record[codeColumn], record[nameColumn]);
+      }
+    }
+  }
+
+  console.log(`🏷️ ${names.size} area names loaded from ${files.length} files`);
+  return names;
+}
+
+function pick(record, columns) {
+  const column = columns.find((name) => record[name] !== undefined);
+  return (column && record[column]) || null;
+}
+
+// "202406" -> "2024-06"
+function toMonth(value) {
+  return value ? `${value.slice(0, 4)}-${value.slice(4, 6)}` : null;
+}
+
+function toDirectoryRow(record, names) {
+  const latitude = parseFloat(record.lat);
+  const hasLocation = !isNaN(latitude) && latitude !== NO_LOCATION_LATITUDE;
+  const ward = pick(record, SOURCE_COLUMNS.ward);
+  const localAuthority = pick(record, SOURCE_COLUMNS.localAuthority);
+
+  return {
+    postcode: record.pcds,
+    introduced: toMonth(record.dointr),
+    terminated: toMonth(record.doterm),
+    latitude: hasLocation ? latitude : null,
+    longitude: hasLocation ? parseFloat(record.long) : null,
+    lsoa_code: pick(record, SOURCE_COLUMNS.lsoa),
+    msoa_code: pick(record, SOURCE_COLUMNS.msoa),
+    ward_code: ward,
+    ward_name: names.get(ward) || null,
+    local_authority_code: localAuthority,
+    local_authority_name: names.get(localAuthority) || null,
+    region_code: record.rgn || null,
+    country_code: record.ctry || null,
+  };
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!supabase && !args.dryRun) {
+    throw new Error(
+      "NEXT_PUBLIC_SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY are required"
+    );
+  }
+
+  if (args.dryRun) console.log("🧪 Dry run - no changes will be written");
+
+  const names = args.names ? await loadNames(args.names) : new Map();
+  const stats = { read: 0, upserted: 0, terminated: 0, skipped: 0 };
+  let batch = [];
+
+  const flush = async () => {
+    if (batch.length === 0) return;
+
+    if (!args.dryRun) {
+      const { error } = await supabase
+        .from("postcode_directory")
+        .upsert(batch, { onConflict: "postcode" });
+      if (error) throw error;
+    }
+
+    stats.upserted += batch.length;
+    if (stats.upserted % 100000 < batch.length) {
+      console.log(`📊 ${stats.upserted} postcodes upserted`);
+    }
+    batch = [];
+  };
+
+  console.log(`📂 Loading ${args.file}`);
+  for await (const record of readRecords(args.file)) {
+    stats.read++;
+
+    if (!record.pcds) {
+      stats.skipped++;
+      continue;
+    }
+
+    const row = toDirectoryRow(record, names);
+    if (row.terminated) stats.terminated++;
+
+    batch.push(row);
+    if (batch.length >= args.batchSize) await flush();
+  }
+
+  await flush();
+
+  console.log(
+    `✅ Done: ${stats.read} postcodes read, ${stats.upserted} upserted (${stats.terminated} terminated), ${stats.skipped} skipped`
+  );
+}
+
+main().catch((error) => {
+  console.error("❌ Postcode directory load failed:", error.message);
+  process.exit(1);
+});
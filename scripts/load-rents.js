@@ -0,0 +1,218 @@
+// scripts/load-rents.js - Load ONS private rental price statistics into
+// Supabase
+//
+// Usage: node scripts/load-rents.js --file <rents.csv> [--file ...]
+//          [--period YYYY-MM] [--batch-size 500] [--dry-run]
+//
+// Takes local authority CSVs in either layout the ONS publishes:
+//   - one row per area and bedroom category (Private rental market summary
+//     statistics: "Area Code1", "Area", "Bedroom Category", "Count of
+//     rents", "Median", ...). These tables give the period only in their
+//     title, so pass it with --period.
+//   - one row per area and month with a column per bedroom count (Price
+//     Index of Private Rents: "Time period", "Area code", "Rental price",
+//     "Rental price one bed", ..., "Annual change").
+// Save the local authority sheet of the workbook as CSV first. Needs
+// NEXT_PUBLIC_SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY unless --dry-run is
+// given.
+import { readRecords } from "../api/csv.js";
+import { normaliseBedrooms } from "../api/rents.js";
+import { supabase } from "../api/supabase-client.js";
+
+// Column names vary between releases and tables; the first one present wins
+const SOURCE_COLUMNS = {
+  areaCode: ["area code", "area code1", "la code", "local authority code"],
+  areaName: ["area name", "area", "la name", "local authority name"],
+  bedrooms: ["bedroom category", "bedrooms"],
+  period: ["time period", "period", "date"],
+  median: ["median", "median rent", "rental price"],
+  count: ["count of rents", "count"],
+  annualChange: ["annual change", "rental price annual change"],
+};
+
+const MONTHS = [
+  "jan",
+  "feb",
+  "mar",
+  "apr",
+  "may",
+  "jun",
+  "jul",
+  "aug",
+  "sep",
+  "oct",
+  "nov",
+  "dec",
+];
+
+function parseArgs(argv) {
+  const args = { files: [], period: null, batchSize: 500, dryRun: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => argv[++i];
+
+    if (arg === "--file") args.files.push(next());
+    else if (arg === "--period") args.period = next();
+    else if (arg === "--batch-size") args.batchSize = parseInt(next(), 10);
+    else if (arg === "--dry-run") args.dryRun = true;
+    else throw new Error(`Unknown argument: ${arg}`);
+  }
+
+  if (args.files.length === 0) {
+    throw new Error("Give at least one --file of rental price statistics");
+  }
+
+  if (args.period && !/^\d{4}-(0[1-9]|1[0-2])$/.test(args.period)) {
+    throw new Error("--period must be YYYY-MM");
+  }
+
+  if (!(args.batchSize > 0)) {
+    throw new Error("--batch-size must be a positive number");
+  }
+
+  return args;
+}
+
+function pickColumn(columns, names) {
+  return names.find((name) => columns.includes(name)) || null;
+}
+
+function pick(record, columns) {
+  const column = columns.find((name) => record[name] !== undefined);
+  return (column && record[column]) || null;
+}
+
+// "£1,234" -> 1234; suppressed or missing values ("[x]", "..", "-") -> null
+function parseAmount(value) {
+  if (!value) return null;
+  const number = parseFloat(value.replace(/[£,%\s]/g, ""));
+  return isNaN(number) ? null : number;
+}
+
+// "2024-05", "May 2024", "May-24" or "Oct 2022 to Sep 2023" (the last month
+// of a range) -> "2024-05"
+function toPeriod(value) {
+  if (!value) return null;
+
+  const iso = value.match(/^(\d{4})-(\d{2})/);
+  if (iso) return `${iso[1]}-${iso[2]}`;
+
+  const months = [...value.matchAll(/([a-z]{3})[a-z]*[\s-]+(\d{4}|\d{2})\b/gi)]
+    .map(([, month, year]) => ({
+      month: MONTHS.indexOf(month.toLowerCase()) + 1,
+      year: year.length === 2 ? `20${year}` : year,
+    }))
+    .filter((match) => match.month > 0);
+  if (months.length === 0) return null;
+
+  const { month, year } = months[months.length - 1];
+  return `${year}-${String(month).padStart(2, "0")}`;
+}
+
+// A CSV record -> rental_prices rows, one per bedroom category
+function toRentRows(record, fallbackPeriod) {
+  const areaCode = pick(record, SOURCE_COLUMNS.areaCode);
+  const period =
+    toPeriod(pick(record, SOURCE_COLUMNS.period)) || fallbackPeriod;
+  if (!areaCode || !period) return [];
+
+  const area = {
+    area_code: areaCode,
+    area_name: pick(record, SOURCE_COLUMNS.areaName),
+    period: period,
+  };
+
+  // One bedroom category per row
+  const category = pick(record, SOURCE_COLUMNS.bedrooms);
+  if (category) {
+    return [
+      {
+        ...area,
+        bedrooms: normaliseBedrooms(category),
+        median_rent: parseAmount(pick(record, SOURCE_COLUMNS.median)),
+        count: parseAmount(pick(record, SOURCE_COLUMNS.count)),
+        annual_change: parseAmount(pick(record, SOURCE_COLUMNS.annualChange)),
+      },
+    ];
+  }
+
+  // A "rental price" column per bedroom count; columns by property type
+  // ("rental price detached") are left out
+  return Object.keys(record)
+    .filter((column) => column.startsWith("rental price"))
+    .map((column) => {
+      const suffix = column.slice("rental price".length);
+      return {
+        ...area,
+        bedrooms: suffix.trim() ? normaliseBedrooms(suffix) : "all",
+        median_rent: parseAmount(record[column]),
+        count: null,
+        annual_change: parseAmount(record[`annual change${suffix}`]),
+      };
+    });
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!supabase && !args.dryRun) {
+    throw new Error(
+      "NEXT_PUBLIC_SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY are required"
+    );
+  }
+
+  if (args.dryRun) console.log("🧪 Dry run - no changes will be written");
+
+  const stats = { read: 0, upserted: 0, skipped: 0 };
+  let batch = [];
+
+  const flush = async () => {
+    if (batch.length === 0) return;
+
+    if (!args.dryRun) {
+      const { error } = await supabase
+        .from("rental_prices")
+        .upsert(batch, { onConflict: "area_code,bedrooms,period" });
+      if (error) throw error;
+    }
+
+    stats.upserted += batch.length;
+    batch = [];
+  };
+
+  for (const file of args.files) {
+    console.log(`📂 Loading ${file}`);
+
+    // Workbook exports can have title and note rows above the header
+    const records = readRecords(file, {
+      isHeader: (columns) => pickColumn(columns, SOURCE_COLUMNS.areaCode),
+    });
+
+    for await (const record of records) {
+      stats.read++;
+
+      const rows = toRentRows(record, args.period).filter(
+        (row) => row.bedrooms && row.median_rent != null
+      );
+      if (rows.length === 0) {
+        stats.skipped++;
+        continue;
+      }
+
+      batch.push(...rows);
+      if (batch.length >= args.batchSize) await flush();
+    }
+
+    await flush();
+  }
+
+  console.log(
+    `✅ Done: ${stats.read} rows read, ${stats.upserted} rents upserted, ${stats.skipped} skipped`
+  );
+}
+
+main().catch((error) => {
+  console.error("❌ Rental price load failed:", error.message);
+  process.exit(1);
+});
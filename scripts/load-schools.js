@@ -0,0 +1,150 @@
+// scripts/load-schools.js - Load the GIAS school register and Ofsted grades
+// into Supabase
+//
+// Usage: node scripts/load-schools.js --gias <edubasealldata.csv>
+//          [--ofsted <inspection outcomes.csv>] [--include-closed]
+//          [--batch-size 500] [--dry-run]
+//
+// --gias is the "all establishment data" download from Get Information
+// About Schools (get-information-schools.service.gov.uk/Downloads); --ofsted
+// is Ofsted's state-funded schools inspections and outcomes management
+// information, saved as CSV. Each school gets the grade from its latest
+// inspection and is located by postcode. Closed schools are left out unless
+// --include-closed is given. Needs NEXT_PUBLIC_SUPABASE_URL and
+// SUPABASE_SERVICE_ROLE_KEY unless --dry-run is given.
+import { readRecords } from "../api/csv.js";
+import { getBulkPostcodeCoordinates } from "../api/postcodes.js";
+import { toInspection, toSchoolRow } from "../api/schools.js";
+import { supabase } from "../api/supabase-client.js";
+
+// Ofsted's workbook exports can have title rows above the header
+const URN_HEADER = { isHeader: (columns) => columns.includes("urn") };
+
+function parseArgs(argv) {
+  const args = {
+    gias: null,
+    ofsted: null,
+    includeClosed: false,
+    batchSize: 500,
+    dryRun: false,
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => argv[++i];
+
+    if (arg === "--gias") args.gias = next();
+    else if (arg === "--ofsted") args.ofsted = next();
+    else if (arg === "--include-closed") args.includeClosed = true;
+    else if (arg === "--batch-size") args.batchSize = parseInt(next(), 10);
+    else if (arg === "--dry-run") args.dryRun = true;
+    else throw new Error(`Unknown argument: ${arg}`);
+  }
+
+  if (!args.gias) {
+    throw new Error("--gias <GIAS establishment csv> is required");
+  }
+
+  if (!(args.batchSize > 0)) {
+    throw new Error("--batch-size must be a positive number");
+  }
+
+  return args;
+}
+
+// URN -> latest inspection { grade, date }
+async function loadInspections(file) {
+  const inspections = new Map();
+
+  for await (const record of readRecords(file, URN_HEADER)) {
+    const inspection = toInspection(record);
+    if (!inspection.urn || inspection.grade == null) continue;
+
+    const known = inspections.get(inspection.urn);
+    if (!known || (inspection.date || "") > (known.date || "")) {
+      inspections.set(inspection.urn, inspection);
+    }
+  }
+
+  console.log(`📋 ${inspections.size} Ofsted grades loaded`);
+  return inspections;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!supabase && !args.dryRun) {
+    throw new Error(
+      "NEXT_PUBLIC_SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY are required"
+    );
+  }
+
+  if (args.dryRun) console.log("🧪 Dry run - no changes will be written");
+
+  const inspections = args.ofsted
+    ? await loadInspections(args.ofsted)
+    : new Map();
+  const stats = { read: 0, upserted: 0, graded: 0, skipped: 0 };
+  let batch = [];
+
+  const flush = async () => {
+    if (batch.length === 0) return;
+
+    const coordinates = await getBulkPostcodeCoordinates(
+      batch.map((row) => row.postcode)
+    );
+    const rows = batch
+      .map((row) => ({
+        ...row,
+        latitude: coordinates.get(row.postcode)?.lat ?? null,
+        longitude: coordinates.get(row.postcode)?.lng ?? null,
+      }))
+      .filter((row) => row.latitude != null);
+    stats.skipped += batch.length - rows.length;
+
+    if (!args.dryRun && rows.length > 0) {
+      const { error } = await supabase
+        .from("schools")
+        .upsert(rows, { onConflict: "urn" });
+      if (error) throw error;
+    }
+
+    stats.upserted += rows.length;
+    stats.graded += rows.filter((row) => row.ofsted_grade != null).length;
+    batch = [];
+  };
+
+  console.log(`📂 Loading ${args.gias}`);
+  for await (const record of readRecords(args.gias, URN_HEADER)) {
+    stats.read++;
+
+    const row = toSchoolRow(record);
+    if (
+      !row.urn ||
+      !row.postcode ||
+      (row.status !== "open" && !args.includeClosed)
+    ) {
+      stats.skipped++;
+      continue;
+    }
+
+    const inspection = inspections.get(row.urn);
+    batch.push({
+      ...row,
+      ofsted_grade: inspection?.grade ?? null,
+      ofsted_date: inspection?.date ?? null,
+    });
+    if (batch.length >= args.batchSize) await flush();
+  }
+
+  await flush();
+
+  console.log(
+    `✅ Done: ${stats.read} schools read, ${stats.upserted} upserted (${stats.graded} with an Ofsted grade), ${stats.skipped} skipped`
+  );
+}
+
+main().catch((error) => {
+  console.error("❌ School load failed:", error.message);
+  process.exit(1);
+});
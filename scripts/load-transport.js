@@ -0,0 +1,260 @@
+// scripts/load-transport.js - Load NaPTAN stops and GTFS timetables into
+// Supabase
+//
+// Usage: node scripts/load-transport.js [--naptan <Stops.csv>]
+//          [--gtfs <unzipped feed folder>] [--gtfs ...] [--date YYYY-MM-DD]
+//          [--arrive-by HH:MM] [--batch-size 500] [--dry-run]
+//
+// --naptan is the NaPTAN Stops.csv download (naptan.api.dft.gov.uk); load it
+// before any timetables, as stops are located from it. --gtfs is a GTFS
+// feed unzipped into a folder, such as a Bus Open Data Service regional
+// feed or a rail timetable converted to GTFS; its stop_ids must be ATCO
+// codes, as they are in those feeds. For each feed, one service day (--date,
+// default the next Tuesday) gives:
+//   - departures per hour for every route at every stop in the 08:15-09:15
+//     morning peak, for the accessibility index
+//   - the journey time from every stop to each employment centre in
+//     api/transport.js, arriving by --arrive-by (default 09:00), found by
+//     scanning the timetable backwards from the arrival time
+// Feeds are routed separately, so use a combined regional feed where
+// journeys cross operators. Needs NEXT_PUBLIC_SUPABASE_URL and
+// SUPABASE_SERVICE_ROLE_KEY unless --dry-run is given.
+import { readRecords } from "../api/csv.js";
+import {
+  latestDepartures,
+  readServiceDay,
+  transferWalks,
+  tripConnections,
+} from "../api/gtfs.js";
+import { calculateDistance } from "../api/postcodes.js";
+import { supabase } from "../api/supabase-client.js";
+import { toStopRow, WALK_METRES_PER_MINUTE } from "../api/transport.js";
+import { EMPLOYMENT_CENTRES } from "../public/employment-centres.js";
+
+const PEAK_START = 8 * 3600 + 15 * 60; // 08:15, as PTAL
+const PEAK_END = 9 * 3600 + 15 * 60;
+const MAX_JOURNEY_MINUTES = 120;
+const CENTRE_RADIUS_METRES = 800; // Stops this close count as arriving
+const TRANSFER_WALK_METRES = 400; // Longest walk between stops on a change
+
+function parseArgs(argv) {
+  const args = {
+    naptan: null,
+    gtfs: [],
+    date: nextTuesday(),
+    arriveBy: "09:00",
+    batchSize: 500,
+    dryRun: false,
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => argv[++i];
+
+    if (arg === "--naptan") args.naptan = next();
+    else if (arg === "--gtfs") args.gtfs.push(next());
+    else if (arg === "--date") args.date = next();
+    else if (arg === "--arrive-by") args.arriveBy = next();
+    else if (arg === "--batch-size") args.batchSize = parseInt(next(), 10);
+    else if (arg === "--dry-run") args.dryRun = true;
+    else throw new Error(`Unknown argument: ${arg}`);
+  }
+
+  if (!args.naptan && args.gtfs.length === 0) {
+    throw new Error("Give --naptan <Stops.csv> and/or --gtfs <feed folder>");
+  }
+
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(args.date || "")) {
+    throw new Error("--date must be YYYY-MM-DD");
+  }
+
+  if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(args.arriveBy || "")) {
+    throw new Error("--arrive-by must be HH:MM");
+  }
+
+  if (!(args.batchSize > 0)) {
+    throw new Error("--batch-size must be a positive number");
+  }
+
+  return args;
+}
+
+// A weekday clear of weekend and Monday bank holiday timetables
+function nextTuesday() {
+  const date = new Date();
+  date.setUTCDate(date.getUTCDate() + ((9 - date.getUTCDay()) % 7 || 7));
+  return date.toISOString().slice(0, 10);
+}
+
+async function upsertRows(table, rows, onConflict, args) {
+  for (let i = 0; i < rows.length; i += args.batchSize) {
+    if (args.dryRun) continue;
+
+    const { error } = await supabase
+      .from(table)
+      .upsert(rows.slice(i, i + args.batchSize), { onConflict });
+    if (error) throw error;
+  }
+}
+
+async function loadNaptan(file, args) {
+  const stats = { read: 0, upserted: 0, skipped: 0 };
+  const modes = {};
+  let batch = [];
+
+  const flush = async () => {
+    await upsertRows("transport_stops", batch, "atco_code", args);
+    stats.upserted += batch.length;
+    batch = [];
+  };
+
+  console.log(`📂 Loading ${file}`);
+  for await (const record of readRecords(file)) {
+    stats.read++;
+
+    const row = toStopRow(record);
+    if (!row?.atco_code) {
+      stats.skipped++;
+      continue;
+    }
+
+    modes[row.mode] = (modes[row.mode] || 0) + 1;
+    batch.push(row);
+    if (batch.length >= args.batchSize) await flush();
+  }
+
+  await flush();
+
+  console.log(
+    `🚏 By mode: ${Object.entries(modes)
+      .map(([mode, count]) => `${mode} ${count}`)
+      .join(", ")}`
+  );
+  console.log(
+    `✅ NaPTAN: ${stats.read} stops read, ${stats.upserted} upserted, ${stats.skipped} skipped`
+  );
+}
+
+async function loadGtfs(dir, args) {
+  const [hours, minutes] = args.arriveBy.split(":").map(Number);
+  const arriveBy = hours * 3600 + minutes * 60;
+
+  console.log(`📂 Loading ${dir} for ${args.date}`);
+
+  const day = await readServiceDay(dir, {
+    date: args.date,
+    from: Math.min(arriveBy - MAX_JOURNEY_MINUTES * 60, PEAK_START),
+    to: Math.max(arriveBy, PEAK_END),
+  });
+  if (!day) {
+    console.warn(`⚠️ No services run on ${args.date}; try another --date`);
+    return;
+  }
+  const { routes, stops, transfers, trips } = day;
+
+  // Peak departures per stop, route and direction
+  const departures = new Map();
+  trips.forEach((trip) => {
+    trip.calls.forEach((call) => {
+      if (call.terminates) return;
+      if (call.departure < PEAK_START || call.departure >= PEAK_END) return;
+
+      const key = `${call.stop}|${trip.route}|${trip.direction}`;
+      departures.set(key, (departures.get(key) || 0) + 1);
+    });
+  });
+
+  // A route's frequency at a stop is that of its busier direction
+  const frequencies = new Map();
+  departures.forEach((count, key) => {
+    const [stop, route] = key.split("|");
+    const routeKey = `${stop}|${route}`;
+    frequencies.set(routeKey, Math.max(frequencies.get(routeKey) || 0, count));
+  });
+  const serviceRows = [...frequencies.entries()].map(([key, count]) => {
+    const [stop, route] = key.split("|");
+    return {
+      atco_code: stop,
+      route_id: route,
+      route_name: routes.get(route).name,
+      mode: routes.get(route).mode,
+      departures_per_hour: count / ((PEAK_END - PEAK_START) / 3600),
+      service_date: args.date,
+    };
+  });
+
+  // Journeys to each centre the feed reaches, with changes on foot between
+  // nearby stops and at the interchanges in transfers.txt
+  const connections = tripConnections(trips, { arriveBy });
+  const walks = transferWalks(stops, transfers, {
+    maxMetres: TRANSFER_WALK_METRES,
+    metresPerMinute: WALK_METRES_PER_MINUTE,
+  });
+
+  const journeyRows = [];
+  EMPLOYMENT_CENTRES.forEach((centre) => {
+    const targets = new Map();
+    stops.forEach((stop) => {
+      const metres =
+        calculateDistance(centre.lat, centre.lng, stop.lat, stop.lng) * 1000;
+      if (metres <= CENTRE_RADIUS_METRES) {
+        targets.set(
+          stop.id,
+          Math.round((metres / WALK_METRES_PER_MINUTE) * 60)
+        );
+      }
+    });
+    if (targets.size === 0) return;
+
+    const latest = latestDepartures(connections, { targets, arriveBy, walks });
+    let reached = 0;
+    latest.forEach((time, stop) => {
+      const minutes = Math.round((arriveBy - time) / 60);
+      if (minutes > MAX_JOURNEY_MINUTES) return;
+
+      reached++;
+      journeyRows.push({
+        atco_code: stop,
+        centre: centre.name,
+        minutes: minutes,
+        arrive_by: args.arriveBy,
+        service_date: args.date,
+      });
+    });
+    console.log(
+      `🚉 ${centre.name}: ${reached} stops within ${MAX_JOURNEY_MINUTES} minutes`
+    );
+  });
+
+  await upsertRows(
+    "transport_services",
+    serviceRows,
+    "atco_code,route_id",
+    args
+  );
+  await upsertRows("transport_journeys", journeyRows, "atco_code,centre", args);
+
+  console.log(
+    `✅ GTFS: ${trips.length} trips in the morning window, ${connections.length} connections, ${serviceRows.length} stop routes and ${journeyRows.length} journey times upserted`
+  );
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!supabase && !args.dryRun) {
+    throw new Error(
+      "NEXT_PUBLIC_SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY are required"
+    );
+  }
+
+  if (args.dryRun) console.log("🧪 Dry run - no changes will be written");
+
+  if (args.naptan) await loadNaptan(args.naptan, args);
+  for (const dir of args.gtfs) await loadGtfs(dir, args);
+}
+
+main().catch((error) => {
+  console.error("❌ Transport load failed:", error.message);
+  process.exit(1);
+});
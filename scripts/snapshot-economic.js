@@ -0,0 +1,82 @@
+// scripts/snapshot-economic.js - Store this month's snapshot of the BoE and
+// ONS series
+//
+// Usage: node scripts/snapshot-economic.js [--series bankRate,inflation]
+//          [--vintage YYYY-MM] [--dry-run]
+//
+// Fetches the full history of each series in ECONOMIC_SERIES (all of them by
+// default) and upserts it into economic_series under the vintage, which
+// defaults to the current month. Re-running within a month replaces that
+// month's snapshot. Needs NEXT_PUBLIC_SUPABASE_URL and
+// SUPABASE_SERVICE_ROLE_KEY unless --dry-run is given.
+import {
+  ECONOMIC_SERIES,
+  fetchSeries,
+  seriesTrend,
+  storeSeries,
+} from "../api/economic-series.js";
+import { supabase } from "../api/supabase-client.js";
+
+function parseArgs(argv) {
+  const args = {
+    series: Object.keys(ECONOMIC_SERIES),
+    vintage: null,
+    dryRun: false,
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => argv[++i];
+
+    if (arg === "--series") args.series = next().split(",");
+    else if (arg === "--vintage") args.vintage = next();
+    else if (arg === "--dry-run") args.dryRun = true;
+    else throw new Error(`Unknown argument: ${arg}`);
+  }
+
+  const unknown = args.series.filter((id) => !ECONOMIC_SERIES[id]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown series: ${unknown.join(", ")}`);
+  }
+
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!supabase && !args.dryRun) {
+    throw new Error(
+      "NEXT_PUBLIC_SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY are required"
+    );
+  }
+
+  if (args.dryRun) console.log("🧪 Dry run - no changes will be written");
+
+  let failed = 0;
+  for (const id of args.series) {
+    try {
+      const observations = await fetchSeries(id);
+      const trend = seriesTrend(observations);
+      console.log(
+        `📊 ${id}: ${observations.length} observations, latest ${trend?.latest}% (${trend?.period})`
+      );
+
+      if (!args.dryRun) {
+        const stored = await storeSeries(id, observations, args.vintage);
+        if (stored === 0) throw new Error("nothing was stored");
+      }
+    } catch (error) {
+      console.error(`❌ ${id} failed:`, error.message);
+      failed++;
+    }
+  }
+
+  if (failed > 0) throw new Error(`${failed} series failed`);
+  console.log(`✅ Done: ${args.series.length} series`);
+}
+
+main().catch((error) => {
+  console.error("❌ Economic snapshot failed:", error.message);
+  process.exit(1);
+});
@@ -0,0 +1,118 @@
+// scripts/update-data.js - Load Land Registry Price Paid data into Supabase
+//
+// Usage: node scripts/update-data.js [--complete | --url <csv-url> | --file <csv>]
+//          [--batch-size 500] [--dry-run] [--schedule "0 5 28 * *"]
+//
+// Defaults to the monthly update file. Needs NEXT_PUBLIC_SUPABASE_URL and
+// SUPABASE_SERVICE_ROLE_KEY in the environment unless --dry-run is given,
+// e.g. node --env-file=.env.local scripts/update-data.js
+import { createClient } from "@supabase/supabase-js";
+import cron from "node-cron";
+import {
+  ingestPricePaid,
+  PRICE_PAID_SOURCES,
+} from "../api/price-paid-ingest.js";
+
+function parseArgs(argv) {
+  const args = {
+    source: PRICE_PAID_SOURCES.monthly,
+    batchSize: 500,
+    dryRun: false,
+    schedule: null,
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => argv[++i];
+
+    if (arg === "--complete") args.source = PRICE_PAID_SOURCES.complete;
+    else if (arg === "--url" || arg === "--file") args.source = next();
+    else if (arg === "--batch-size") args.batchSize = parseInt(next(), 10);
+    else if (arg === "--dry-run") args.dryRun = true;
+    else if (arg === "--schedule") args.schedule = next();
+    else throw new Error(`Unknown argument: ${arg}`);
+  }
+
+  if (!(args.batchSize > 0)) {
+    throw new Error("--batch-size must be a positive number");
+  }
+
+  if (args.schedule && !cron.validate(args.schedule)) {
+    throw new Error(`Invalid cron expression: ${args.schedule}`);
+  }
+
+  return args;
+}
+
+function createSupabase(dryRun) {
+  const url = process.env.NEXT_PUBLIC_SUPABASE_URL;
+  const key = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+  if (!url || !key) {
+    if (dryRun) return null;
+    throw new Error(
+      "NEXT_PUBLIC_SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY are required"
+    );
+  }
+
+  return createClient(url, key, { auth: { persistSession: false } });
+}
+
+async function runIngestion(args, supabase) {
+  console.log(`🚀 Ingesting Price Paid data from ${args.source}`);
+  if (args.dryRun) console.log("🧪 Dry run - no changes will be written");
+
+  const stats = await ingestPricePaid({
+    source: args.source,
+    supabase: supabase,
+    batchSize: args.batchSize,
+    dryRun: args.dryRun,
+    onProgress: (progress) => {
+      if (progress.batches % 20 === 0) {
+        console.log(
+          `📊 ${progress.read} rows read, ${progress.upserted} upserted, ${progress.deleted} deleted`
+        );
+      }
+    },
+  });
+
+  console.log(
+    `✅ Done: ${stats.read} rows read, ${stats.upserted} upserted, ${stats.deleted} deleted, ${stats.duplicates} duplicates, ${stats.skipped} skipped`
+  );
+  return stats;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const supabase = createSupabase(args.dryRun);
+
+  if (!args.schedule) {
+    await runIngestion(args, supabase);
+    return;
+  }
+
+  console.log(`⏰ Scheduled Price Paid ingestion: ${args.schedule}`);
+  let running = false;
+
+  cron.schedule(args.schedule, async () => {
+    // Skip a tick rather than overlap a long-running load
+    if (running) {
+      console.log("⏭️ Previous ingestion still running, skipping");
+      return;
+    }
+
+    running = true;
+    try {
+      await runIngestion(args, supabase);
+    } catch (error) {
+      console.error("❌ Price Paid ingestion failed:", error.message);
+    } finally {
+      running = false;
+    }
+  });
+}
+
+main().catch((error) => {
+  console.error("❌ Price Paid ingestion failed:", error.message);
+  process.exit(1);
+});
@@ -0,0 +1,50 @@
+// test/ai-predictions.test.js - Prediction confidence by data coverage
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { UniversalRealTimePredictor } from "../api/ai-predictions.js";
+
+const LEVELS = ["unit", "sector", "district", "area", "region", "national"];
+
+// Full data quality, so only the year and coverage move the confidence
+function predictor() {
+  const model = new UniversalRealTimePredictor({});
+  model.getDataQualityScore = () => 1;
+  return model;
+}
+
+const confidenceAt = (coverage) =>
+  predictor().calculateUniversalConfidence(1, coverage);
+
+const close = (actual, expected) =>
+  assert.ok(
+    Math.abs(actual - expected) < 1e-9,
+    `expected ${expected}, got ${actual}`
+  );
+
+test("confidence falls with each coarser coverage level", () => {
+  const confidences = LEVELS.map((level) => confidenceAt({ level }));
+
+  confidences.slice(1).forEach((confidence, i) => {
+    assert.ok(
+      confidence < confidences[i],
+      `${LEVELS[i + 1]} should be below ${LEVELS[i]}`
+    );
+  });
+});
+
+test("confidence grades unit, sector and district data", () => {
+  close(confidenceAt({ level: "unit" }), 0.85 * 0.95);
+  close(confidenceAt({ level: "sector" }), 0.85 * 0.9);
+  close(confidenceAt({ level: "district" }), 0.85 * 0.85);
+});
+
+test("confidence treats an unknown level as national", () => {
+  close(confidenceAt({ level: "galaxy" }), confidenceAt({ level: "national" }));
+});
+
+test("confidence drops further when even the district is thin", () => {
+  close(
+    confidenceAt({ level: "district", lowCoverage: true }),
+    0.85 * 0.85 * 0.9
+  );
+});
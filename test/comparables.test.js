@@ -0,0 +1,147 @@
+// test/comparables.test.js - Comparable sales from the Land Registry
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+process.env.CACHE_BACKEND = "memory";
+
+const { calculateSimilarity, findComparables } = await import(
+  "../api/comparables.js"
+);
+
+const COORDINATES = {
+  "M1 1AA": [53.481, -2.236],
+  "M1 1AB": [53.4805, -2.2365],
+  "M4 1EF": [53.4835, -2.2315],
+  "M4 7GH": [53.4855, -2.2265],
+};
+
+// Price Paid CSV rows (the first line is read as a header)
+const SALES = {
+  M1: [["{A}", "250000", "2026-01-10 00:00", "M1 1AB"]],
+  M4: [
+    ["{B}", "275000", "2026-02-20 00:00", "M4 1EF"],
+    ["{C}", "300000", "2026-03-15 00:00", "M4 7GH"],
+  ],
+};
+
+const csv = (rows) =>
+  [
+    "header",
+    ...rows.map((row) =>
+      [...row, "F", "N", "F", "1", "", "High Street", "", "", "", "", "A", "A"]
+        .map((value) => `"${value}"`)
+        .join(",")
+    ),
+  ].join("\n");
+
+const json = (body) => ({ ok: true, status: 200, json: async () => body });
+
+// postcodes.io and the Land Registry, offline
+function stubFetch(requests) {
+  return async (url, options = {}) => {
+    url = String(url);
+    requests.push(url);
+
+    if (url.includes("ppd_data.csv")) {
+      const district = decodeURIComponent(url.split("postcode=")[1]);
+      return {
+        ok: true,
+        status: 200,
+        text: async () => csv(SALES[district] || []),
+      };
+    }
+    if (url.includes("/outcodes?")) {
+      return json({ result: [{ outcode: "M1" }, { outcode: "M4" }] });
+    }
+    if (options.method === "POST") {
+      const { postcodes } = JSON.parse(options.body);
+      return json({
+        result: postcodes.map((query) => ({
+          query,
+          result: COORDINATES[query] && {
+            latitude: COORDINATES[query][0],
+            longitude: COORDINATES[query][1],
+          },
+        })),
+      });
+    }
+
+    const postcode = decodeURIComponent(url.split("/postcodes/")[1] || "");
+    if (COORDINATES[postcode]) {
+      const [latitude, longitude] = COORDINATES[postcode];
+      return json({ result: { postcode, latitude, longitude } });
+    }
+    return { ok: false, status: 404, json: async () => ({}) };
+  };
+}
+
+test("findComparables loads every district a radius crosses", async (t) => {
+  const requests = [];
+  t.mock.method(globalThis, "fetch", stubFetch(requests));
+
+  const result = await findComparables({
+    postcode: "M1 1AA",
+    radiusKm: 1,
+    targetDate: "2026-06-01",
+  });
+
+  const districts = requests
+    .filter((url) => url.includes("ppd_data.csv"))
+    .map((url) => decodeURIComponent(url.split("postcode=")[1]))
+    .sort();
+  assert.deepEqual(districts, ["M1", "M4"]);
+  assert.deepEqual(result.comparables.map((sale) => sale.postcode).sort(), [
+    "M1 1AB",
+    "M4 1EF",
+    "M4 7GH",
+  ]);
+});
+
+const context = { distanceKm: 0, radiusKm: 1, monthsAgo: 0, monthsBack: 24 };
+const sale = { propertyType: "T", tenure: "F", newBuild: "N" };
+
+test("calculateSimilarity scores an identical sale next door, just sold, 100", () => {
+  assert.equal(
+    calculateSimilarity(
+      { propertyType: "T", tenure: "F", newBuild: "N" },
+      sale,
+      context
+    ),
+    100
+  );
+});
+
+test("calculateSimilarity weighs distance, recency and attributes", () => {
+  const subject = { propertyType: "T", tenure: "F", newBuild: "N" };
+
+  // Half the radius away loses half the distance weight (0.35 / 2)
+  assert.equal(
+    calculateSimilarity(subject, sale, { ...context, distanceKm: 0.5 }),
+    82.5
+  );
+  // A year old in a two year window loses half the recency weight
+  assert.equal(
+    calculateSimilarity(subject, sale, { ...context, monthsAgo: 12 }),
+    90
+  );
+  // Older than the window counts as no recency at all
+  assert.equal(
+    calculateSimilarity(subject, sale, { ...context, monthsAgo: 36 }),
+    80
+  );
+  assert.equal(
+    calculateSimilarity({ ...subject, propertyType: "D" }, sale, context),
+    75
+  );
+});
+
+test("calculateSimilarity leaves out attributes the subject doesn't give", () => {
+  const subject = { propertyType: null, tenure: null, newBuild: null };
+
+  assert.equal(calculateSimilarity(subject, sale, context), 100);
+  // Only distance (0.35) and recency (0.2) are weighed
+  assert.equal(
+    calculateSimilarity(subject, sale, { ...context, monthsAgo: 24 }),
+    63.6
+  );
+});
@@ -0,0 +1,96 @@
+// test/csv.test.js - RFC 4180 CSV parsing
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, writeFileSync } from "fs";
+import os from "os";
+import path from "path";
+import {
+  createCSVParser,
+  parseCSV,
+  parseCSVStream,
+  readRecords,
+} from "../api/csv.js";
+
+const collect = async (iterable) => {
+  const items = [];
+  for await (const item of iterable) items.push(item);
+  return items;
+};
+
+const writeCSV = (text) => {
+  const file = path.join(mkdtempSync(path.join(os.tmpdir(), "csv-")), "a.csv");
+  writeFileSync(file, text);
+  return file;
+};
+
+test("parseCSV splits rows and fields", () => {
+  assert.deepEqual(parseCSV("a,b,c\n1,2,3\n"), [
+    ["a", "b", "c"],
+    ["1", "2", "3"],
+  ]);
+  assert.deepEqual(parseCSV("a,,c"), [["a", "", "c"]]);
+});
+
+test("parseCSV reads quoted commas, escaped quotes and line breaks", () => {
+  assert.deepEqual(parseCSV('"Flat 1, High St","say ""hi""","two\nlines"'), [
+    ["Flat 1, High St", 'say "hi"', "two\nlines"],
+  ]);
+  assert.deepEqual(parseCSV('"",x'), [["", "x"]]);
+});
+
+test("parseCSV handles CRLF, lone CR and blank lines", () => {
+  assert.deepEqual(parseCSV("a,b\r\n1,2\r\n\r\n3,4\r5,6"), [
+    ["a", "b"],
+    ["1", "2"],
+    ["3", "4"],
+    ["5", "6"],
+  ]);
+});
+
+test("createCSVParser copes with chunks split mid-record", () => {
+  const rows = [];
+  const parser = createCSVParser((row) => rows.push(row));
+  ['"a ""q', '""",b\r', "\n1,", "2"].forEach((chunk) => parser.write(chunk));
+  parser.end();
+
+  assert.deepEqual(rows, [
+    ['a "q"', "b"],
+    ["1", "2"],
+  ]);
+});
+
+test("parseCSVStream decodes characters split across chunks", async () => {
+  const bytes = Buffer.from("name,price\nCafé,£5\n");
+  const chunks = [
+    bytes.subarray(0, 15),
+    bytes.subarray(15, 18),
+    bytes.subarray(18),
+  ];
+
+  assert.deepEqual(await collect(parseCSVStream(chunks)), [
+    ["name", "price"],
+    ["Café", "£5"],
+  ]);
+});
+
+test("readRecords keys records by trimmed, lower-cased column", async () => {
+  const file = writeCSV(" Postcode ,LSOA Code\nM1 1AA , E01000001\n");
+
+  assert.deepEqual(await collect(readRecords(file)), [
+    { postcode: "M1 1AA", "lsoa code": "E01000001" },
+  ]);
+});
+
+test("readRecords skips rows above the header and renames columns", async () => {
+  const file = writeCSV(
+    "Title row\nNotes,here\nArea-Code,Median_Rent\nE1,900\n"
+  );
+  const records = readRecords(file, {
+    isHeader: (columns) => columns.includes("area code"),
+    normaliseColumn: (column) => column.replace(/[-_]+/g, " "),
+  });
+
+  assert.deepEqual(await collect(records), [
+    { "area code": "E1", "median rent": "900" },
+  ]);
+});
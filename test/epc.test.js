@@ -0,0 +1,50 @@
+// test/epc.test.js - EPC bands and upgrade costs
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { estimateUpgradeCost, isBelowBand } from "../api/epc.js";
+
+test("isBelowBand compares bands, A best", () => {
+  assert.equal(isBelowBand("F", "E"), true);
+  assert.equal(isBelowBand("D", "C"), true);
+  assert.equal(isBelowBand("E", "E"), false);
+  assert.equal(isBelowBand("B", "C"), false);
+});
+
+test("isBelowBand ignores unknown ratings", () => {
+  assert.equal(isBelowBand(null, "C"), false);
+  assert.equal(isBelowBand("", "C"), false);
+  assert.equal(isBelowBand("H", "C"), false);
+});
+
+test("estimateUpgradeCost scales with the bands to climb", () => {
+  assert.deepEqual(estimateUpgradeCost("D", "C"), {
+    from: "D",
+    to: "C",
+    low: 2500,
+    high: 6000,
+  });
+  assert.deepEqual(estimateUpgradeCost("G", "C"), {
+    from: "G",
+    to: "C",
+    low: 10000,
+    high: 24000,
+  });
+});
+
+test("estimateUpgradeCost scales with floor area", () => {
+  const small = estimateUpgradeCost("E", "C", 45);
+  assert.equal(small.low, 2500);
+  assert.equal(small.high, 6000);
+
+  const large = estimateUpgradeCost("E", "C", 135);
+  assert.equal(large.low, 7500);
+  assert.equal(large.high, 18000);
+
+  assert.equal(estimateUpgradeCost("E", "C", 0).low, 5000);
+});
+
+test("estimateUpgradeCost is null when no upgrade is needed", () => {
+  assert.equal(estimateUpgradeCost("C", "C"), null);
+  assert.equal(estimateUpgradeCost("A", "C"), null);
+  assert.equal(estimateUpgradeCost(null, "C"), null);
+});
@@ -0,0 +1,45 @@
+// test/planning.test.js - Classifying planning applications
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { classifyApplication } from "../api/planning.js";
+
+const classify = (description, fields = {}) =>
+  classifyApplication({ description, ...fields });
+
+test("classifyApplication counts the homes in a description", () => {
+  assert.deepEqual(classify("Erection of 24 dwellings with access"), {
+    category: "residential",
+    units: 24,
+  });
+  assert.equal(classify("Erection of nine new homes").units, 9);
+  assert.equal(classify("Erection of 3 no. two storey houses").units, 3);
+  assert.equal(classify("Erection of a detached dwelling").units, 1);
+});
+
+test("classifyApplication adds up homes listed together", () => {
+  assert.equal(
+    classify("Erection of 2 x 2-bed flats and 3 x 1-bed flats").units,
+    5
+  );
+  assert.equal(
+    classify("Construction of 4 houses, 2 flats and one bungalow").units,
+    7
+  );
+});
+
+test("classifyApplication doesn't add a breakdown to its total", () => {
+  assert.equal(
+    classify("Erection of 12 dwellings including 3 affordable dwellings").units,
+    12
+  );
+});
+
+test("classifyApplication prefers the stated number of units", () => {
+  assert.equal(classify("Erection of 10 dwellings", { units: 8 }).units, 8);
+});
+
+test("classifyApplication only counts units for new homes", () => {
+  const extension = classify("Single storey rear extension to dwelling");
+  assert.equal(extension.units, null);
+  assert.notEqual(extension.category, "residential");
+});
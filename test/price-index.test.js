@@ -0,0 +1,54 @@
+// test/price-index.test.js - Adjusting prices along a district index
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { priceIndexFactor } from "../api/price-index.js";
+
+const yearly = {
+  period: "year",
+  annualGrowth: 10,
+  series: [
+    { period: "2020", index: 100 },
+    { period: "2021", index: 110 },
+    { period: "2022", index: 121 },
+  ],
+};
+
+const close = (actual, expected) =>
+  assert.ok(
+    Math.abs(actual - expected) < 1e-9,
+    `expected ${expected}, got ${actual}`
+  );
+
+test("priceIndexFactor is the ratio of index levels", () => {
+  close(priceIndexFactor(yearly, "2020-06-01", "2022-03-01"), 1.21);
+  close(priceIndexFactor(yearly, "2022-01-01", "2021-12-31"), 110 / 121);
+  close(priceIndexFactor(yearly, "2021-02-01", "2021-11-01"), 1);
+});
+
+test("priceIndexFactor projects past the index at its annual growth", () => {
+  close(priceIndexFactor(yearly, "2022-05-01", "2024-05-01"), 1.21);
+});
+
+test("priceIndexFactor holds the first level before the index starts", () => {
+  close(priceIndexFactor(yearly, "2018-05-01", "2021-05-01"), 1.1);
+});
+
+test("priceIndexFactor reads quarterly indices", () => {
+  const quarterly = {
+    period: "quarter",
+    annualGrowth: 0,
+    series: [
+      { period: "2024-Q1", index: 100 },
+      { period: "2024-Q2", index: 102 },
+      { period: "2024-Q3", index: 105 },
+    ],
+  };
+
+  close(priceIndexFactor(quarterly, "2024-02-15", "2024-08-01"), 1.05);
+  close(priceIndexFactor(quarterly, "2024-04-01", "2025-01-01"), 105 / 102);
+});
+
+test("priceIndexFactor leaves prices alone without an index", () => {
+  assert.equal(priceIndexFactor(null, "2020-01-01", "2024-01-01"), 1);
+  assert.equal(priceIndexFactor({ series: [] }, "2020-01-01", "2024-01-01"), 1);
+});
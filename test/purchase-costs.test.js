@@ -0,0 +1,106 @@
+// test/purchase-costs.test.js - Stamp duty by country and buyer type
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  calculatePurchaseCosts,
+  getCountryFromPostcode,
+} from "../api/purchase-costs.js";
+
+const taxOn = (price, fields = {}) =>
+  calculatePurchaseCosts({ price, country: "england", ...fields }).tax.total;
+
+test("getCountryFromPostcode reads the postcode area", () => {
+  assert.equal(getCountryFromPostcode("M1 1AA"), "england");
+  assert.equal(getCountryFromPostcode("EH1 1AA"), "scotland");
+  assert.equal(getCountryFromPostcode("G2 3AA"), "scotland");
+  assert.equal(getCountryFromPostcode("CF10 1AA"), "wales");
+  assert.equal(getCountryFromPostcode("BT1 1AA"), "northern-ireland");
+  assert.equal(getCountryFromPostcode("gl1 1aa"), "england");
+});
+
+test("getCountryFromPostcode places TD12 and TD15 in England", () => {
+  assert.equal(getCountryFromPostcode("TD12 4AA"), "england");
+  assert.equal(getCountryFromPostcode("TD15 1AA"), "england");
+  assert.equal(getCountryFromPostcode("TD15"), "england");
+  assert.equal(getCountryFromPostcode("TD1 1AA"), "scotland");
+  assert.equal(getCountryFromPostcode("TD14 5AA"), "scotland");
+});
+
+test("getCountryFromPostcode places CH5-CH8 and SY15-SY25 in Wales", () => {
+  assert.equal(getCountryFromPostcode("CH5 1AA"), "wales");
+  assert.equal(getCountryFromPostcode("CH8 7AA"), "wales");
+  assert.equal(getCountryFromPostcode("SY15 6AA"), "wales");
+  assert.equal(getCountryFromPostcode("SY25 1AA"), "wales");
+  assert.equal(getCountryFromPostcode("SY20"), "wales");
+  assert.equal(getCountryFromPostcode("CH4 1AA"), "england");
+  assert.equal(getCountryFromPostcode("CH1 1AA"), "england");
+  assert.equal(getCountryFromPostcode("SY14 1AA"), "england");
+  assert.equal(getCountryFromPostcode("SY1 1AA"), "england");
+});
+
+test("calculatePurchaseCosts applies SDLT bands and surcharges", () => {
+  assert.equal(taxOn(300000), 5000);
+  assert.equal(taxOn(300000, { buyerType: "additional" }), 20000);
+  assert.equal(taxOn(300000, { nonResident: true }), 11000);
+  assert.equal(taxOn(30000, { buyerType: "additional" }), 0);
+});
+
+test("calculatePurchaseCosts gives first-time buyer relief up to £500k", () => {
+  assert.equal(taxOn(300000, { buyerType: "first-time" }), 0);
+  assert.equal(taxOn(500000, { buyerType: "first-time" }), 10000);
+  assert.equal(taxOn(600000, { buyerType: "first-time" }), 20000);
+});
+
+test("calculatePurchaseCosts charges companies the flat rate without relief", () => {
+  assert.equal(
+    taxOn(600000, { buyerType: "company", companyRentalRelief: false }),
+    102000
+  );
+  assert.equal(taxOn(600000, { buyerType: "company" }), 50000);
+});
+
+test("calculatePurchaseCosts applies LBTT and the ADS in Scotland", () => {
+  const costs = calculatePurchaseCosts({ price: 300000, postcode: "EH1 1AA" });
+  assert.equal(costs.country, "scotland");
+  assert.equal(costs.taxName, "LBTT");
+  assert.equal(costs.tax.total, 4600);
+
+  const additional = calculatePurchaseCosts({
+    price: 300000,
+    postcode: "EH1 1AA",
+    buyerType: "additional",
+  });
+  assert.equal(additional.tax.surcharge, 24000);
+  assert.equal(additional.tax.total, 28600);
+});
+
+test("calculatePurchaseCosts applies LTT and its higher rates in Wales", () => {
+  const costs = calculatePurchaseCosts({ price: 300000, postcode: "CH5 1AA" });
+  assert.equal(costs.country, "wales");
+  assert.equal(costs.taxName, "LTT");
+  assert.equal(costs.tax.total, 4500);
+
+  assert.equal(
+    calculatePurchaseCosts({
+      price: 300000,
+      postcode: "CH5 1AA",
+      buyerType: "additional",
+    }).tax.total,
+    19950
+  );
+});
+
+test("calculatePurchaseCosts adds fees to the tax", () => {
+  const costs = calculatePurchaseCosts({ price: 300000, postcode: "TD15 1AA" });
+  assert.equal(costs.taxName, "SDLT");
+  assert.equal(costs.totalAcquisitionCosts, 7000);
+  assert.equal(costs.totalCostOfPurchase, 307000);
+
+  const custom = calculatePurchaseCosts({
+    price: 300000,
+    country: "england",
+    legalFees: 900,
+    surveyFees: 0,
+  });
+  assert.equal(custom.totalAcquisitionCosts, 5900);
+});
@@ -0,0 +1,88 @@
+// test/rents.test.js - Bedroom categories and rent summaries
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { normaliseBedrooms, summariseRents } from "../api/rents.js";
+
+test("normaliseBedrooms maps numbers to categories", () => {
+  assert.equal(normaliseBedrooms(0), "studio");
+  assert.equal(normaliseBedrooms(2), "2");
+  assert.equal(normaliseBedrooms("3"), "3");
+  assert.equal(normaliseBedrooms(4), "4+");
+  assert.equal(normaliseBedrooms(12), "4+");
+  assert.equal(normaliseBedrooms(1.5), null);
+  assert.equal(normaliseBedrooms(-1), null);
+  assert.equal(normaliseBedrooms(""), null);
+  assert.equal(normaliseBedrooms(null), null);
+});
+
+test("normaliseBedrooms reads ONS and listing labels", () => {
+  assert.equal(normaliseBedrooms("Studio"), "studio");
+  assert.equal(normaliseBedrooms("Room"), "room");
+  assert.equal(normaliseBedrooms("All categories"), "all");
+  assert.equal(normaliseBedrooms("One Bedroom"), "1");
+  assert.equal(normaliseBedrooms("two bed"), "2");
+  assert.equal(normaliseBedrooms("2bed"), "2");
+  assert.equal(normaliseBedrooms("Three Bedrooms"), "3");
+  assert.equal(normaliseBedrooms("Four or more Bedrooms"), "4+");
+  assert.equal(normaliseBedrooms("4+"), "4+");
+  assert.equal(normaliseBedrooms("Unknown"), null);
+});
+
+test("normaliseBedrooms puts 10 and more bedrooms in 4+", () => {
+  assert.equal(normaliseBedrooms("10 bedrooms"), "4+");
+  assert.equal(normaliseBedrooms("21 bed"), "4+");
+  assert.equal(normaliseBedrooms("Ten bedrooms"), "4+");
+});
+
+const rows = [
+  {
+    area_code: "E08000003",
+    area_name: "Manchester",
+    period: "2025-03",
+    bedrooms: "all",
+    median_rent: 1200,
+    annual_change: 5.2,
+    count: 900,
+  },
+  {
+    area_code: "E08000003",
+    area_name: "Manchester",
+    period: "2025-03",
+    bedrooms: "2",
+    median_rent: 1100,
+    annual_change: null,
+    count: 300,
+  },
+  {
+    area_code: "E08000003",
+    area_name: "Manchester",
+    period: "2024-03",
+    bedrooms: "2",
+    median_rent: 1000,
+    annual_change: null,
+    count: 280,
+  },
+];
+
+test("summariseRents takes the latest period for the bedroom category", () => {
+  const summary = summariseRents(rows, "2");
+
+  assert.equal(summary.period, "2025-03");
+  assert.equal(summary.bedrooms, "2");
+  assert.equal(summary.medianRent, 1100);
+  assert.deepEqual(summary.localAuthority, {
+    code: "E08000003",
+    name: "Manchester",
+  });
+  assert.deepEqual(Object.keys(summary.byBedrooms).sort(), ["2", "all"]);
+});
+
+test("summariseRents prefers the published annual change", () => {
+  assert.equal(summariseRents(rows).rentGrowth, 5.2);
+  assert.equal(summariseRents(rows, "2").rentGrowth, 10);
+});
+
+test("summariseRents falls back to all bedrooms, or null without it", () => {
+  assert.equal(summariseRents(rows, "3").bedrooms, "all");
+  assert.equal(summariseRents(rows.slice(1), "3"), null);
+});
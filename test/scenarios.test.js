@@ -0,0 +1,73 @@
+// test/scenarios.test.js - Economic paths under macro scenarios
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildScenarioPath, parseScenarios } from "../api/scenarios.js";
+
+const today = {
+  baseRate: 5,
+  inflation: 3,
+  unemploymentRate: 4,
+  gdpGrowth: 1,
+  mortgage2yFixed: 5.5,
+  mortgage5yFixed: 5,
+};
+
+const field = (path, name) => path.map((year) => year[name]);
+
+test("buildScenarioPath moves in straight lines between targets", () => {
+  const path = buildScenarioPath(
+    { targets: { baseRate: { 2: 4, 4: 5 }, inflation: { 4: 2 } } },
+    today
+  );
+
+  assert.deepEqual(field(path, "baseRate"), [4.5, 4, 4.5, 5, 5]);
+  assert.deepEqual(field(path, "inflation"), [2.75, 2.5, 2.25, 2, 2]);
+});
+
+test("buildScenarioPath holds inputs without targets at today's values", () => {
+  const path = buildScenarioPath({ targets: { baseRate: { 1: 4 } } }, today);
+
+  assert.deepEqual(field(path, "unemploymentRate"), [4, 4, 4, 4, 4]);
+  assert.deepEqual(field(path, "gdpGrowth"), [1, 1, 1, 1, 1]);
+});
+
+test("buildScenarioPath moves mortgage rates with Bank Rate", () => {
+  const path = buildScenarioPath(
+    { targets: { baseRate: { 2: 4 }, mortgage5yFixed: { 1: 6 } } },
+    today,
+    3
+  );
+
+  assert.deepEqual(field(path, "mortgage2yFixed"), [5, 4.5, 4.5]);
+  assert.deepEqual(field(path, "mortgage5yFixed"), [6, 6, 6]);
+});
+
+test("buildScenarioPath gives year-on-year trends", () => {
+  const path = buildScenarioPath({ targets: { baseRate: { 2: 4 } } }, today, 3);
+
+  assert.deepEqual(
+    path.map((year) => year.trends.baseRate.change12m),
+    [-0.5, -0.5, 0]
+  );
+});
+
+test("buildScenarioPath holds today's values without targets", () => {
+  const path = buildScenarioPath({ targets: null }, today, 2);
+
+  assert.deepEqual(field(path, "baseRate"), [5, 5]);
+  assert.deepEqual(field(path, "mortgage2yFixed"), [5.5, 5.5]);
+});
+
+test("parseScenarios reads calendar years as years ahead", () => {
+  const { scenarios, errors } = parseScenarios(
+    [{ id: "cut", targets: { baseRate: { 2028: 3.5, 1: 4.5 } } }],
+    2026
+  );
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(scenarios[0].targets, { baseRate: { 1: 4.5, 2: 3.5 } });
+  assert.deepEqual(
+    field(buildScenarioPath(scenarios[0], today, 3), "baseRate"),
+    [4.5, 3.5, 3.5]
+  );
+});